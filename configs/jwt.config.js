@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
@@ -66,17 +67,20 @@ const verifyRefreshToken = (token) => {
 /**
  * Generate both access and refresh tokens
  * @param {Object} user - User object
+ * @param {String} sessionId - Session (device) the tokens belong to
  * @returns {Object} Object containing access and refresh tokens
  */
-const generateTokens = (user) => {
+const generateTokens = (user, sessionId) => {
   const payload = {
     id: user._id,
     email: user.email,
-    name: user.name
+    name: user.name,
+    sid: sessionId
   };
 
   const accessToken = generateAccessToken(payload);
-  const refreshToken = generateRefreshToken({ id: user._id });
+  // jti keeps rotated refresh tokens unique even when issued within the same second
+  const refreshToken = generateRefreshToken({ id: user._id, sid: sessionId, jti: crypto.randomUUID() });
 
   return {
     accessToken,
@@ -84,12 +88,97 @@ const generateTokens = (user) => {
   };
 };
 
+/**
+ * Generate OAuth state parameter
+ * Signed so callbacks can trust it (CSRF protection and account linking)
+ * The nonce binds it to the browser that started the request (see the oauthState cookie)
+ * @param {Object} payload - e.g. { action: 'login', nonce } or { action: 'link', id, nonce }
+ * @returns {String} Signed state
+ */
+const generateOAuthState = (payload) => {
+  return jwt.sign(payload, JWT_SECRET, {
+    expiresIn: '10m',
+    issuer: 'todo-app',
+    audience: 'todo-app-oauth'
+  });
+};
+
+/**
+ * Verify OAuth state parameter
+ * @param {String} state - Signed state
+ * @returns {Object} Decoded state payload
+ */
+const verifyOAuthState = (state) => {
+  return jwt.verify(state, JWT_SECRET, {
+    issuer: 'todo-app',
+    audience: 'todo-app-oauth'
+  });
+};
+
+/**
+ * Generate a two-factor challenge token
+ * Issued after the first sign-in step; exchanged for session tokens once a code is verified
+ * @param {Object} payload - { id, method }
+ * @returns {String} Signed challenge token
+ */
+const generateTwoFactorChallenge = (payload) => {
+  return jwt.sign(payload, JWT_SECRET, {
+    expiresIn: '5m',
+    issuer: 'todo-app',
+    audience: 'todo-app-2fa'
+  });
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {String} token - Challenge token
+ * @returns {Object} Decoded challenge payload
+ */
+const verifyTwoFactorChallenge = (token) => {
+  return jwt.verify(token, JWT_SECRET, {
+    issuer: 'todo-app',
+    audience: 'todo-app-2fa'
+  });
+};
+
+/**
+ * Generate a todo invitation token
+ * @param {Object} payload - { id: invitationId, email }
+ * @param {Number} expiresInSeconds - Lifetime, matching the invitation's expiresAt
+ * @returns {String} Signed invitation token
+ */
+const generateInvitationToken = (payload, expiresInSeconds) => {
+  return jwt.sign(payload, JWT_SECRET, {
+    expiresIn: expiresInSeconds,
+    issuer: 'todo-app',
+    audience: 'todo-app-invitation'
+  });
+};
+
+/**
+ * Verify a todo invitation token
+ * @param {String} token - Invitation token
+ * @returns {Object} Decoded invitation payload
+ */
+const verifyInvitationToken = (token) => {
+  return jwt.verify(token, JWT_SECRET, {
+    issuer: 'todo-app',
+    audience: 'todo-app-invitation'
+  });
+};
+
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
   generateTokens,
+  generateOAuthState,
+  verifyOAuthState,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  generateInvitationToken,
+  verifyInvitationToken,
   JWT_SECRET,
   JWT_REFRESH_SECRET
 };
\ No newline at end of file
@@ -4,6 +4,10 @@ const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
 const GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
 const GOOGLE_REDIRECT_URI = process.env.GOOGLE_REDIRECT_URI || 'http://localhost:5000/api/auth/google/callback';
 
+const GITHUB_CLIENT_ID = process.env.GITHUB_CLIENT_ID;
+const GITHUB_CLIENT_SECRET = process.env.GITHUB_CLIENT_SECRET;
+const GITHUB_REDIRECT_URI = process.env.GITHUB_REDIRECT_URI || 'http://localhost:5000/api/auth/github/callback';
+
 // Create OAuth2 client
 const oauth2Client = new OAuth2Client(
   GOOGLE_CLIENT_ID,
@@ -13,9 +17,10 @@ const oauth2Client = new OAuth2Client(
 
 /**
  * Generate Google OAuth URL
+ * @param {String} state - Signed OAuth state
  * @returns {String} Google OAuth consent screen URL
  */
-const getGoogleAuthURL = () => {
+const getGoogleAuthURL = (state) => {
   const scopes = [
     'https://www.googleapis.com/auth/userinfo.profile',
     'https://www.googleapis.com/auth/userinfo.email'
@@ -24,7 +29,8 @@ const getGoogleAuthURL = () => {
   return oauth2Client.generateAuthUrl({
     access_type: 'offline',
     prompt: 'consent',
-    scope: scopes
+    scope: scopes,
+    state
   });
 };
 
@@ -88,12 +94,105 @@ const verifyGoogleToken = async (idToken) => {
   }
 };
 
+/**
+ * Generate GitHub OAuth URL
+ * @param {String} state - Signed OAuth state
+ * @returns {String} GitHub authorization screen URL
+ */
+const getGitHubAuthURL = (state) => {
+  const params = new URLSearchParams({
+    client_id: GITHUB_CLIENT_ID,
+    redirect_uri: GITHUB_REDIRECT_URI,
+    scope: 'read:user user:email',
+    state
+  });
+
+  return `https://github.com/login/oauth/authorize?${params.toString()}`;
+};
+
+/**
+ * Call the GitHub REST API
+ * @param {String} path - API path, e.g. /user
+ * @param {String} accessToken - GitHub access token
+ * @returns {Object} Parsed JSON response
+ */
+const fetchGitHub = async (path, accessToken) => {
+  const response = await fetch(`https://api.github.com${path}`, {
+    headers: {
+      Accept: 'application/vnd.github+json',
+      Authorization: `Bearer ${accessToken}`,
+      'User-Agent': 'todo-app'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${path} from GitHub`);
+  }
+
+  return await response.json();
+};
+
+/**
+ * Exchange GitHub authorization code for tokens
+ * @param {String} code - Authorization code from GitHub
+ * @returns {Object} Tokens and user info (with the primary verified email)
+ */
+const getGitHubTokensAndUser = async (code) => {
+  try {
+    const response = await fetch('https://github.com/login/oauth/access_token', {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        client_id: GITHUB_CLIENT_ID,
+        client_secret: GITHUB_CLIENT_SECRET,
+        code,
+        redirect_uri: GITHUB_REDIRECT_URI
+      })
+    });
+
+    const tokens = await response.json();
+
+    if (!response.ok || tokens.error) {
+      throw new Error(tokens.error_description || 'Failed to exchange GitHub authorization code');
+    }
+
+    const [profile, emails] = await Promise.all([
+      fetchGitHub('/user', tokens.access_token),
+      fetchGitHub('/user/emails', tokens.access_token)
+    ]);
+
+    const primaryEmail = emails.find(e => e.primary && e.verified) || emails.find(e => e.verified);
+
+    return {
+      tokens,
+      userInfo: {
+        id: String(profile.id),
+        login: profile.login,
+        name: profile.name,
+        avatarUrl: profile.avatar_url,
+        email: primaryEmail ? primaryEmail.email : null,
+        emailVerified: Boolean(primaryEmail)
+      }
+    };
+  } catch (error) {
+    console.error('Error getting GitHub tokens:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   oauth2Client,
   getGoogleAuthURL,
   getGoogleUserInfo,
   getGoogleTokensAndUser,
   verifyGoogleToken,
+  getGitHubAuthURL,
+  getGitHubTokensAndUser,
   GOOGLE_CLIENT_ID,
-  GOOGLE_REDIRECT_URI
+  GOOGLE_REDIRECT_URI,
+  GITHUB_CLIENT_ID,
+  GITHUB_REDIRECT_URI
 };
\ No newline at end of file
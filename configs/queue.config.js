@@ -0,0 +1,151 @@
+const EventEmitter = require('events');
+const Queue = require('bull');
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+const QUEUE_DRIVER = process.env.QUEUE_DRIVER || (process.env.REDIS_URL ? 'redis' : 'memory');
+
+// setTimeout cannot wait longer than ~24.8 days
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Calculate the delay before retrying a failed job (same formulas as Bull)
+ * @param {Number|Object} backoff - Delay in ms or { type: 'fixed' | 'exponential', delay }
+ * @param {Number} attemptsMade - Attempts made so far
+ * @returns {Number} Delay in milliseconds
+ */
+const getBackoffDelay = (backoff, attemptsMade) => {
+  if (!backoff) return 0;
+  if (typeof backoff === 'number') return backoff;
+  if (backoff.type === 'exponential') {
+    return Math.round((Math.pow(2, attemptsMade) - 1) * backoff.delay);
+  }
+  return backoff.delay || 0;
+};
+
+/**
+ * In-process queue implementing the subset of the Bull API used by the app
+ * Jobs only live in memory, so anything pending is lost on restart and must be rehydrated
+ * Used for development and tests when Redis is not available
+ */
+class MemoryQueue extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+    this.jobs = new Map();
+    this.handler = null;
+    this.nextId = 1;
+  }
+
+  async add(data, opts = {}) {
+    const id = opts.jobId !== undefined ? String(opts.jobId) : String(this.nextId++);
+
+    // Like Bull, adding a job with an existing ID is a no-op
+    if (this.jobs.has(id)) {
+      return this.jobs.get(id);
+    }
+
+    const job = {
+      id,
+      data,
+      opts,
+      attemptsMade: 0,
+      timestamp: Date.now(),
+      runAt: Date.now() + (opts.delay || 0),
+      timer: null,
+      remove: async () => this.removeJob(id)
+    };
+
+    this.jobs.set(id, job);
+    this.scheduleJob(job);
+
+    return job;
+  }
+
+  process(concurrency, handler) {
+    this.handler = typeof concurrency === 'function' ? concurrency : handler;
+    this.jobs.forEach(job => this.scheduleJob(job));
+  }
+
+  async getJob(id) {
+    return this.jobs.get(String(id)) || null;
+  }
+
+  async close() {
+    this.jobs.forEach(job => clearTimeout(job.timer));
+    this.jobs.clear();
+  }
+
+  removeJob(id) {
+    const job = this.jobs.get(String(id));
+    if (job) {
+      clearTimeout(job.timer);
+      this.jobs.delete(job.id);
+    }
+  }
+
+  scheduleJob(job) {
+    if (!this.handler) return;
+
+    clearTimeout(job.timer);
+    const delay = Math.max(0, job.runAt - Date.now());
+
+    job.timer = setTimeout(() => {
+      // Long delays are split into several timers
+      if (job.runAt > Date.now()) {
+        this.scheduleJob(job);
+      } else {
+        this.runJob(job);
+      }
+    }, Math.min(delay, MAX_TIMER_DELAY));
+
+    // Pending jobs should not keep the process alive
+    job.timer.unref();
+  }
+
+  async runJob(job) {
+    try {
+      const result = await this.handler(job);
+      job.attemptsMade++;
+      this.jobs.delete(job.id);
+      this.emit('completed', job, result);
+    } catch (error) {
+      job.attemptsMade++;
+      job.failedReason = error.message;
+
+      if (job.attemptsMade < (job.opts.attempts || 1)) {
+        job.runAt = Date.now() + getBackoffDelay(job.opts.backoff, job.attemptsMade);
+        this.scheduleJob(job);
+      } else {
+        this.jobs.delete(job.id);
+      }
+
+      this.emit('failed', job, error);
+    }
+  }
+}
+
+/**
+ * Create a job queue
+ * Uses Bull (Redis) when REDIS_URL is set or QUEUE_DRIVER=redis, otherwise an in-process queue
+ * @param {String} name - Queue name
+ * @returns {Object} Bull queue or MemoryQueue
+ */
+const createQueue = (name) => {
+  if (QUEUE_DRIVER === 'redis') {
+    const queue = new Queue(name, REDIS_URL);
+
+    queue.on('error', (error) => {
+      console.error(`❌ Queue "${name}" error:`, error.message);
+    });
+
+    return queue;
+  }
+
+  return new MemoryQueue(name);
+};
+
+module.exports = {
+  createQueue,
+  MemoryQueue,
+  QUEUE_DRIVER
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+const AccessToken = require('../models/accessToken.model');
+const { ApiError } = require('../middlewares/api.error');
+const { ApiResponse } = require('../utils/api.response');
+
+const MAX_TOKENS_PER_USER = 50;
+
+/**
+ * Create a personal access token
+ * The token is only returned in this response
+ * @route POST /api/users/me/tokens
+ */
+const createAccessToken = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const activeCount = await AccessToken.countDocuments({ userId: req.userId, revokedAt: null });
+    if (activeCount >= MAX_TOKENS_PER_USER) {
+      throw new ApiError(400, `You can have at most ${MAX_TOKENS_PER_USER} access tokens`);
+    }
+
+    const { token, tokenHash, tokenPreview } = AccessToken.generateToken();
+
+    const accessToken = await AccessToken.create({
+      userId: req.userId,
+      name,
+      tokenHash,
+      tokenPreview,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    res.status(201).json(new ApiResponse(
+      201,
+      { ...accessToken.toObject(), token },
+      'Access token created successfully. Store it now, it will not be shown again'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's personal access tokens
+ * @route GET /api/users/me/tokens
+ */
+const getAccessTokens = async (req, res, next) => {
+  try {
+    const tokens = await AccessToken.find({ userId: req.userId, revokedAt: null }).sort({ createdAt: -1 });
+
+    res.json(new ApiResponse(
+      200,
+      tokens.map(token => ({ ...token.toObject(), isExpired: !token.isActive() })),
+      'Access tokens retrieved successfully'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a personal access token
+ * @route DELETE /api/users/me/tokens/:tokenId
+ */
+const revokeAccessToken = async (req, res, next) => {
+  try {
+    const accessToken = await AccessToken.findOneAndUpdate(
+      { _id: req.params.tokenId, userId: req.userId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!accessToken) {
+      throw new ApiError(404, 'Access token not found');
+    }
+
+    res.json(new ApiResponse(200, null, 'Access token revoked successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createAccessToken,
+  getAccessTokens,
+  revokeAccessToken
+};
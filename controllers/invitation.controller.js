@@ -0,0 +1,196 @@
+const Invitation = require('../models/invitation.model');
+const Todo = require('../models/todo.model');
+const User = require('../models/user.model');
+const { ApiError } = require('../middlewares/api.error');
+const { ApiResponse } = require('../utils/api.response');
+const { verifyInvitationToken } = require('../configs/jwt.config');
+const { sendInvitation, acceptInvitation } = require('../services/invitation.service');
+const { getTodoAccess, assertCan } = require('../services/permission.service');
+
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Find a todo whose sharing the current user manages
+ */
+const findManagedTodo = async (todoId, userId) => {
+  const todo = await Todo.findOne({ _id: todoId, isDeleted: false });
+
+  if (!todo) {
+    throw new ApiError(404, 'Todo not found');
+  }
+
+  assertCan(await getTodoAccess(todo, userId), 'share:manage');
+
+  return todo;
+};
+
+/**
+ * Find a pending invitation for a todo whose sharing the current user manages
+ */
+const findManagedPendingInvitation = async (invitationId, userId) => {
+  const invitation = await Invitation.findOne({ _id: invitationId, status: 'pending' });
+
+  if (!invitation) {
+    throw new ApiError(404, 'Invitation not found');
+  }
+
+  const todo = await findManagedTodo(invitation.todoId, userId);
+
+  return { invitation, todo };
+};
+
+/**
+ * Find the invitation a token was issued for
+ * Only the most recently sent token is valid
+ */
+const findInvitationByToken = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyInvitationToken(token);
+  } catch (error) {
+    throw new ApiError(400, 'Invitation link is invalid or has expired');
+  }
+
+  const invitation = await Invitation.findById(decoded.id).select('+tokenHash');
+
+  if (!invitation || !invitation.matchesToken(token)) {
+    throw new ApiError(400, 'Invitation link is invalid or has expired');
+  }
+
+  return invitation;
+};
+
+/**
+ * Get invitations for a todo
+ * @route GET /api/invitations?todoId=
+ */
+const getTodoInvitations = async (req, res, next) => {
+  try {
+    const todo = await findManagedTodo(req.query.todoId, req.userId);
+
+    const invitations = await Invitation.find({ todoId: todo._id, status: 'pending' })
+      .sort({ createdAt: -1 });
+
+    res.json(new ApiResponse(200, invitations, 'Invitations retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resend an invitation with a new link and expiry
+ * @route POST /api/invitations/:invitationId/resend
+ */
+const resendInvitation = async (req, res, next) => {
+  try {
+    const { invitation, todo } = await findManagedPendingInvitation(req.params.invitationId, req.userId);
+
+    if (invitation.lastSentAt && Date.now() - invitation.lastSentAt < RESEND_COOLDOWN_MS) {
+      throw new ApiError(429, 'Invitation was just sent. Please wait a minute before resending');
+    }
+
+    await sendInvitation(invitation, todo);
+
+    res.json(new ApiResponse(200, invitation, 'Invitation resent successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a pending invitation
+ * @route DELETE /api/invitations/:invitationId
+ */
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const { invitation } = await findManagedPendingInvitation(req.params.invitationId, req.userId);
+
+    invitation.status = 'revoked';
+    await invitation.save();
+
+    res.json(new ApiResponse(200, null, 'Invitation revoked successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Preview an invitation before signing up or in
+ * @route GET /api/invitations/preview?token=
+ */
+const previewInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findInvitationByToken(req.query.token);
+
+    const [todo, inviter] = await Promise.all([
+      Todo.findById(invitation.todoId).select('title isDeleted'),
+      User.findById(invitation.invitedBy).select('name profilePicture')
+    ]);
+
+    res.json(new ApiResponse(
+      200,
+      {
+        email: invitation.email,
+        permissions: invitation.permissions,
+        status: invitation.status,
+        isExpired: invitation.isExpired,
+        expiresAt: invitation.expiresAt,
+        todoTitle: todo && !todo.isDeleted ? todo.title : null,
+        invitedBy: inviter ? { name: inviter.name, profilePicture: inviter.profilePicture } : null
+      },
+      'Invitation retrieved successfully'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept an invitation with the signed-in account, which must have the invited (verified) email
+ * Invitations are also accepted automatically when a user with the invited email signs in
+ * @route POST /api/invitations/accept
+ */
+const acceptInvitationByToken = async (req, res, next) => {
+  try {
+    const invitation = await findInvitationByToken(req.body.token);
+
+    if (invitation.status !== 'pending' || invitation.isExpired) {
+      throw new ApiError(410, `Invitation is ${invitation.status === 'pending' ? 'expired' : invitation.status}`);
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    // Only the invited address may redeem the link, so a forwarded invitation cannot be used
+    if (user.email.toLowerCase() !== invitation.email.toLowerCase()) {
+      throw new ApiError(403, 'This invitation was sent to a different email address. Sign in with that address to accept it');
+    }
+
+    if (!user.isEmailVerified) {
+      throw new ApiError(403, 'Verify your email address before accepting invitations');
+    }
+
+    if (!(await acceptInvitation(invitation, user))) {
+      throw new ApiError(410, 'Invitation is no longer available');
+    }
+
+    res.json(new ApiResponse(
+      200,
+      { todoId: invitation.todoId, permissions: invitation.permissions },
+      'Invitation accepted successfully'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTodoInvitations,
+  resendInvitation,
+  revokeInvitation,
+  previewInvitation,
+  acceptInvitationByToken
+};
@@ -0,0 +1,136 @@
+const Notification = require('../models/notification.model');
+const { ApiError } = require('../middlewares/api.error');
+const { ApiResponse, paginatedResponse } = require('../utils/api.response');
+
+/**
+ * Get notifications for the current user
+ * @route GET /api/notifications
+ * @query page, limit, type (comma-separated), unread=true
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { type, unread } = req.query;
+
+    const query = { userId: req.userId };
+
+    if (type) {
+      query.type = { $in: type.split(',') };
+    }
+
+    if (unread === 'true') {
+      query.isRead = false;
+    }
+
+    const [notifications, totalItems] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actorId', 'name email profilePicture')
+        .populate('todoId', 'title status'),
+      Notification.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalItems / limit);
+
+    return paginatedResponse(res, notifications, {
+      page,
+      limit,
+      totalPages,
+      totalItems,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }, 'Notifications retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get unread notification count for the current user
+ * @route GET /api/notifications/unread-count
+ */
+const getUnreadCount = async (req, res, next) => {
+  try {
+    const count = await Notification.countUnread(req.userId);
+
+    res.json(new ApiResponse(200, { count }, 'Unread count retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a notification as read
+ * @route PATCH /api/notifications/:notificationId/read
+ */
+const markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.notificationId,
+      userId: req.userId
+    });
+
+    if (!notification) {
+      throw new ApiError(404, 'Notification not found');
+    }
+
+    await notification.markAsRead();
+
+    res.json(new ApiResponse(200, notification, 'Notification marked as read'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark all notifications as read
+ * @route PATCH /api/notifications/read-all
+ */
+const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.userId, isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    res.json(new ApiResponse(
+      200,
+      { modifiedCount: result.modifiedCount },
+      `${result.modifiedCount} notifications marked as read`
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a notification
+ * @route DELETE /api/notifications/:notificationId
+ */
+const deleteNotification = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.notificationId,
+      userId: req.userId
+    });
+
+    if (!notification) {
+      throw new ApiError(404, 'Notification not found');
+    }
+
+    res.json(new ApiResponse(200, null, 'Notification deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification
+};
@@ -0,0 +1,604 @@
+const Project = require('../models/project.model');
+const Todo = require('../models/todo.model');
+const Workspace = require('../models/workspace.model');
+const { ApiError } = require('../middlewares/api.error');
+const { ApiResponse, paginatedResponse } = require('../utils/api.response');
+const { paginate } = require('../utils/pagination.util');
+const { findWorkspaceForMember } = require('../services/workspace.service');
+const { withTodoRoles } = require('../services/permission.service');
+const { emitTodoEvent } = require('../services/event.service');
+const { dispatchNotification } = require('../services/notification.service');
+const { syncTodoReminders } = require('../services/reminder.service');
+const { spawnNextOccurrence } = require('../services/recurrence.service');
+const { checkOpenBlockers } = require('../services/dependency.service');
+const {
+  hasConfiguredBoard,
+  findBoardColumn,
+  resolveBoardColumn,
+  getBoardColumns,
+  checkWipLimit,
+  getBoardPosition,
+  getBoard
+} = require('../services/board.service');
+const {
+  findProjectForUser,
+  assertTodoFitsProject,
+  getProjectStats,
+  countProjectTodos,
+  migrateCategoriesToProjects
+} = require('../services/project.service');
+
+const PROJECT_FIELDS = ['name', 'description', 'color', 'icon'];
+
+/**
+ * Find a section of a project
+ */
+const findSection = (project, sectionId) => {
+  const section = project.getSection(sectionId);
+
+  if (!section) {
+    throw new ApiError(404, 'Section not found');
+  }
+
+  return section;
+};
+
+/**
+ * File a todo under a project and section, logging the change
+ */
+const fileTodo = async (todo, { projectId, sectionId }, userId) => {
+  const changes = {};
+
+  if (String(todo.projectId || '') !== String(projectId || '')) {
+    changes.projectId = { old: todo.projectId, new: projectId };
+    todo.projectId = projectId;
+    // Board columns belong to the old project
+    todo.boardColumnId = null;
+    todo.boardPosition = null;
+  }
+
+  if (String(todo.sectionId || '') !== String(sectionId || '')) {
+    changes.sectionId = { old: todo.sectionId, new: sectionId };
+    todo.sectionId = sectionId;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return todo;
+  }
+
+  todo.activityLog.push({
+    action: 'updated',
+    userId,
+    changes,
+    timestamp: new Date()
+  });
+
+  await todo.save();
+
+  emitTodoEvent('todo.updated', todo, userId, { changes });
+
+  return todo;
+};
+
+// ============ PROJECTS ============
+
+/**
+ * Create a project, optionally in a workspace and with initial sections
+ * @route POST /api/projects
+ */
+const createProject = async (req, res, next) => {
+  try {
+    const { workspaceId, sections } = req.body;
+
+    if (workspaceId) {
+      await findWorkspaceForMember(workspaceId, req.userId, 'member');
+    }
+
+    const project = new Project({
+      userId: req.userId,
+      workspaceId: workspaceId || null,
+      sections: (sections || []).map(name => ({ name }))
+    });
+    PROJECT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) project[field] = req.body[field];
+    });
+
+    await project.save();
+
+    res.status(201).json(new ApiResponse(201, project, 'Project created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the user's personal projects and the projects of their workspaces
+ * @route GET /api/projects
+ * @query workspaceId (only that workspace's projects), archived
+ */
+const getProjects = async (req, res, next) => {
+  try {
+    const { workspaceId, archived } = req.query;
+
+    let filter;
+    if (workspaceId) {
+      await findWorkspaceForMember(workspaceId, req.userId);
+      filter = { workspaceId };
+    } else {
+      const workspaces = await Workspace.findForUser(req.userId).select('_id');
+      filter = {
+        $or: [
+          { userId: req.userId, workspaceId: null },
+          { workspaceId: { $in: workspaces.map(workspace => workspace._id) } }
+        ]
+      };
+    }
+
+    const projects = await Project.find({ ...filter, isArchived: archived === 'true' })
+      .sort({ name: 1 });
+
+    const counts = await countProjectTodos(projects.map(project => project._id));
+
+    res.json(new ApiResponse(
+      200,
+      projects.map(project => ({
+        ...project.toObject(),
+        ...(counts.get(project._id.toString()) || { todoCount: 0, completedCount: 0 })
+      })),
+      'Projects retrieved successfully'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a project
+ * @route GET /api/projects/:projectId
+ */
+const getProjectById = async (req, res, next) => {
+  try {
+    const project = await findProjectForUser(req.params.projectId, req.userId);
+
+    res.json(new ApiResponse(200, project, 'Project retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a project; archiving needs manage access
+ * @route PATCH /api/projects/:projectId
+ */
+const updateProject = async (req, res, next) => {
+  try {
+    const { isArchived } = req.body;
+    const access = isArchived !== undefined ? 'manage' : 'edit';
+    const project = await findProjectForUser(req.params.projectId, req.userId, access);
+
+    PROJECT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) project[field] = req.body[field];
+    });
+
+    if (isArchived !== undefined && isArchived !== project.isArchived) {
+      project.isArchived = isArchived;
+      project.archivedAt = isArchived ? new Date() : null;
+    }
+
+    await project.save();
+
+    res.json(new ApiResponse(200, project, 'Project updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a project
+ * Its todos are kept and no longer filed under a project
+ * @route DELETE /api/projects/:projectId
+ */
+const deleteProject = async (req, res, next) => {
+  try {
+    const project = await findProjectForUser(req.params.projectId, req.userId, 'manage');
+
+    const result = await Todo.updateMany(
+      { projectId: project._id },
+      { $set: { projectId: null, sectionId: null, boardColumnId: null, boardPosition: null } }
+    );
+    await project.deleteOne();
+
+    res.json(new ApiResponse(
+      200,
+      { detachedTodos: result.modifiedCount },
+      'Project deleted successfully'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a project's todos (?sectionId, or ?sectionId=none for todos outside sections)
+ * @route GET /api/projects/:projectId/todos
+ * @query sectionId, cursor | page, limit
+ */
+const getProjectTodos = async (req, res, next) => {
+  try {
+    const { sectionId } = req.query;
+    const project = await findProjectForUser(req.params.projectId, req.userId);
+
+    const query = { projectId: project._id, isDeleted: false, parentId: null };
+    if (sectionId === 'none') {
+      query.sectionId = null;
+    } else if (sectionId) {
+      query.sectionId = findSection(project, sectionId)._id;
+    }
+
+    const todos = Todo.find(query).populate('assignee', 'name email profilePicture');
+    const { items, pagination } = await paginate(todos, req.query, { field: 'createdAt', order: -1 });
+
+    return paginatedResponse(
+      res,
+      await withTodoRoles(items, req.userId),
+      pagination,
+      `Todos in project "${project.name}" retrieved successfully`
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get todo statistics for a project
+ * @route GET /api/projects/:projectId/stats
+ */
+const getProjectStatsById = async (req, res, next) => {
+  try {
+    const project = await findProjectForUser(req.params.projectId, req.userId);
+
+    res.json(new ApiResponse(200, await getProjectStats(project), 'Project statistics retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Convert the categories of the user's personal todos into projects
+ * @route POST /api/projects/migrate-categories
+ */
+const migrateCategories = async (req, res, next) => {
+  try {
+    const results = await migrateCategoriesToProjects({ userId: req.userId });
+
+    res.json(new ApiResponse(
+      200,
+      results,
+      `${results.length} categories converted into projects`
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============ SECTIONS ============
+
+/**
+ * Add a section to a project
+ * @route POST /api/projects/:projectId/sections
+ */
+const createSection = async (req, res, next) => {
+  try {
+    const { name, position } = req.body;
+    const project = await findProjectForUser(req.params.projectId, req.userId, 'edit');
+
+    const index = position === undefined ? project.sections.length : Math.min(position, project.sections.length);
+    project.sections.splice(index, 0, { name });
+    await project.save();
+
+    res.status(201).json(new ApiResponse(201, project, 'Section created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename or move a section
+ * @route PATCH /api/projects/:projectId/sections/:sectionId
+ */
+const updateSection = async (req, res, next) => {
+  try {
+    const { name, position } = req.body;
+    const project = await findProjectForUser(req.params.projectId, req.userId, 'edit');
+    const section = findSection(project, req.params.sectionId);
+
+    if (name !== undefined) {
+      section.name = name;
+    }
+
+    if (position !== undefined) {
+      const sections = project.sections.filter(s => !s._id.equals(section._id));
+      sections.splice(Math.min(position, sections.length), 0, section);
+      project.sections = sections;
+    }
+
+    await project.save();
+
+    res.json(new ApiResponse(200, project, 'Section updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a section
+ * Its todos stay in the project, outside any section
+ * @route DELETE /api/projects/:projectId/sections/:sectionId
+ */
+const deleteSection = async (req, res, next) => {
+  try {
+    const project = await findProjectForUser(req.params.projectId, req.userId, 'edit');
+    const section = findSection(project, req.params.sectionId);
+
+    project.sections.pull(section._id);
+
+    await Promise.all([
+      project.save(),
+      Todo.updateMany({ projectId: project._id, sectionId: section._id }, { $set: { sectionId: null } })
+    ]);
+
+    res.json(new ApiResponse(200, project, 'Section deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============ BOARD ============
+
+/**
+ * Get a project's board: todos grouped by column, in board order
+ * @route GET /api/projects/:projectId/board
+ */
+const getProjectBoard = async (req, res, next) => {
+  try {
+    const project = await findProjectForUser(req.params.projectId, req.userId);
+    const board = await getBoard(project);
+
+    const [columns, unmapped] = await Promise.all([
+      Promise.all(board.columns.map(async column => ({
+        ...column,
+        todos: await withTodoRoles(column.todos, req.userId)
+      }))),
+      withTodoRoles(board.unmapped, req.userId)
+    ]);
+
+    res.json(new ApiResponse(
+      200,
+      { ...board, columns, unmapped },
+      `Board of project "${project.name}" retrieved successfully`
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the columns of a project's board; an empty list restores the default board
+ * Columns sent with an _id keep it, so todos stay in them
+ * @route PUT /api/projects/:projectId/board
+ */
+const updateProjectBoard = async (req, res, next) => {
+  try {
+    const { columns } = req.body;
+    const project = await findProjectForUser(req.params.projectId, req.userId, 'edit');
+
+    const existingIds = new Set(project.board.columns.map(column => column._id.toString()));
+    const unknown = columns.filter(column => column._id && !existingIds.has(String(column._id)));
+    if (unknown.length > 0) {
+      throw new ApiError(404, `Board column not found: ${unknown.map(column => column._id).join(', ')}`);
+    }
+
+    project.board.columns = columns.map(({ _id, name, status, wipLimit, wipPolicy }) => ({
+      ...(_id && { _id }),
+      name,
+      status,
+      wipLimit: wipLimit || null,
+      ...(wipPolicy && { wipPolicy })
+    }));
+
+    await project.save();
+
+    res.json(new ApiResponse(
+      200,
+      { projectId: project._id, configured: hasConfiguredBoard(project), columns: getBoardColumns(project) },
+      'Board updated successfully'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move a todo to a board column, at a position within it
+ * Its status becomes the column's status, in the same save as its position
+ * Moving into a completed column respects open blockers (unless ?force=true)
+ * @route PUT /api/todos/:todoId/board
+ */
+const moveTodoOnBoard = async (req, res, next) => {
+  try {
+    const { columnId, position } = req.body;
+    const userId = req.userId;
+    const todo = req.todo;
+
+    if (!todo.projectId) {
+      throw new ApiError(400, 'Todo is not in a project');
+    }
+
+    const project = await findProjectForUser(todo.projectId, userId, 'edit');
+    const column = findBoardColumn(project, columnId);
+    const previousStatus = todo.status;
+    const statusChanged = column.status !== previousStatus;
+
+    let openBlockers = [];
+    if (statusChanged && column.status === 'completed') {
+      openBlockers = await checkOpenBlockers(todo, req.query.force === 'true');
+    }
+
+    // Reordering within a column does not count against its limit
+    const currentColumn = resolveBoardColumn(getBoardColumns(project), todo);
+    const wipWarning = currentColumn && currentColumn.id === column.id
+      ? null
+      : await checkWipLimit(project, column, todo);
+
+    todo.boardPosition = await getBoardPosition(project, column, todo, position);
+    todo.boardColumnId = hasConfiguredBoard(project) ? column.id : null;
+
+    const changes = {};
+    if (statusChanged) {
+      changes.status = { old: previousStatus, new: column.status };
+      todo.status = column.status;
+      todo.blockedByDependencies = false;
+
+      if (column.status === 'completed') {
+        todo.completed = true;
+        todo.completedAt = new Date();
+      } else if (previousStatus === 'completed') {
+        todo.completed = false;
+        todo.completedAt = null;
+      }
+
+      todo.activityLog.push({
+        action: column.status === 'completed' ? 'completed' : 'updated',
+        userId,
+        changes,
+        timestamp: new Date()
+      });
+    }
+
+    await todo.save();
+
+    if (!statusChanged) {
+      emitTodoEvent('todo.updated', todo, userId, { changes });
+    } else if (column.status === 'completed') {
+      await syncTodoReminders(todo);
+
+      // Generate the next instance of a recurring todo
+      const nextOccurrence = await spawnNextOccurrence(todo, userId);
+
+      emitTodoEvent('todo.completed', todo, userId);
+
+      if (nextOccurrence) {
+        await syncTodoReminders(nextOccurrence);
+        emitTodoEvent('todo.created', nextOccurrence, userId);
+      }
+    } else {
+      if (previousStatus === 'completed') {
+        await syncTodoReminders(todo);
+      }
+
+      emitTodoEvent('todo.updated', todo, userId, { changes });
+    }
+
+    if (statusChanged) {
+      dispatchNotification({
+        type: 'todo.status-changed',
+        todo,
+        actorId: userId,
+        data: { from: previousStatus, to: column.status }
+      });
+    }
+
+    const warnings = [];
+    if (openBlockers.length > 0) warnings.push(`${openBlockers.length} blocker(s) are still open`);
+    if (wipWarning) warnings.push(wipWarning);
+
+    res.json(new ApiResponse(
+      200,
+      todo,
+      `Todo moved to column "${column.name}"${warnings.length > 0 ? ` (warning: ${warnings.join('; ')})` : ''}`
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============ MOVING TODOS ============
+
+/**
+ * Move a todo to a project (and optionally a section), or out of its project with projectId: null
+ * @route PUT /api/todos/:todoId/project
+ */
+const moveTodoToProject = async (req, res, next) => {
+  try {
+    const { projectId, sectionId } = req.body;
+    const todo = req.todo;
+
+    if (!projectId) {
+      await fileTodo(todo, { projectId: null, sectionId: null }, req.userId);
+      return res.json(new ApiResponse(200, todo, 'Todo removed from its project'));
+    }
+
+    const project = await findProjectForUser(projectId, req.userId, 'edit');
+
+    if (project.isArchived) {
+      throw new ApiError(400, 'Todos cannot be moved to an archived project');
+    }
+
+    assertTodoFitsProject(todo, project);
+
+    const section = sectionId ? findSection(project, sectionId) : null;
+
+    await fileTodo(todo, { projectId: project._id, sectionId: section ? section._id : null }, req.userId);
+
+    res.json(new ApiResponse(200, todo, `Todo moved to project "${project.name}"`));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move a todo to another section of its project, or out of sections with sectionId: null
+ * @route PUT /api/todos/:todoId/section
+ */
+const moveTodoToSection = async (req, res, next) => {
+  try {
+    const { sectionId } = req.body;
+    const todo = req.todo;
+
+    if (!todo.projectId) {
+      throw new ApiError(400, 'Todo is not in a project');
+    }
+
+    const project = await findProjectForUser(todo.projectId, req.userId, 'edit');
+    const section = sectionId ? findSection(project, sectionId) : null;
+
+    await fileTodo(todo, { projectId: project._id, sectionId: section ? section._id : null }, req.userId);
+
+    res.json(new ApiResponse(
+      200,
+      todo,
+      section ? `Todo moved to section "${section.name}"` : 'Todo removed from its section'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createProject,
+  getProjects,
+  getProjectById,
+  updateProject,
+  deleteProject,
+  getProjectTodos,
+  getProjectStatsById,
+  migrateCategories,
+  createSection,
+  updateSection,
+  deleteSection,
+  getProjectBoard,
+  updateProjectBoard,
+  moveTodoOnBoard,
+  moveTodoToProject,
+  moveTodoToSection
+};
@@ -0,0 +1,62 @@
+const { subscribe, getMissedEvents } = require('../services/realtime.service');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const RETRY_MS = 5000;
+
+/**
+ * Write a Server-Sent Event
+ */
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.payload)}\n\n`);
+};
+
+/**
+ * Stream todo events to the current user (Server-Sent Events)
+ * Clients reconnecting with Last-Event-ID receive the events they missed,
+ * or a "resync" event when those can no longer be replayed
+ * @route GET /api/events
+ */
+const streamEvents = (req, res, next) => {
+  try {
+    const userId = req.userId.toString();
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // Replay and subscribe synchronously so no event slips in between
+    if (lastEventId) {
+      const missed = getMissedEvents(userId, lastEventId);
+
+      if (missed === null) {
+        res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available' })}\n\n`);
+      } else {
+        missed.forEach(event => writeEvent(res, event));
+      }
+    }
+
+    const unsubscribe = subscribe(userId, event => writeEvent(res, event));
+
+    // Keep the connection open through proxies
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  streamEvents
+};
@@ -0,0 +1,310 @@
+const SavedView = require('../models/savedView.model');
+const User = require('../models/user.model');
+const { ApiError } = require('../middlewares/api.error');
+const { ApiResponse, paginatedResponse } = require('../utils/api.response');
+const { findWorkspaceForMember } = require('../services/workspace.service');
+const { parseTodoFilter } = require('../services/todoFilter.service');
+const { getTodoListPage, groupTodoPage } = require('../services/todoList.service');
+
+const MAX_VIEWS_PER_USER = 100;
+const VIEW_FIELDS = ['name', 'filter', 'scope', 'workspaceId', 'sortBy', 'groupBy', 'columns'];
+
+/**
+ * Find a view the current user owns or that is shared with them
+ * Views the user cannot see get 404 so IDs cannot be probed
+ */
+const findVisibleView = async (viewId, userId) => {
+  const view = await SavedView.findById(viewId);
+
+  if (!view || !view.getPermission(userId)) {
+    throw new ApiError(404, 'View not found');
+  }
+
+  return view;
+};
+
+/**
+ * Serialize a view for the current user
+ * Other users' pins are not exposed
+ */
+const serializeView = (view, userId) => {
+  const { pinnedBy, ...data } = view.toObject();
+
+  return {
+    ...data,
+    permission: view.getPermission(userId),
+    isPinned: view.isPinnedBy(userId)
+  };
+};
+
+/**
+ * Check a view definition before saving it
+ * The filter must parse and the user must belong to the workspace it runs over
+ */
+const validateViewDefinition = async ({ filter, workspaceId }, userId) => {
+  if (filter) {
+    parseTodoFilter(filter, { userId });
+  }
+
+  if (workspaceId) {
+    await findWorkspaceForMember(workspaceId, userId);
+  }
+};
+
+/**
+ * Create a saved view
+ * @route POST /api/views
+ */
+const createView = async (req, res, next) => {
+  try {
+    const { pinned } = req.body;
+
+    const count = await SavedView.countDocuments({ userId: req.userId });
+    if (count >= MAX_VIEWS_PER_USER) {
+      throw new ApiError(400, `You can have at most ${MAX_VIEWS_PER_USER} saved views`);
+    }
+
+    await validateViewDefinition(req.body, req.userId);
+
+    const view = new SavedView({ userId: req.userId });
+    VIEW_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) view[field] = req.body[field];
+    });
+
+    if (pinned) {
+      view.pinnedBy.push(req.userId);
+    }
+
+    await view.save();
+
+    res.status(201).json(new ApiResponse(201, serializeView(view, req.userId), 'View created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get views the current user owns or that are shared with them, pinned views first
+ * @route GET /api/views
+ */
+const getViews = async (req, res, next) => {
+  try {
+    const views = await SavedView.findVisibleTo(req.userId)
+      .sort({ name: 1 })
+      .populate('userId', 'name email profilePicture');
+
+    const data = views
+      .map(view => serializeView(view, req.userId))
+      .sort((a, b) => Number(b.isPinned) - Number(a.isPinned));
+
+    res.json(new ApiResponse(200, data, 'Views retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a view
+ * @route GET /api/views/:viewId
+ */
+const getViewById = async (req, res, next) => {
+  try {
+    const view = await findVisibleView(req.params.viewId, req.userId);
+    await view.populate('sharedWith.userId', 'name email profilePicture');
+
+    res.json(new ApiResponse(200, serializeView(view, req.userId), 'View retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a view's definition
+ * @route PATCH /api/views/:viewId
+ */
+const updateView = async (req, res, next) => {
+  try {
+    const view = await findVisibleView(req.params.viewId, req.userId);
+
+    if (!view.canEdit(req.userId)) {
+      throw new ApiError(403, 'You can only view this saved view');
+    }
+
+    await validateViewDefinition(req.body, req.userId);
+
+    VIEW_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) view[field] = req.body[field];
+    });
+
+    await view.save();
+
+    res.json(new ApiResponse(200, serializeView(view, req.userId), 'View updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a view
+ * @route DELETE /api/views/:viewId
+ */
+const deleteView = async (req, res, next) => {
+  try {
+    const view = await findVisibleView(req.params.viewId, req.userId);
+
+    if (view.getPermission(req.userId) !== 'owner') {
+      throw new ApiError(403, 'Only the view owner can delete it');
+    }
+
+    await view.deleteOne();
+
+    res.json(new ApiResponse(200, null, 'View deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Share a view with another user, or change their permissions
+ * @route POST /api/views/:viewId/share
+ */
+const shareView = async (req, res, next) => {
+  try {
+    const { userId, permissions = 'view' } = req.body;
+    const view = await findVisibleView(req.params.viewId, req.userId);
+
+    if (view.getPermission(req.userId) !== 'owner') {
+      throw new ApiError(403, 'Only the view owner can share it');
+    }
+
+    if (userId === req.userId) {
+      throw new ApiError(400, 'You cannot share a view with yourself');
+    }
+
+    const user = await User.findById(userId).select('_id');
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    const share = view.sharedWith.find(s => s.userId.toString() === userId);
+    if (share) {
+      share.permissions = permissions;
+    } else {
+      view.sharedWith.push({ userId, permissions });
+    }
+
+    await view.save();
+    await view.populate('sharedWith.userId', 'name email profilePicture');
+
+    res.json(new ApiResponse(200, serializeView(view, req.userId), 'View shared successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stop sharing a view with a user
+ * The owner can remove anyone; sharees can remove themselves
+ * @route DELETE /api/views/:viewId/share/:shareWithUserId
+ */
+const revokeViewShare = async (req, res, next) => {
+  try {
+    const { shareWithUserId } = req.params;
+    const view = await findVisibleView(req.params.viewId, req.userId);
+
+    if (view.getPermission(req.userId) !== 'owner' && shareWithUserId !== req.userId) {
+      throw new ApiError(403, 'Only the view owner can manage sharing');
+    }
+
+    if (!view.sharedWith.some(s => s.userId.toString() === shareWithUserId)) {
+      throw new ApiError(404, 'View is not shared with this user');
+    }
+
+    view.sharedWith = view.sharedWith.filter(s => s.userId.toString() !== shareWithUserId);
+    view.pinnedBy = view.pinnedBy.filter(id => id.toString() !== shareWithUserId);
+    await view.save();
+
+    res.json(new ApiResponse(200, null, 'View sharing revoked successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pin a view for the current user
+ * @route PUT /api/views/:viewId/pin
+ */
+const pinView = async (req, res, next) => {
+  try {
+    const view = await findVisibleView(req.params.viewId, req.userId);
+
+    await SavedView.updateOne({ _id: view._id }, { $addToSet: { pinnedBy: req.userId } });
+
+    res.json(new ApiResponse(200, { isPinned: true }, 'View pinned successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unpin a view for the current user
+ * @route DELETE /api/views/:viewId/pin
+ */
+const unpinView = async (req, res, next) => {
+  try {
+    const view = await findVisibleView(req.params.viewId, req.userId);
+
+    await SavedView.updateOne({ _id: view._id }, { $pull: { pinnedBy: req.userId } });
+
+    res.json(new ApiResponse(200, { isPinned: false }, 'View unpinned successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run a view
+ * Views run for the user opening them: the scope and "me" in the filter refer to that user
+ * Todos come from the same listing as GET /api/todos (with the caller's role on each);
+ * the page is also grouped by the view's groupBy, and its columns tell clients what to show
+ * @route GET /api/views/:viewId/todos
+ * @query cursor | page, limit
+ */
+const getViewTodos = async (req, res, next) => {
+  try {
+    const view = await findVisibleView(req.params.viewId, req.userId);
+
+    const { items, pagination } = await getTodoListPage(req, {
+      scope: view.scope,
+      workspaceId: view.workspaceId,
+      q: view.filter,
+      sortBy: view.sortBy
+    });
+
+    return paginatedResponse(
+      res,
+      items,
+      pagination,
+      `Todos for view "${view.name}" retrieved successfully`,
+      {
+        view: { id: view._id, name: view.name, groupBy: view.groupBy, columns: view.columns },
+        groups: groupTodoPage(items, view.groupBy)
+      }
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createView,
+  getViews,
+  getViewById,
+  updateView,
+  deleteView,
+  shareView,
+  revokeViewShare,
+  pinView,
+  unpinView,
+  getViewTodos
+};
@@ -0,0 +1,234 @@
+const ShareLink = require('../models/shareLink.model');
+const ShareLinkAccess = require('../models/shareLinkAccess.model');
+const Todo = require('../models/todo.model');
+const { ApiError } = require('../middlewares/api.error');
+const { ApiResponse, paginatedResponse } = require('../utils/api.response');
+const {
+  getShareLinkUrl,
+  syncTodoVisibility,
+  logShareLinkAccess,
+  buildPublicTodoView
+} = require('../services/shareLink.service');
+
+const MAX_LINKS_PER_TODO = 20;
+
+/**
+ * Find an unrevoked share link of the todo loaded by authorizeTodo()
+ */
+const findTodoShareLink = async (req) => {
+  const shareLink = await ShareLink.findOne({
+    _id: req.params.linkId,
+    todoId: req.todo._id,
+    revokedAt: null
+  });
+
+  if (!shareLink) {
+    throw new ApiError(404, 'Share link not found');
+  }
+
+  return shareLink;
+};
+
+/**
+ * Find the todo behind a public share link token
+ * Unknown, revoked and expired links look the same to the caller
+ */
+const findSharedTodo = async (token) => {
+  const shareLink = await ShareLink.findActiveByToken(token);
+  const todo = shareLink && await Todo.findOne({ _id: shareLink.todoId, isDeleted: false });
+
+  if (!todo) {
+    throw new ApiError(404, 'This link is invalid or has expired');
+  }
+
+  return { shareLink, todo };
+};
+
+/**
+ * Send the public view of a shared todo and log the access
+ */
+const sendSharedTodo = async (req, res, { shareLink, todo }) => {
+  logShareLinkAccess(shareLink, req, 'viewed');
+
+  res.json(new ApiResponse(
+    200,
+    {
+      todo: await buildPublicTodoView(todo, shareLink),
+      expiresAt: shareLink.expiresAt
+    },
+    'Shared todo retrieved successfully'
+  ));
+};
+
+// ============ LINK MANAGEMENT ============
+
+/**
+ * Create a public share link for a todo
+ * The link token is only returned in this response
+ * @route POST /api/todos/:todoId/share-links
+ */
+const createShareLink = async (req, res, next) => {
+  try {
+    const { expiresInDays, password, hiddenFields } = req.body;
+    const todo = req.todo;
+
+    const activeCount = await ShareLink.countDocuments({ todoId: todo._id, revokedAt: null });
+    if (activeCount >= MAX_LINKS_PER_TODO) {
+      throw new ApiError(400, `A todo can have at most ${MAX_LINKS_PER_TODO} share links`);
+    }
+
+    const { token, tokenHash, tokenPreview } = ShareLink.generateToken();
+
+    const shareLink = await ShareLink.create({
+      todoId: todo._id,
+      createdBy: req.userId,
+      tokenHash,
+      tokenPreview,
+      password: password || null,
+      hiddenFields: hiddenFields ? [...new Set(hiddenFields)] : undefined,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    if (!todo.isPublic) {
+      await syncTodoVisibility(todo._id);
+    }
+
+    res.status(201).json(new ApiResponse(
+      201,
+      { ...shareLink.toJSON(), token, url: getShareLinkUrl(token) },
+      'Share link created successfully. Copy it now, it will not be shown again'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the unrevoked share links of a todo
+ * @route GET /api/todos/:todoId/share-links
+ */
+const getShareLinks = async (req, res, next) => {
+  try {
+    const shareLinks = await ShareLink.find({ todoId: req.todo._id, revokedAt: null })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email');
+
+    // Links expire without any request, so refresh isPublic while we are here
+    if (req.todo.isPublic && !shareLinks.some(shareLink => shareLink.isActive())) {
+      await syncTodoVisibility(req.todo._id);
+    }
+
+    res.json(new ApiResponse(
+      200,
+      shareLinks.map(shareLink => ({ ...shareLink.toJSON(), isExpired: !shareLink.isActive() })),
+      'Share links retrieved successfully'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a share link
+ * @route DELETE /api/todos/:todoId/share-links/:linkId
+ */
+const revokeShareLink = async (req, res, next) => {
+  try {
+    const shareLink = await findTodoShareLink(req);
+
+    shareLink.revokedAt = new Date();
+    await shareLink.save();
+
+    await syncTodoVisibility(req.todo._id);
+
+    res.json(new ApiResponse(200, null, 'Share link revoked successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the access log of a share link
+ * @route GET /api/todos/:todoId/share-links/:linkId/access
+ * @query page, limit
+ */
+const getShareLinkAccessLog = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const shareLink = await findTodoShareLink(req);
+
+    const query = { shareLinkId: shareLink._id };
+
+    const [entries, totalItems] = await Promise.all([
+      ShareLinkAccess.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ShareLinkAccess.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalItems / limit);
+
+    return paginatedResponse(res, entries, {
+      page,
+      limit,
+      totalPages,
+      totalItems,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }, 'Share link access log retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============ PUBLIC ACCESS ============
+
+/**
+ * View a shared todo
+ * Password-protected links must be opened with POST instead
+ * @route GET /api/public/share-links/:token
+ */
+const viewSharedTodo = async (req, res, next) => {
+  try {
+    const shared = await findSharedTodo(req.params.token);
+
+    if (shared.shareLink.hasPassword) {
+      logShareLinkAccess(shared.shareLink, req, 'password-required');
+      throw new ApiError(401, 'This link is password protected');
+    }
+
+    await sendSharedTodo(req, res, shared);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * View a password-protected shared todo
+ * @route POST /api/public/share-links/:token
+ */
+const unlockSharedTodo = async (req, res, next) => {
+  try {
+    const shared = await findSharedTodo(req.params.token);
+
+    if (shared.shareLink.hasPassword && !(await shared.shareLink.comparePassword(req.body.password))) {
+      logShareLinkAccess(shared.shareLink, req, 'wrong-password');
+      throw new ApiError(401, 'Incorrect password');
+    }
+
+    await sendSharedTodo(req, res, shared);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+  getShareLinkAccessLog,
+  viewSharedTodo,
+  unlockSharedTodo
+};
@@ -1,7 +1,60 @@
 const Todo = require('../models/todo.model');
 const User = require('../models/user.model');
 const { ApiError } = require('../middlewares/api.error');
-const { ApiResponse } = require('../utils/api.response');
+const { ApiResponse, paginatedResponse } = require('../utils/api.response');
+const { paginate, paginateArray } = require('../utils/pagination.util');
+const { getTodoListPage } = require('../services/todoList.service');
+const { searchTodos: searchTodoIndex } = require('../services/search.service');
+const { parseTodoFilter } = require('../services/todoFilter.service');
+const { buildTimeline } = require('../services/timeline.service');
+const { placeInStatusColumn } = require('../services/board.service');
+const { normalizeRecurrence, spawnNextOccurrence } = require('../services/recurrence.service');
+const { syncTodoReminders, cancelTodoReminders } = require('../services/reminder.service');
+const { getTodoAudience, dispatchNotification } = require('../services/notification.service');
+const { emitTodoEvent } = require('../services/event.service');
+const { findWorkspaceForMember, getTodoScope, hasWorkspaceRole } = require('../services/workspace.service');
+const { createInvitation } = require('../services/invitation.service');
+const { getTodoAccess, can, assertCan, getAllowedActions, withTodoRoles } = require('../services/permission.service');
+const {
+    INVERSE_LINK_TYPES,
+    linkTodos,
+    unlinkTodos,
+    getOpenBlockers,
+    checkOpenBlockers,
+    syncBlockedStatus
+} = require('../services/dependency.service');
+const Invitation = require('../models/invitation.model');
+const { BULK_UPDATE_FIELDS } = require('../middlewares/todo.validator');
+
+/**
+ * Load todos for a bulk operation, checking the user may perform the action on every one
+ * Handlers for a single todo get req.todo from authorizeTodo() instead
+ */
+const findAuthorizedTodos = async (todoIds, userId, action) => {
+    const todos = await Todo.find({ _id: { $in: todoIds }, isDeleted: false });
+
+    if (todos.length !== new Set(todoIds.map(String)).size) {
+        throw new ApiError(404, 'Some todos were not found');
+    }
+
+    const workspaces = new Map();
+    for (const todo of todos) {
+        assertCan(await getTodoAccess(todo, userId, workspaces), action);
+    }
+
+    return todos;
+};
+
+/**
+ * Send one page of a todo listing (?cursor or ?page, ?limit) with the caller's role on each todo
+ * @param {Object} query - Todo.find() query without sorting
+ * @param {Object} sort - { field, order } passed to paginate()
+ */
+const sendTodoPage = async (req, res, query, sort, message) => {
+    const { items, pagination } = await paginate(query, req.query, sort);
+
+    return paginatedResponse(res, await withTodoRoles(items, req.userId), pagination, message);
+};
 
 /**
  * Create a new todo
@@ -9,21 +62,31 @@ const { ApiResponse } = require('../utils/api.response');
  */
 const createTodo = async (req, res, next) => {
     try {
-        const { title, description, priority, dueDate, category, tags } = req.body;
+        const { title, description, priority, dueDate, startDate, reminder, category, tags, estimatedTime, recurring, workspaceId } = req.body;
         const userId = req.userId;
 
         if (!title) {
             throw new ApiError(400, 'Todo title is required');
         }
 
+        // Guests can view workspace todos but not create them
+        if (workspaceId) {
+            await findWorkspaceForMember(workspaceId, userId, 'member');
+        }
+
         const todo = await Todo.create({
             userId,
+            workspaceId: workspaceId || null,
             title,
             description: description || '',
             priority: priority || 'medium',
             dueDate: dueDate ? new Date(dueDate) : null,
+            startDate: startDate ? new Date(startDate) : null,
+            reminder: reminder ? new Date(reminder) : null,
+            estimatedTime: estimatedTime || 0,
             category: category || 'general',
             tags: tags || [],
+            recurring: recurring ? normalizeRecurrence(recurring) : undefined,
             status: 'todo',
             activityLog: [
                 {
@@ -34,6 +97,10 @@ const createTodo = async (req, res, next) => {
             ]
         });
 
+        await syncTodoReminders(todo);
+
+        emitTodoEvent('todo.created', todo, userId);
+
         res.status(201).json(new ApiResponse(
             201,
             todo,
@@ -50,30 +117,21 @@ const createTodo = async (req, res, next) => {
  */
 const addSubtask = async (req, res, next) => {
     try {
-        const { todoId } = req.params;
-        const { title, description, priority, dueDate } = req.body;
+        const { title, description, priority, dueDate, reminder } = req.body;
         const userId = req.userId;
 
         if (!title) {
             throw new ApiError(400, 'Subtask title is required');
         }
 
-        const todo = await Todo.findById(todoId);
-
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (todo.userId.toString() !== userId && !todo.sharedWith.some(s => s.userId.toString() === userId)) {
-            throw new ApiError(403, 'Permission denied');
-        }
+        const todo = req.todo;
 
         const newSubtask = {
             title,
             description: description || '',
             priority: priority || 'medium',
             dueDate: dueDate ? new Date(dueDate) : null,
+            reminder: reminder ? new Date(reminder) : null,
             status: 'todo',
             completed: false,
             subtasks: []
@@ -95,6 +153,12 @@ const addSubtask = async (req, res, next) => {
 
         await todo.save();
 
+        if (reminder) {
+            await syncTodoReminders(todo);
+        }
+
+        emitTodoEvent('todo.updated', todo, userId);
+
         res.status(201).json(new ApiResponse(
             201,
             todo,
@@ -108,80 +172,71 @@ const addSubtask = async (req, res, next) => {
 // ============ GET TODOS ============
 
 /**
- * Get all todos for a user
- * @route GET /api/todos
+ * Create a todo listing handler
+ * Without a fixed scope the listing follows ?scope (own by default)
+ * @param {String} fixedScope - Listing scope for dedicated endpoints such as /shared
  */
-const getAllTodos = async (req, res, next) => {
+const createTodoListHandler = (fixedScope) => async (req, res, next) => {
     try {
-        const userId = req.userId;
-        const { status, priority, category, sortBy = 'createdAt' } = req.query;
-
-        let query = {
-            userId,
-            isDeleted: false,
-            parentId: null // Only get main todos, not subtasks
-        };
-
-        // Apply filters
-        if (status) query.status = status;
-        if (priority) query.priority = priority;
-        if (category) query.category = category;
-
-        // Apply sorting
-        let sortObj = {};
-        if (sortBy === 'dueDate') {
-            sortObj = { dueDate: 1 };
-        } else if (sortBy === 'priority') {
-            sortObj = { priority: -1 };
-        } else if (sortBy === 'createdAt') {
-            sortObj = { createdAt: -1 };
-        }
-
-        const todos = await Todo.find(query)
-            .sort(sortObj)
-            .populate('assignee', 'name email profilePicture')
-            .populate('watchers', 'name email')
-            .populate('comments.userId', 'name email profilePicture');
+        const { items, pagination } = await getTodoListPage(req, {
+            ...req.query,
+            scope: fixedScope || req.query.scope
+        });
 
-        res.json(new ApiResponse(
-            200,
-            todos,
-            'Todos retrieved successfully'
-        ));
+        return paginatedResponse(res, items, pagination, 'Todos retrieved successfully');
     } catch (error) {
         next(error);
     }
 };
 
+/**
+ * Get all todos for a user (?scope), or for a workspace with ?workspaceId
+ * @route GET /api/todos
+ */
+const getAllTodos = createTodoListHandler();
+
+/**
+ * Get todos shared with the user
+ * @route GET /api/todos/shared
+ */
+const getSharedTodos = createTodoListHandler('shared');
+
+/**
+ * Get todos assigned to the user
+ * @route GET /api/todos/assigned
+ */
+const getAssignedTodos = createTodoListHandler('assigned');
+
+/**
+ * Get todos the user is watching
+ * @route GET /api/todos/watching
+ */
+const getWatchingTodos = createTodoListHandler('watching');
+
 /**
  * Get a single todo by ID
  * @route GET /api/todos/:todoId
  */
 const getTodoById = async (req, res, next) => {
     try {
-        const { todoId } = req.params;
-        const userId = req.userId;
-
-        const todo = await Todo.findById(todoId)
-            .populate('userId', 'name email profilePicture')
-            .populate('assignee', 'name email profilePicture')
-            .populate('watchers', 'name email')
-            .populate('comments.userId', 'name email profilePicture')
-            .populate('attachments.uploadedBy', 'name email')
-            .populate('sharedWith.userId', 'name email profilePicture');
-
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (todo.userId.toString() !== userId && !todo.sharedWith.some(s => s.userId.toString() === userId)) {
-            throw new ApiError(403, 'Permission denied');
-        }
+        const todo = await req.todo.populate([
+            { path: 'userId', select: 'name email profilePicture' },
+            { path: 'assignee', select: 'name email profilePicture' },
+            { path: 'watchers', select: 'name email' },
+            { path: 'comments.userId', select: 'name email profilePicture' },
+            { path: 'attachments.uploadedBy', select: 'name email' },
+            { path: 'sharedWith.userId', select: 'name email profilePicture' }
+        ]);
 
         res.json(new ApiResponse(
             200,
-            todo,
+            {
+                ...todo.toObject(),
+                access: {
+                    role: req.todoAccess.role,
+                    actions: getAllowedActions(req.todoAccess)
+                }
+            },
             'Todo retrieved successfully'
         ));
     } catch (error) {
@@ -196,22 +251,16 @@ const getTodoById = async (req, res, next) => {
 const getTodosByStatus = async (req, res, next) => {
     try {
         const { status } = req.params;
-        const userId = req.userId;
 
-        const validStatuses = ['todo', 'in-progress', 'completed', 'blocked', 'on-hold'];
-        if (!validStatuses.includes(status)) {
+        if (!Todo.schema.path('status').enumValues.includes(status)) {
             throw new ApiError(400, 'Invalid status');
         }
 
-        const todos = await Todo.findByUserAndStatus(userId, status)
-            .sort({ createdAt: -1 })
+        const scope = await getTodoScope(req);
+        const todos = Todo.findByUserAndStatus(scope, status)
             .populate('assignee', 'name email');
 
-        res.json(new ApiResponse(
-            200,
-            todos,
-            `${status} todos retrieved successfully`
-        ));
+        return sendTodoPage(req, res, todos, { field: 'createdAt', order: -1 }, `${status} todos retrieved successfully`);
     } catch (error) {
         next(error);
     }
@@ -223,17 +272,12 @@ const getTodosByStatus = async (req, res, next) => {
  */
 const getOverdueTodos = async (req, res, next) => {
     try {
-        const userId = req.userId;
+        const scope = await getTodoScope(req);
 
-        const todos = await Todo.findOverdue(userId)
-            .sort({ dueDate: 1 })
+        const todos = Todo.findOverdue(scope)
             .populate('assignee', 'name email');
 
-        res.json(new ApiResponse(
-            200,
-            todos,
-            'Overdue todos retrieved successfully'
-        ));
+        return sendTodoPage(req, res, todos, { field: 'dueDate', order: 1 }, 'Overdue todos retrieved successfully');
     } catch (error) {
         next(error);
     }
@@ -246,21 +290,16 @@ const getOverdueTodos = async (req, res, next) => {
 const getTodosByPriority = async (req, res, next) => {
     try {
         const { priority } = req.params;
-        const userId = req.userId;
 
         const validPriorities = ['low', 'medium', 'high', 'urgent'];
         if (!validPriorities.includes(priority)) {
             throw new ApiError(400, 'Invalid priority');
         }
 
-        const todos = await Todo.findByPriority(userId, priority)
-            .sort({ dueDate: 1 });
+        const scope = await getTodoScope(req);
+        const todos = Todo.findByPriority(scope, priority);
 
-        res.json(new ApiResponse(
-            200,
-            todos,
-            `${priority} priority todos retrieved successfully`
-        ));
+        return sendTodoPage(req, res, todos, { field: 'dueDate', order: 1 }, `${priority} priority todos retrieved successfully`);
     } catch (error) {
         next(error);
     }
@@ -272,19 +311,15 @@ const getTodosByPriority = async (req, res, next) => {
  */
 const getArchivedTodos = async (req, res, next) => {
     try {
-        const userId = req.userId;
+        const scope = await getTodoScope(req);
 
-        const todos = await Todo.find({
-            userId,
+        const todos = Todo.find({
+            ...scope,
             isArchived: true,
             isDeleted: false
-        }).sort({ updatedAt: -1 });
+        });
 
-        res.json(new ApiResponse(
-            200,
-            todos,
-            'Archived todos retrieved successfully'
-        ));
+        return sendTodoPage(req, res, todos, { field: 'updatedAt', order: -1 }, 'Archived todos retrieved successfully');
     } catch (error) {
         next(error);
     }
@@ -298,23 +333,14 @@ const getArchivedTodos = async (req, res, next) => {
  */
 const updateTodo = async (req, res, next) => {
     try {
-        const { todoId } = req.params;
-        const { title, description, status, priority, dueDate, category, tags, label } = req.body;
+        const { title, description, status, priority, dueDate, startDate, reminder, category, tags, label, estimatedTime, recurring, workspaceId } = req.body;
         const userId = req.userId;
 
-        const todo = await Todo.findById(todoId);
-
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (todo.userId.toString() !== userId) {
-            throw new ApiError(403, 'Permission denied');
-        }
+        const todo = req.todo;
 
         // Store old values for activity log
         const changes = {};
+        let wipWarning = null;
 
         if (title && title !== todo.title) {
             changes.title = { old: todo.title, new: title };
@@ -327,8 +353,25 @@ const updateTodo = async (req, res, next) => {
         }
 
         if (status && status !== todo.status) {
+            if (status === 'completed') {
+                await checkOpenBlockers(todo, req.query.force === 'true');
+            }
+
             changes.status = { old: todo.status, new: status };
             todo.status = status;
+            // A status set by hand is not unblocked automatically
+            todo.blockedByDependencies = false;
+
+            if (status === 'completed') {
+                todo.completed = true;
+                todo.completedAt = new Date();
+            } else if (changes.status.old === 'completed') {
+                todo.completed = false;
+                todo.completedAt = null;
+            }
+
+            // Rejected here when the project board's column for the new status is full
+            wipWarning = await placeInStatusColumn(todo);
         }
 
         if (priority && priority !== todo.priority) {
@@ -339,6 +382,29 @@ const updateTodo = async (req, res, next) => {
         if (dueDate) {
             changes.dueDate = { old: todo.dueDate, new: new Date(dueDate) };
             todo.dueDate = new Date(dueDate);
+            // Due-date notifications apply to the new date again
+            todo.dueNotifications = { dueSoonSentAt: null, overdueSentAt: null };
+        }
+
+        if (startDate !== undefined) {
+            const newStartDate = startDate ? new Date(startDate) : null;
+            changes.startDate = { old: todo.startDate, new: newStartDate };
+            todo.startDate = newStartDate;
+        }
+
+        if (estimatedTime !== undefined && estimatedTime !== todo.estimatedTime) {
+            changes.estimatedTime = { old: todo.estimatedTime, new: estimatedTime };
+            todo.estimatedTime = estimatedTime;
+        }
+
+        if ((changes.startDate || changes.dueDate) && todo.startDate && todo.dueDate && todo.startDate > todo.dueDate) {
+            throw new ApiError(400, 'Start date cannot be after the due date');
+        }
+
+        if (reminder !== undefined) {
+            const newReminder = reminder ? new Date(reminder) : null;
+            changes.reminder = { old: todo.reminder, new: newReminder };
+            todo.reminder = newReminder;
         }
 
         if (category && category !== todo.category) {
@@ -356,6 +422,33 @@ const updateTodo = async (req, res, next) => {
             todo.label = label;
         }
 
+        // Move between workspaces (null makes it personal again)
+        if (workspaceId !== undefined && String(workspaceId) !== String(todo.workspaceId)) {
+            // Moving a todo changes who can see it
+            assertCan(req.todoAccess, 'share:manage');
+
+            if (workspaceId) {
+                await findWorkspaceForMember(workspaceId, userId, 'member');
+            }
+            changes.workspaceId = { old: todo.workspaceId, new: workspaceId || null };
+            todo.workspaceId = workspaceId || null;
+            // Projects only hold todos of their own workspace
+            todo.projectId = null;
+            todo.sectionId = null;
+            todo.boardColumnId = null;
+            todo.boardPosition = null;
+        }
+
+        if (recurring) {
+            const recurrence = normalizeRecurrence(recurring);
+            changes.recurring = { old: todo.recurring.toObject(), new: recurrence };
+            Object.entries(recurrence).forEach(([key, value]) => {
+                todo.recurring[key] = value;
+            });
+            // Re-align the series to the new rule
+            todo.recurring.anchorDate = null;
+        }
+
         // Log activity
         if (Object.keys(changes).length > 0) {
             todo.activityLog.push({
@@ -368,10 +461,36 @@ const updateTodo = async (req, res, next) => {
 
         await todo.save();
 
+        // Completed todos get no reminders
+        if (changes.reminder || changes.status) {
+            await syncTodoReminders(todo);
+        }
+
+        emitTodoEvent('todo.updated', todo, userId, { changes });
+
+        // Generate the next instance of a recurring todo, as completeTodo does
+        if (changes.status && changes.status.new === 'completed') {
+            const nextOccurrence = await spawnNextOccurrence(todo, userId);
+
+            if (nextOccurrence) {
+                await syncTodoReminders(nextOccurrence);
+                emitTodoEvent('todo.created', nextOccurrence, userId);
+            }
+        }
+
+        if (changes.status) {
+            dispatchNotification({
+                type: 'todo.status-changed',
+                todo,
+                actorId: userId,
+                data: { from: changes.status.old, to: changes.status.new }
+            });
+        }
+
         res.json(new ApiResponse(
             200,
             todo,
-            'Todo updated successfully'
+            wipWarning ? `Todo updated successfully (warning: ${wipWarning})` : 'Todo updated successfully'
         ));
     } catch (error) {
         next(error);
@@ -384,20 +503,11 @@ const updateTodo = async (req, res, next) => {
  */
 const updateSubtask = async (req, res, next) => {
     try {
-        const { todoId, subtaskId } = req.params;
-        const { title, description, status, priority, dueDate, completed } = req.body;
+        const { subtaskId } = req.params;
+        const { title, description, status, priority, dueDate, reminder, completed } = req.body;
         const userId = req.userId;
 
-        const todo = await Todo.findById(todoId);
-
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (todo.userId.toString() !== userId) {
-            throw new ApiError(403, 'Permission denied');
-        }
+        const todo = req.todo;
 
         // Find subtask recursively
         const findAndUpdateSubtask = (subtasks, id) => {
@@ -408,6 +518,7 @@ const updateSubtask = async (req, res, next) => {
                     if (status) subtasks[i].status = status;
                     if (priority) subtasks[i].priority = priority;
                     if (dueDate) subtasks[i].dueDate = new Date(dueDate);
+                    if (reminder !== undefined) subtasks[i].reminder = reminder ? new Date(reminder) : null;
                     if (completed !== undefined) {
                         subtasks[i].completed = completed;
                         if (completed) {
@@ -441,6 +552,12 @@ const updateSubtask = async (req, res, next) => {
 
         await todo.save();
 
+        if (reminder !== undefined || completed !== undefined) {
+            await syncTodoReminders(todo);
+        }
+
+        emitTodoEvent('todo.updated', todo, userId);
+
         res.json(new ApiResponse(
             200,
             todo,
@@ -457,18 +574,20 @@ const updateSubtask = async (req, res, next) => {
  */
 const completeTodo = async (req, res, next) => {
     try {
-        const { todoId } = req.params;
         const userId = req.userId;
 
-        const todo = await Todo.findById(todoId);
+        const todo = req.todo;
 
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
+        const previousStatus = todo.status;
+
+        const openBlockers = await checkOpenBlockers(todo, req.query.force === 'true');
+
+        todo.blockedByDependencies = false;
 
-        // Check permission
-        if (todo.userId.toString() !== userId) {
-            throw new ApiError(403, 'Permission denied');
+        let wipWarning = null;
+        if (previousStatus !== 'completed') {
+            todo.status = 'completed';
+            wipWarning = await placeInStatusColumn(todo);
         }
 
         await todo.complete();
@@ -481,11 +600,38 @@ const completeTodo = async (req, res, next) => {
 
         await todo.save();
 
-        res.json(new ApiResponse(
-            200,
-            todo,
-            'Todo marked as completed'
-        ));
+        await syncTodoReminders(todo);
+
+        if (previousStatus !== 'completed') {
+            dispatchNotification({
+                type: 'todo.status-changed',
+                todo,
+                actorId: userId,
+                data: { from: previousStatus, to: 'completed' }
+            });
+        }
+
+        // Generate the next instance of a recurring todo
+        const nextOccurrence = await spawnNextOccurrence(todo, userId);
+
+        emitTodoEvent('todo.completed', todo, userId);
+
+        if (nextOccurrence) {
+            await syncTodoReminders(nextOccurrence);
+            emitTodoEvent('todo.created', nextOccurrence, userId);
+        }
+
+        let message = nextOccurrence
+            ? 'Todo marked as completed and next occurrence created'
+            : 'Todo marked as completed';
+        const warnings = [];
+        if (openBlockers.length > 0) warnings.push(`${openBlockers.length} blocker(s) are still open`);
+        if (wipWarning) warnings.push(wipWarning);
+        if (warnings.length > 0) {
+            message += ` (warning: ${warnings.join('; ')})`;
+        }
+
+        res.json(new ApiResponse(200, todo, message));
     } catch (error) {
         next(error);
     }
@@ -497,26 +643,42 @@ const completeTodo = async (req, res, next) => {
  */
 const incompleteTodo = async (req, res, next) => {
     try {
-        const { todoId } = req.params;
         const userId = req.userId;
 
-        const todo = await Todo.findById(todoId);
+        const todo = req.todo;
 
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
+        const previousStatus = todo.status;
 
-        // Check permission
-        if (todo.userId.toString() !== userId) {
-            throw new ApiError(403, 'Permission denied');
+        let wipWarning = null;
+        if (previousStatus !== 'todo') {
+            todo.status = 'todo';
+            wipWarning = await placeInStatusColumn(todo);
         }
 
         await todo.incomplete();
 
+        await syncTodoReminders(todo);
+
+        emitTodoEvent('todo.updated', todo, userId, {
+            changes: { status: { old: previousStatus, new: 'todo' } }
+        });
+
+        if (previousStatus !== 'todo') {
+            dispatchNotification({
+                type: 'todo.status-changed',
+                todo,
+                actorId: userId,
+                data: { from: previousStatus, to: 'todo' }
+            });
+        }
+
+        // Reopened todos with open blockers go back to blocked
+        await syncBlockedStatus(todo, userId);
+
         res.json(new ApiResponse(
             200,
             todo,
-            'Todo marked as incomplete'
+            wipWarning ? `Todo marked as incomplete (warning: ${wipWarning})` : 'Todo marked as incomplete'
         ));
     } catch (error) {
         next(error);
@@ -531,7 +693,6 @@ const incompleteTodo = async (req, res, next) => {
  */
 const logTimeSpent = async (req, res, next) => {
     try {
-        const { todoId } = req.params;
         const { timeSpent } = req.body; // in minutes
         const userId = req.userId;
 
@@ -539,16 +700,7 @@ const logTimeSpent = async (req, res, next) => {
             throw new ApiError(400, 'Time spent must be greater than 0');
         }
 
-        const todo = await Todo.findById(todoId);
-
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (todo.userId.toString() !== userId) {
-            throw new ApiError(403, 'Permission denied');
-        }
+        const todo = req.todo;
 
         todo.actualTime += timeSpent;
 
@@ -573,6 +725,8 @@ const logTimeSpent = async (req, res, next) => {
 
 // ============ COMMENTS ============
 
+const MAX_COMMENT_MENTIONS = 20;
+
 /**
  * Add a comment to a todo
  * @route POST /api/todos/:todoId/comments
@@ -587,21 +741,32 @@ const addComment = async (req, res, next) => {
             throw new ApiError(400, 'Comment text is required');
         }
 
-        const todo = await Todo.findById(todoId);
+        const todo = req.todo;
 
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
+        if (!Array.isArray(mentions) || mentions.length > MAX_COMMENT_MENTIONS) {
+            throw new ApiError(400, `Mentions must be an array of at most ${MAX_COMMENT_MENTIONS} user IDs`);
         }
 
-        // Check permission
-        if (todo.userId.toString() !== userId && !todo.sharedWith.some(s => s.userId.toString() === userId)) {
-            throw new ApiError(403, 'Permission denied');
+        // Only people who can see the todo may be mentioned; they are sent its title and the comment
+        const mentionedIds = [...new Set(mentions.map(String))];
+        const workspaces = new Map();
+        const outsiders = [];
+        for (const mentionedId of mentionedIds) {
+            if (!can(await getTodoAccess(todo, mentionedId, workspaces), 'todo:view')) {
+                outsiders.push(mentionedId);
+            }
+        }
+
+        if (outsiders.length > 0) {
+            const error = new ApiError(400, 'Only users with access to this todo can be mentioned');
+            error.errors = outsiders.map(id => ({ userId: id }));
+            throw error;
         }
 
         const newComment = {
             userId,
             text,
-            mentions: mentions || [],
+            mentions: mentionedIds,
             createdAt: new Date()
         };
 
@@ -619,6 +784,29 @@ const addComment = async (req, res, next) => {
 
         await todo.save();
 
+        emitTodoEvent('comment.added', todo, userId, {
+            comment: todo.comments[todo.comments.length - 1]
+        });
+
+        // Mentioned users get a mention instead of the generic comment notification
+        dispatchNotification({
+            type: 'comment.added',
+            todo,
+            actorId: userId,
+            recipientIds: getTodoAudience(todo).filter(id => !mentionedIds.includes(id)),
+            data: { text }
+        });
+
+        if (mentionedIds.length > 0) {
+            dispatchNotification({
+                type: 'comment.mentioned',
+                todo,
+                actorId: userId,
+                recipientIds: mentionedIds,
+                data: { text }
+            });
+        }
+
         const populatedTodo = await Todo.findById(todoId).populate('comments.userId', 'name email profilePicture');
 
         res.status(201).json(new ApiResponse(
@@ -637,7 +825,7 @@ const addComment = async (req, res, next) => {
  */
 const updateComment = async (req, res, next) => {
     try {
-        const { todoId, commentId } = req.params;
+        const { commentId } = req.params;
         const { text } = req.body;
         const userId = req.userId;
 
@@ -645,16 +833,7 @@ const updateComment = async (req, res, next) => {
             throw new ApiError(400, 'Comment text is required');
         }
 
-        const todo = await Todo.findById(todoId);
-
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (todo.userId.toString() !== userId) {
-            throw new ApiError(403, 'Permission denied');
-        }
+        const todo = req.todo;
 
         const comment = todo.comments.find(c => c._id.toString() === commentId);
 
@@ -687,19 +866,10 @@ const updateComment = async (req, res, next) => {
  */
 const deleteComment = async (req, res, next) => {
     try {
-        const { todoId, commentId } = req.params;
+        const { commentId } = req.params;
         const userId = req.userId;
 
-        const todo = await Todo.findById(todoId);
-
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (todo.userId.toString() !== userId) {
-            throw new ApiError(403, 'Permission denied');
-        }
+        const todo = req.todo;
 
         const comment = todo.comments.find(c => c._id.toString() === commentId);
 
@@ -707,7 +877,8 @@ const deleteComment = async (req, res, next) => {
             throw new ApiError(404, 'Comment not found');
         }
 
-        if (comment.userId.toString() !== userId) {
+        // Owners and admins can moderate other people's comments
+        if (comment.userId.toString() !== userId && !can(req.todoAccess, 'comment:moderate')) {
             throw new ApiError(403, 'You can only delete your own comments');
         }
 
@@ -733,7 +904,6 @@ const deleteComment = async (req, res, next) => {
  */
 const addAttachment = async (req, res, next) => {
     try {
-        const { todoId } = req.params;
         const { url, fileName, fileType, fileSize } = req.body;
         const userId = req.userId;
 
@@ -741,16 +911,7 @@ const addAttachment = async (req, res, next) => {
             throw new ApiError(400, 'URL and file name are required');
         }
 
-        const todo = await Todo.findById(todoId);
-
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (todo.userId.toString() !== userId) {
-            throw new ApiError(403, 'Permission denied');
-        }
+        const todo = req.todo;
 
         const attachment = {
             url,
@@ -785,19 +946,10 @@ const addAttachment = async (req, res, next) => {
  */
 const deleteAttachment = async (req, res, next) => {
     try {
-        const { todoId, attachmentId } = req.params;
+        const { attachmentId } = req.params;
         const userId = req.userId;
 
-        const todo = await Todo.findById(todoId);
-
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (todo.userId.toString() !== userId) {
-            throw new ApiError(403, 'Permission denied');
-        }
+        const todo = req.todo;
 
         todo.attachments = todo.attachments.filter(a => a._id.toString() !== attachmentId);
 
@@ -816,17 +968,22 @@ const deleteAttachment = async (req, res, next) => {
 // ============ SHARING ============
 
 /**
- * Share todo with another user
+ * Share todo with another user, or invite someone without an account by email
  * @route POST /api/todos/:todoId/share
  */
 const shareTodo = async (req, res, next) => {
     try {
         const { todoId } = req.params;
-        const { userId: shareWithUserId, permissions = 'view' } = req.body;
+        const { userId, email, permissions = 'view' } = req.body;
         const currentUserId = req.userId;
+        let shareWithUserId = userId;
 
-        if (!shareWithUserId) {
-            throw new ApiError(400, 'User ID is required');
+        if (!shareWithUserId && !email) {
+            throw new ApiError(400, 'User ID or email is required');
+        }
+
+        if (email !== undefined && (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim()))) {
+            throw new ApiError(400, 'Invalid email format');
         }
 
         const validPermissions = ['view', 'edit', 'admin'];
@@ -834,15 +991,38 @@ const shareTodo = async (req, res, next) => {
             throw new ApiError(400, 'Invalid permissions');
         }
 
-        const todo = await Todo.findById(todoId);
+        const todo = req.todo;
+
+        // Sharing by email: existing accounts are shared with directly, anyone else gets an invitation
+        if (!shareWithUserId) {
+            const normalizedEmail = email.trim().toLowerCase();
+            const existingUser = await User.findByEmail(normalizedEmail);
+
+            if (existingUser) {
+                shareWithUserId = existingUser._id.toString();
+            } else {
+                const pendingInvitation = await Invitation.findOne({
+                    todoId: todo._id,
+                    email: normalizedEmail,
+                    status: 'pending'
+                });
+
+                if (pendingInvitation) {
+                    throw new ApiError(409, 'An invitation is already pending for this email. Resend it instead');
+                }
+
+                const invitation = await createInvitation(todo, normalizedEmail, permissions, currentUserId);
 
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
+                return res.status(201).json(new ApiResponse(
+                    201,
+                    invitation,
+                    'Invitation sent successfully'
+                ));
+            }
         }
 
-        // Check permission
-        if (todo.userId.toString() !== currentUserId) {
-            throw new ApiError(403, 'Permission denied');
+        if (shareWithUserId === currentUserId) {
+            throw new ApiError(400, 'You cannot share a todo with yourself');
         }
 
         // Check if already shared
@@ -866,6 +1046,14 @@ const shareTodo = async (req, res, next) => {
 
         await todo.save();
 
+        dispatchNotification({
+            type: 'todo.shared',
+            todo,
+            actorId: currentUserId,
+            recipientIds: [shareWithUserId],
+            data: { permissions }
+        });
+
         res.json(new ApiResponse(
             200,
             todo,
@@ -882,19 +1070,10 @@ const shareTodo = async (req, res, next) => {
  */
 const revokeTodoShare = async (req, res, next) => {
     try {
-        const { todoId, shareWithUserId } = req.params;
+        const { shareWithUserId } = req.params;
         const currentUserId = req.userId;
 
-        const todo = await Todo.findById(todoId);
-
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (todo.userId.toString() !== currentUserId) {
-            throw new ApiError(403, 'Permission denied');
-        }
+        const todo = req.todo;
 
         todo.sharedWith = todo.sharedWith.filter(s => s.userId.toString() !== shareWithUserId);
 
@@ -918,24 +1097,18 @@ const revokeTodoShare = async (req, res, next) => {
  */
 const archiveTodo = async (req, res, next) => {
     try {
-        const { todoId } = req.params;
         const userId = req.userId;
 
-        const todo = await Todo.findById(todoId);
-
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (todo.userId.toString() !== userId) {
-            throw new ApiError(403, 'Permission denied');
-        }
+        const todo = req.todo;
 
         todo.isArchived = true;
 
         await todo.save();
 
+        await syncTodoReminders(todo);
+
+        emitTodoEvent('todo.updated', todo, userId);
+
         res.json(new ApiResponse(
             200,
             todo,
@@ -952,24 +1125,18 @@ const archiveTodo = async (req, res, next) => {
  */
 const unarchiveTodo = async (req, res, next) => {
     try {
-        const { todoId } = req.params;
         const userId = req.userId;
 
-        const todo = await Todo.findById(todoId);
-
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (todo.userId.toString() !== userId) {
-            throw new ApiError(403, 'Permission denied');
-        }
+        const todo = req.todo;
 
         todo.isArchived = false;
 
         await todo.save();
 
+        await syncTodoReminders(todo);
+
+        emitTodoEvent('todo.updated', todo, userId);
+
         res.json(new ApiResponse(
             200,
             todo,
@@ -989,18 +1156,13 @@ const deleteTodo = async (req, res, next) => {
         const { todoId } = req.params;
         const userId = req.userId;
 
-        const todo = await Todo.findById(todoId);
+        const todo = req.todo;
 
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
+        await Todo.softDelete(todoId);
 
-        // Check permission
-        if (todo.userId.toString() !== userId) {
-            throw new ApiError(403, 'Permission denied');
-        }
+        await cancelTodoReminders(todoId);
 
-        await Todo.softDelete(todoId);
+        emitTodoEvent('todo.deleted', todo, userId);
 
         res.json(new ApiResponse(
             200,
@@ -1018,19 +1180,10 @@ const deleteTodo = async (req, res, next) => {
  */
 const deleteSubtask = async (req, res, next) => {
     try {
-        const { todoId, subtaskId } = req.params;
+        const { subtaskId } = req.params;
         const userId = req.userId;
 
-        const todo = await Todo.findById(todoId);
-
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (todo.userId.toString() !== userId) {
-            throw new ApiError(403, 'Permission denied');
-        }
+        const todo = req.todo;
 
         // Delete subtask recursively
         const deleteSubtaskHelper = (subtasks, id) => {
@@ -1057,6 +1210,10 @@ const deleteSubtask = async (req, res, next) => {
 
         await todo.save();
 
+        await syncTodoReminders(todo);
+
+        emitTodoEvent('todo.updated', todo, userId);
+
         res.json(new ApiResponse(
             200,
             todo,
@@ -1070,20 +1227,20 @@ const deleteSubtask = async (req, res, next) => {
 // ============ STATISTICS ============
 
 /**
- * Get todo statistics for a user
+ * Get todo statistics for a user (?scope), or for a workspace with ?workspaceId
  * @route GET /api/todos/stats
  */
 const getTodoStats = async (req, res, next) => {
     try {
-        const userId = req.userId;
+        const scope = await getTodoScope(req);
 
         const stats = await Promise.all([
-            Todo.countDocuments({ userId, status: 'todo', isDeleted: false }),
-            Todo.countDocuments({ userId, status: 'in-progress', isDeleted: false }),
-            Todo.countDocuments({ userId, status: 'completed', isDeleted: false }),
-            Todo.countDocuments({ userId, status: 'blocked', isDeleted: false }),
-            Todo.findOverdue(userId),
-            Todo.find({ userId, priority: 'urgent', completed: false, isDeleted: false })
+            Todo.countDocuments({ ...scope, status: 'todo', isDeleted: false }),
+            Todo.countDocuments({ ...scope, status: 'in-progress', isDeleted: false }),
+            Todo.countDocuments({ ...scope, status: 'completed', isDeleted: false }),
+            Todo.countDocuments({ ...scope, status: 'blocked', isDeleted: false }),
+            Todo.find({ ...scope, dueDate: { $lt: new Date() }, completed: false, isDeleted: false }),
+            Todo.find({ ...scope, priority: 'urgent', completed: false, isDeleted: false })
         ]);
 
         const [
@@ -1125,7 +1282,7 @@ const getTodoStats = async (req, res, next) => {
  */
 const getTodayTodos = async (req, res, next) => {
     try {
-        const userId = req.userId;
+        const scope = await getTodoScope(req);
 
         const startOfDay = new Date();
         startOfDay.setHours(0, 0, 0, 0);
@@ -1133,20 +1290,16 @@ const getTodayTodos = async (req, res, next) => {
         const endOfDay = new Date();
         endOfDay.setHours(23, 59, 59, 999);
 
-        const todos = await Todo.find({
-            userId,
+        const todos = Todo.find({
+            ...scope,
             dueDate: {
                 $gte: startOfDay,
                 $lte: endOfDay
             },
             isDeleted: false
-        }).sort({ priority: -1 });
+        });
 
-        res.json(new ApiResponse(
-            200,
-            todos,
-            "Today's todos retrieved successfully"
-        ));
+        return sendTodoPage(req, res, todos, { field: 'priority', order: -1 }, "Today's todos retrieved successfully");
     } catch (error) {
         next(error);
     }
@@ -1159,19 +1312,15 @@ const getTodayTodos = async (req, res, next) => {
 const getTodosByTag = async (req, res, next) => {
     try {
         const { tag } = req.params;
-        const userId = req.userId;
+        const scope = await getTodoScope(req);
 
-        const todos = await Todo.find({
-            userId,
+        const todos = Todo.find({
+            ...scope,
             tags: tag,
             isDeleted: false
-        }).sort({ createdAt: -1 });
+        });
 
-        res.json(new ApiResponse(
-            200,
-            todos,
-            `Todos with tag "${tag}" retrieved successfully`
-        ));
+        return sendTodoPage(req, res, todos, { field: 'createdAt', order: -1 }, `Todos with tag "${tag}" retrieved successfully`);
     } catch (error) {
         next(error);
     }
@@ -1183,10 +1332,10 @@ const getTodosByTag = async (req, res, next) => {
  */
 const getAllTags = async (req, res, next) => {
     try {
-        const userId = req.userId;
+        const scope = await getTodoScope(req);
 
         const tags = await Todo.distinct('tags', {
-            userId,
+            ...scope,
             isDeleted: false
         });
 
@@ -1201,32 +1350,65 @@ const getAllTags = async (req, res, next) => {
 };
 
 /**
- * Search todos
- * @route GET /api/todos/search/:query
+ * Search todos by relevance (?scope, or within a workspace with ?workspaceId)
+ * Each result has a score and highlights: [{ field, snippet, matches: [[start, end]] }]
+ * @route GET /api/todos/search
+ * @query q, cursor | page, limit
  */
 const searchTodos = async (req, res, next) => {
     try {
-        const { query } = req.params;
-        const userId = req.userId;
+        const { q } = req.query;
+        const scope = await getTodoScope(req);
+
+        const results = await searchTodoIndex(scope, q);
+        const { items, pagination } = paginateArray(results, req.query, { field: 'score', order: -1 });
+
+        return paginatedResponse(
+            res,
+            await withTodoRoles(items, req.userId),
+            pagination,
+            `Search results for "${q}"`
+        );
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ============ TIMELINE ============
+
+const MAX_TIMELINE_TODOS = 500;
+
+/**
+ * Get a timeline (Gantt) of todos with dependency edges and the critical path
+ * (?scope, or within a workspace with ?workspaceId; ?q filter expression)
+ * @route GET /api/todos/timeline
+ * @query q, includeCompleted
+ */
+const getTimeline = async (req, res, next) => {
+    try {
+        const { q, includeCompleted } = req.query;
+        const scope = await getTodoScope(req);
 
-        if (!query || query.trim().length < 2) {
-            throw new ApiError(400, 'Search query must be at least 2 characters');
+        const conditions = [scope, { isDeleted: false, isArchived: false, parentId: null }];
+        if (includeCompleted === 'false') {
+            conditions.push({ completed: false, status: { $ne: 'completed' } });
+        }
+        if (q) {
+            conditions.push(parseTodoFilter(q, { userId: req.userId }));
         }
 
-        const todos = await Todo.find({
-            userId,
-            isDeleted: false,
-            $or: [
-                { title: { $regex: query, $options: 'i' } },
-                { description: { $regex: query, $options: 'i' } },
-                { tags: { $regex: query, $options: 'i' } }
-            ]
-        }).sort({ createdAt: -1 });
+        const todos = await Todo.find({ $and: conditions })
+            .populate('assignee', 'name email profilePicture')
+            .limit(MAX_TIMELINE_TODOS + 1);
+
+        if (todos.length > MAX_TIMELINE_TODOS) {
+            throw new ApiError(400, `Timeline is limited to ${MAX_TIMELINE_TODOS} todos. Narrow it with ?q or ?workspaceId`);
+        }
 
         res.json(new ApiResponse(
             200,
-            todos,
-            `Search results for "${query}"`
+            buildTimeline(todos),
+            'Timeline retrieved successfully'
         ));
     } catch (error) {
         next(error);
@@ -1252,23 +1434,28 @@ const bulkUpdateTodos = async (req, res, next) => {
             throw new ApiError(400, 'Updates object is required');
         }
 
-        // Verify ownership of all todos
-        const todos = await Todo.find({ _id: { $in: todoIds }, userId });
+        await findAuthorizedTodos(todoIds, userId, 'todo:update');
 
-        if (todos.length !== todoIds.length) {
-            throw new ApiError(403, 'Some todos do not belong to you');
+        // Only plain content fields; ownership, sharing and placement have their own endpoints
+        const fields = {};
+        BULK_UPDATE_FIELDS.forEach(field => {
+            if (updates[field] !== undefined) fields[field] = updates[field];
+        });
+
+        if (Object.keys(fields).length === 0) {
+            throw new ApiError(400, `Only these fields can be updated in bulk: ${BULK_UPDATE_FIELDS.join(', ')}`);
         }
 
         // Perform bulk update
         const result = await Todo.updateMany(
-            { _id: { $in: todoIds }, userId },
+            { _id: { $in: todoIds } },
             {
-                $set: updates,
+                $set: fields,
                 $push: {
                     activityLog: {
                         action: 'updated',
                         userId,
-                        changes: updates,
+                        changes: fields,
                         timestamp: new Date()
                     }
                 }
@@ -1298,16 +1485,11 @@ const bulkDeleteTodos = async (req, res, next) => {
             throw new ApiError(400, 'Todo IDs array is required');
         }
 
-        // Verify ownership of all todos
-        const todos = await Todo.find({ _id: { $in: todoIds }, userId });
-
-        if (todos.length !== todoIds.length) {
-            throw new ApiError(403, 'Some todos do not belong to you');
-        }
+        const todos = await findAuthorizedTodos(todoIds, userId, 'todo:delete');
 
         // Soft delete todos
         const result = await Todo.updateMany(
-            { _id: { $in: todoIds }, userId },
+            { _id: { $in: todoIds } },
             {
                 $set: {
                     isDeleted: true,
@@ -1316,6 +1498,10 @@ const bulkDeleteTodos = async (req, res, next) => {
             }
         );
 
+        await cancelTodoReminders(todoIds);
+
+        todos.forEach(todo => emitTodoEvent('todo.deleted', todo, userId));
+
         res.json(new ApiResponse(
             200,
             { deletedCount: result.modifiedCount },
@@ -1326,6 +1512,20 @@ const bulkDeleteTodos = async (req, res, next) => {
     }
 };
 
+/**
+ * Check the user may give another user a role on a todo (assignee, watcher)
+ * Those roles grant access, so a target who cannot see the todo yet needs share:manage, like shareTodo
+ * @param {Object} req - Request with todo and todoAccess from authorizeTodo()
+ * @param {String} targetId - User being given the role
+ */
+const assertCanGrantAccess = async (req, targetId) => {
+    if (can(await getTodoAccess(req.todo, String(targetId)), 'todo:view')) return;
+
+    if (!can(req.todoAccess, 'share:manage')) {
+        throw new ApiError(403, 'This user does not have access to the todo. Share it with them first');
+    }
+};
+
 /**
  * Assign todo to user
  * @route PATCH /api/todos/:todoId/assign
@@ -1340,16 +1540,7 @@ const assignTodo = async (req, res, next) => {
             throw new ApiError(400, 'Assignee ID is required');
         }
 
-        const todo = await Todo.findById(todoId);
-
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (todo.userId.toString() !== userId) {
-            throw new ApiError(403, 'Permission denied');
-        }
+        const todo = req.todo;
 
         // Check if assignee exists
         const assignee = await User.findById(assigneeId);
@@ -1357,6 +1548,8 @@ const assignTodo = async (req, res, next) => {
             throw new ApiError(404, 'Assignee not found');
         }
 
+        await assertCanGrantAccess(req, assigneeId);
+
         const oldAssignee = todo.assignee;
         todo.assignee = assigneeId;
 
@@ -1369,6 +1562,15 @@ const assignTodo = async (req, res, next) => {
 
         await todo.save();
 
+        emitTodoEvent('todo.assigned', todo, userId, { assigneeId });
+
+        dispatchNotification({
+            type: 'todo.assigned',
+            todo,
+            actorId: userId,
+            recipientIds: [assigneeId]
+        });
+
         const populatedTodo = await Todo.findById(todoId).populate('assignee', 'name email profilePicture');
 
         res.json(new ApiResponse(
@@ -1387,19 +1589,9 @@ const assignTodo = async (req, res, next) => {
  */
 const unassignTodo = async (req, res, next) => {
     try {
-        const { todoId } = req.params;
         const userId = req.userId;
 
-        const todo = await Todo.findById(todoId);
-
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (todo.userId.toString() !== userId) {
-            throw new ApiError(403, 'Permission denied');
-        }
+        const todo = req.todo;
 
         todo.assignee = null;
 
@@ -1436,15 +1628,11 @@ const addWatcher = async (req, res, next) => {
             throw new ApiError(400, 'Watcher ID is required');
         }
 
-        const todo = await Todo.findById(todoId);
+        const todo = req.todo;
 
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (todo.userId.toString() !== userId && !todo.sharedWith.some(s => s.userId.toString() === userId)) {
-            throw new ApiError(403, 'Permission denied');
+        // Anyone who can see the todo may watch it; adding someone else needs watcher:manage
+        if (watcherId !== userId) {
+            assertCan(req.todoAccess, 'watcher:manage');
         }
 
         // Check if watcher exists
@@ -1453,6 +1641,8 @@ const addWatcher = async (req, res, next) => {
             throw new ApiError(404, 'Watcher not found');
         }
 
+        await assertCanGrantAccess(req, watcherId);
+
         // Check if already watching
         if (todo.watchers.includes(watcherId)) {
             throw new ApiError(400, 'User is already watching this todo');
@@ -1462,6 +1652,13 @@ const addWatcher = async (req, res, next) => {
 
         await todo.save();
 
+        dispatchNotification({
+            type: 'todo.watching',
+            todo,
+            actorId: userId,
+            recipientIds: [watcherId]
+        });
+
         const populatedTodo = await Todo.findById(todoId).populate('watchers', 'name email');
 
         res.json(new ApiResponse(
@@ -1480,18 +1677,13 @@ const addWatcher = async (req, res, next) => {
  */
 const removeWatcher = async (req, res, next) => {
     try {
-        const { todoId, watcherId } = req.params;
+        const { watcherId } = req.params;
         const userId = req.userId;
 
-        const todo = await Todo.findById(todoId);
+        const todo = req.todo;
 
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (todo.userId.toString() !== userId && !todo.sharedWith.some(s => s.userId.toString() === userId)) {
-            throw new ApiError(403, 'Permission denied');
+        if (watcherId !== userId) {
+            assertCan(req.todoAccess, 'watcher:manage');
         }
 
         todo.watchers = todo.watchers.filter(w => w.toString() !== watcherId);
@@ -1508,28 +1700,144 @@ const removeWatcher = async (req, res, next) => {
     }
 };
 
+// ============ LINKS & DEPENDENCIES ============
+
 /**
- * Get activity log for a todo
- * @route GET /api/todos/:todoId/activity
+ * Load the other todo of a link and check the user may link it
  */
-const getActivityLog = async (req, res, next) => {
+const findLinkableTodo = async (todoId, userId) => {
+    const target = await Todo.findOne({ _id: todoId, isDeleted: false });
+    if (!target) {
+        throw new ApiError(404, 'Linked todo not found');
+    }
+
+    // Linking changes both todos (and may block the other one)
+    assertCan(await getTodoAccess(target, userId), 'todo:link');
+
+    return target;
+};
+
+/**
+ * Get a todo's links
+ * Linked todos the user cannot see are returned without details
+ * @route GET /api/todos/:todoId/links
+ */
+const getTodoLinks = async (req, res, next) => {
     try {
-        const { todoId } = req.params;
         const userId = req.userId;
+        const todo = req.todo;
+
+        const linkedTodos = await Todo.find({
+            _id: { $in: todo.links.map(link => link.todoId) },
+            isDeleted: false
+        });
+
+        const workspaces = new Map();
+        const summaries = new Map();
+        for (const linkedTodo of linkedTodos) {
+            const access = await getTodoAccess(linkedTodo, userId, workspaces);
+            if (access.role) {
+                const { _id, title, status, priority, dueDate, completed } = linkedTodo;
+                summaries.set(_id.toString(), { _id, title, status, priority, dueDate, completed });
+            }
+        }
+
+        const links = todo.links.map(link => ({
+            todoId: link.todoId,
+            type: link.type,
+            createdBy: link.createdBy,
+            createdAt: link.createdAt,
+            todo: summaries.get(link.todoId.toString()) || null
+        }));
+
+        const openBlockers = await getOpenBlockers(todo);
+
+        res.json(new ApiResponse(
+            200,
+            { links, openBlockerCount: openBlockers.length },
+            'Todo links retrieved successfully'
+        ));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Link a todo to another todo
+ * @route POST /api/todos/:todoId/links
+ */
+const addTodoLink = async (req, res, next) => {
+    try {
+        const { todoId: linkedTodoId, type } = req.body;
+        const userId = req.userId;
+
+        const todo = req.todo;
+        const target = await findLinkableTodo(linkedTodoId, userId);
+
+        await linkTodos(todo, target, type, userId);
+
+        const link = { todoId: target._id, type };
+        emitTodoEvent('todo.updated', todo, userId, { link });
+        emitTodoEvent('todo.updated', target, userId, { link: { todoId: todo._id, type: INVERSE_LINK_TYPES[type] } });
+
+        res.status(201).json(new ApiResponse(
+            201,
+            todo,
+            'Todos linked successfully'
+        ));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Remove the link between a todo and another todo
+ * @route DELETE /api/todos/:todoId/links/:linkedTodoId
+ */
+const removeTodoLink = async (req, res, next) => {
+    try {
+        const { linkedTodoId } = req.params;
+        const userId = req.userId;
+
+        if (!linkedTodoId.match(/^[0-9a-fA-F]{24}$/)) {
+            throw new ApiError(400, 'Invalid linked todo ID format');
+        }
 
-        const todo = await Todo.findById(todoId)
-            .select('activityLog')
-            .populate('activityLog.userId', 'name email profilePicture');
+        const todo = req.todo;
 
-        if (!todo) {
-            throw new ApiError(404, 'Todo not found');
+        // Links to deleted todos can be removed from this side alone
+        const target = await Todo.findOne({ _id: linkedTodoId, isDeleted: false });
+        if (target) {
+            assertCan(await getTodoAccess(target, userId), 'todo:link');
         }
 
-        // Check permission
-        if (todo.userId.toString() !== userId) {
-            throw new ApiError(403, 'Permission denied');
+        const link = await unlinkTodos(todo, target, linkedTodoId, userId);
+
+        emitTodoEvent('todo.updated', todo, userId, { unlinked: { todoId: link.todoId, type: link.type } });
+        if (target) {
+            emitTodoEvent('todo.updated', target, userId, {
+                unlinked: { todoId: todo._id, type: INVERSE_LINK_TYPES[link.type] }
+            });
         }
 
+        res.json(new ApiResponse(
+            200,
+            todo,
+            'Todo link removed successfully'
+        ));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get activity log for a todo
+ * @route GET /api/todos/:todoId/activity
+ */
+const getActivityLog = async (req, res, next) => {
+    try {
+        const todo = await req.todo.populate('activityLog.userId', 'name email profilePicture');
+
         res.json(new ApiResponse(
             200,
             todo.activityLog,
@@ -1546,23 +1854,17 @@ const getActivityLog = async (req, res, next) => {
  */
 const duplicateTodo = async (req, res, next) => {
     try {
-        const { todoId } = req.params;
         const userId = req.userId;
 
-        const originalTodo = await Todo.findById(todoId);
+        const originalTodo = req.todo;
 
-        if (!originalTodo) {
-            throw new ApiError(404, 'Todo not found');
-        }
-
-        // Check permission
-        if (originalTodo.userId.toString() !== userId) {
-            throw new ApiError(403, 'Permission denied');
-        }
+        // Viewers may copy a todo for themselves, but only members can add todos to its workspace
+        const keepWorkspace = await hasWorkspaceRole(originalTodo.workspaceId, userId, 'member');
 
         // Create duplicate
         const duplicateTodoData = {
             userId,
+            workspaceId: keepWorkspace ? originalTodo.workspaceId : null,
             title: `${originalTodo.title} (Copy)`,
             description: originalTodo.description,
             priority: originalTodo.priority,
@@ -1581,6 +1883,8 @@ const duplicateTodo = async (req, res, next) => {
 
         const newTodo = await Todo.create(duplicateTodoData);
 
+        emitTodoEvent('todo.created', newTodo, userId);
+
         res.status(201).json(new ApiResponse(
             201,
             newTodo,
@@ -1595,6 +1899,9 @@ module.exports = {
     createTodo,
     addSubtask,
     getAllTodos,
+    getSharedTodos,
+    getAssignedTodos,
+    getWatchingTodos,
     getTodoById,
     getTodosByStatus,
     getOverdueTodos,
@@ -1621,12 +1928,16 @@ module.exports = {
     getTodosByTag,
     getAllTags,
     searchTodos,
+    getTimeline,
     bulkUpdateTodos,
     bulkDeleteTodos,
     assignTodo,
     unassignTodo,
     addWatcher,
     removeWatcher,
+    getTodoLinks,
+    addTodoLink,
+    removeTodoLink,
     getActivityLog,
     duplicateTodo
 };
@@ -1,9 +1,387 @@
+const crypto = require('crypto');
 const User = require('../models/user.model');
-const { generateTokens, verifyRefreshToken } = require('../configs/jwt.config');
-const { getGoogleAuthURL, getGoogleTokensAndUser } = require('../configs/passport.config');
+const AccessToken = require('../models/accessToken.model');
+const {
+  generateTokens,
+  verifyRefreshToken,
+  generateOAuthState,
+  verifyOAuthState,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../configs/jwt.config');
+const {
+  getGoogleAuthURL,
+  getGoogleTokensAndUser,
+  getGitHubAuthURL,
+  getGitHubTokensAndUser
+} = require('../configs/passport.config');
 const { ApiError } = require('../middlewares/api.error');
 const { ApiResponse } = require('../utils/api.response');
-const { sendWelcomeEmail } = require('../services/email.service');
+const { getClientInfo } = require('../utils/device.util');
+const { buildOtpauthURL } = require('../utils/totp.util');
+const { recordSecurityEvent, getSecurityEvents } = require('../services/security.service');
+const { acceptPendingInvitations } = require('../services/invitation.service');
+const {
+  sendWelcomeEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} = require('../services/email.service');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Todo App';
+const TWO_FACTOR_COOKIE = 'twoFactorChallenge';
+const OAUTH_STATE_COOKIE = 'oauthState';
+
+/**
+ * OAuth providers: how to build the consent URL and fetch a normalized profile
+ */
+const oauthProviders = {
+  google: {
+    name: 'Google',
+    getAuthURL: getGoogleAuthURL,
+    getProfile: async (code) => {
+      const { userInfo } = await getGoogleTokensAndUser(code);
+
+      if (!userInfo || !userInfo.sub || !userInfo.email) {
+        return null;
+      }
+
+      return {
+        providerId: userInfo.sub,
+        email: userInfo.email,
+        emailVerified: userInfo.email_verified !== false,
+        name: userInfo.name || userInfo.email.split('@')[0],
+        firstName: userInfo.given_name || '',
+        lastName: userInfo.family_name || '',
+        picture: userInfo.picture || null
+      };
+    }
+  },
+  github: {
+    name: 'GitHub',
+    getAuthURL: getGitHubAuthURL,
+    getProfile: async (code) => {
+      const { userInfo } = await getGitHubTokensAndUser(code);
+
+      if (!userInfo || !userInfo.id) {
+        return null;
+      }
+
+      const [firstName = '', ...lastName] = (userInfo.name || '').split(' ');
+
+      return {
+        providerId: userInfo.id,
+        email: userInfo.email,
+        emailVerified: userInfo.emailVerified,
+        username: userInfo.login,
+        name: userInfo.name || userInfo.login,
+        firstName,
+        lastName: lastName.join(' '),
+        picture: userInfo.avatarUrl || null
+      };
+    }
+  }
+};
+
+/**
+ * Redirect back to the frontend with an error message
+ */
+const redirectWithError = (res, message) => {
+  return res.redirect(`${FRONTEND_URL}/?error=${encodeURIComponent(message)}`);
+};
+
+/**
+ * Set access and refresh tokens in HTTP-only cookies
+ */
+const setAuthCookies = (res, tokens) => {
+  res.cookie('accessToken', tokens.accessToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: 15 * 60 * 1000 // 15 minutes
+  });
+
+  res.cookie('refreshToken', tokens.refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+  });
+};
+
+/**
+ * Issue a two-factor challenge after the first sign-in step
+ * The challenge is set as a short-lived cookie and also returned for API clients
+ * @param {Object} user - User document
+ * @param {Object} res - Express response
+ * @param {String} method - First-step method (password, google, github)
+ * @returns {String} Challenge token
+ */
+const startTwoFactorChallenge = (user, res, method) => {
+  const challengeToken = generateTwoFactorChallenge({ id: user._id.toString(), method });
+
+  res.cookie(TWO_FACTOR_COOKIE, challengeToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: 5 * 60 * 1000 // 5 minutes
+  });
+
+  return challengeToken;
+};
+
+/**
+ * Start an OAuth request bound to this browser
+ * A random nonce goes both in an HTTP-only cookie and in the signed state; the callback
+ * only accepts a state whose nonce matches the cookie, so a state cannot be replayed
+ * or completed from another browser
+ * @param {Object} res - Express response
+ * @param {Object} payload - e.g. { action: 'login' } or { action: 'link', id }
+ * @returns {String} Signed state
+ */
+const startOAuthRequest = (res, payload) => {
+  const nonce = crypto.randomBytes(32).toString('hex');
+
+  res.cookie(OAUTH_STATE_COOKIE, nonce, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: 10 * 60 * 1000 // 10 minutes, as long as the state
+  });
+
+  return generateOAuthState({ ...payload, nonce });
+};
+
+/**
+ * Verify an OAuth callback's state against the nonce cookie set when the request started
+ * @returns {Object|null} Decoded state, or null when it is missing, invalid or not from this browser
+ */
+const verifyOAuthRequest = (req, state) => {
+  const nonce = req.cookies[OAUTH_STATE_COOKIE];
+  if (!state || !nonce) return null;
+
+  let oauthState;
+  try {
+    oauthState = verifyOAuthState(state);
+  } catch (error) {
+    return null;
+  }
+
+  const expected = Buffer.from(String(oauthState.nonce || ''));
+  const actual = Buffer.from(String(nonce));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return oauthState;
+};
+
+/**
+ * Build the response body for a completed login
+ */
+const buildLoginResponse = (user, tokens) => ({
+  accessToken: tokens.accessToken,
+  refreshToken: tokens.refreshToken,
+  user: {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    profilePicture: user.profilePicture
+  }
+});
+
+/**
+ * Check a password (if the account has one) and a current 2FA code before sensitive changes
+ * Requires the user to be loaded with User.findWithTwoFactor
+ */
+const reauthenticate = async (user, { password, code }) => {
+  if (user.password && !(await user.comparePassword(password || ''))) {
+    throw new ApiError(401, 'Incorrect password');
+  }
+
+  if (!user.verifyTwoFactorCode(code)) {
+    throw new ApiError(401, 'Invalid two-factor code');
+  }
+};
+
+/**
+ * Start a session for the requesting device and issue its tokens
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Object} { accessToken, refreshToken }
+ */
+const startSession = async (user, req) => {
+  const clientInfo = getClientInfo(req);
+  const session = user.createSession(clientInfo);
+
+  const tokens = generateTokens(user, session._id);
+  user.setSessionToken(session, tokens.refreshToken, clientInfo);
+  await user.save();
+
+  // Todos shared with this email before the account existed
+  await acceptPendingInvitations(user);
+
+  return tokens;
+};
+
+/**
+ * Find the account for an OAuth identity, linking or creating one if needed
+ * @param {String} provider - google | github
+ * @param {Object} profile - Normalized provider profile
+ * @returns {Object} User document
+ */
+const findOrCreateOAuthUser = async (provider, profile) => {
+  let user = await User.findByProvider(provider, profile.providerId);
+
+  if (user) {
+    // Backfill identities for accounts created before multi-provider support
+    if (!user.identities.some(i => i.provider === provider)) {
+      user.linkIdentity(provider, profile);
+    }
+
+    // Update profile picture if changed
+    if (profile.picture && user.profilePicture !== profile.picture) {
+      user.profilePicture = profile.picture;
+    }
+
+    await user.updateLastLogin();
+    return user;
+  }
+
+  if (!profile.email) {
+    throw new ApiError(400, `Your ${oauthProviders[provider].name} account has no verified email address`);
+  }
+
+  // Link to an existing account with the same verified email
+  if (profile.emailVerified) {
+    user = await User.findByEmail(profile.email);
+
+    if (user) {
+      // An unverified local password may have been set by someone else
+      if (!user.isEmailVerified) {
+        user.password = undefined;
+        user.isEmailVerified = true;
+      }
+
+      user.linkIdentity(provider, profile);
+      await user.updateLastLogin();
+      return user;
+    }
+  }
+
+  user = new User({
+    email: profile.email,
+    name: profile.name,
+    firstName: profile.firstName,
+    lastName: profile.lastName,
+    profilePicture: profile.picture,
+    isEmailVerified: profile.emailVerified
+  });
+  user.linkIdentity(provider, profile);
+  await user.save();
+
+  // Send welcome email
+  try {
+    await sendWelcomeEmail(user.email, user.name);
+  } catch (emailError) {
+    console.error('Failed to send welcome email:', emailError);
+  }
+
+  return user;
+};
+
+/**
+ * Link an OAuth identity to an existing account
+ * @param {String} userId - Account to link to
+ * @param {String} provider - google | github
+ * @param {Object} profile - Normalized provider profile
+ */
+const linkOAuthIdentity = async (userId, provider, profile) => {
+  const owner = await User.findByProvider(provider, profile.providerId);
+
+  if (owner && owner._id.toString() !== userId) {
+    throw new ApiError(409, `This ${oauthProviders[provider].name} account is already linked to another user`);
+  }
+
+  const user = await User.findById(userId);
+
+  if (!user || !user.isActive) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  const existing = user.getIdentity(provider);
+  if (existing && existing.providerId !== profile.providerId) {
+    throw new ApiError(409, `A different ${oauthProviders[provider].name} account is already linked. Unlink it first`);
+  }
+
+  user.linkIdentity(provider, profile);
+  await user.save();
+};
+
+/**
+ * Create an OAuth callback handler
+ * Logs the user in (setting auth cookies) or, for link requests started from
+ * /api/users/me/identities, links the identity to the signed-in account
+ * @param {String} provider - google | github
+ */
+const createOAuthCallbackHandler = (provider) => async (req, res, next) => {
+  try {
+    const { code, state, error } = req.query;
+
+    // Handle provider errors
+    if (error) {
+      return redirectWithError(res, error);
+    }
+
+    // Check if code exists
+    if (!code) {
+      return redirectWithError(res, 'No authorization code provided');
+    }
+
+    // The state is single use: it must match the nonce cookie of the browser that started the request
+    const oauthState = verifyOAuthRequest(req, state);
+    res.clearCookie(OAUTH_STATE_COOKIE);
+    if (!oauthState) {
+      return redirectWithError(res, 'Invalid or expired login request. Please try again');
+    }
+
+    // Get user info from the provider
+    const profile = await oauthProviders[provider].getProfile(code);
+
+    if (!profile) {
+      return redirectWithError(res, `Failed to retrieve user information from ${oauthProviders[provider].name}`);
+    }
+
+    if (oauthState.action === 'link') {
+      await linkOAuthIdentity(oauthState.id, provider, profile);
+      return res.redirect(`${FRONTEND_URL}/app/settings?linked=${provider}`);
+    }
+
+    const user = await findOrCreateOAuthUser(provider, profile);
+
+    // Accounts with 2FA finish signing in on the frontend's code prompt
+    if (user.twoFactor.enabled) {
+      startTwoFactorChallenge(user, res, provider);
+      return res.redirect(`${FRONTEND_URL}/two-factor`);
+    }
+
+    // Generate JWT tokens for a new session
+    const tokens = await startSession(user, req);
+
+    // ✅ SET TOKENS IN HTTP-ONLY COOKIES
+    setAuthCookies(res, tokens);
+
+    // ✅ REDIRECT DIRECTLY TO /app (NOT /auth/callback)
+    return res.redirect(`${FRONTEND_URL}/app`);
+
+  } catch (error) {
+    console.error(`${oauthProviders[provider].name} callback error:`, error);
+    return redirectWithError(
+      res,
+      error instanceof ApiError ? error.message : 'Authentication failed'
+    );
+  }
+};
 
 /**
  * Initiate Google OAuth login
@@ -11,7 +389,7 @@ const { sendWelcomeEmail } = require('../services/email.service');
  */
 const initiateGoogleLogin = async (req, res, next) => {
   try {
-    const authUrl = getGoogleAuthURL();
+    const authUrl = getGoogleAuthURL(startOAuthRequest(res, { action: 'login' }));
     
     res.json(new ApiResponse(
       200,
@@ -24,97 +402,319 @@ const initiateGoogleLogin = async (req, res, next) => {
 };
 
 /**
- * Handle Google OAuth callback - UPDATED VERSION
+ * Handle Google OAuth callback
  * @route GET /api/auth/google/callback
  */
-const handleGoogleCallback = async (req, res, next) => {
+const handleGoogleCallback = createOAuthCallbackHandler('google');
+
+/**
+ * Initiate GitHub OAuth login
+ * @route GET /api/auth/github
+ */
+const initiateGitHubLogin = async (req, res, next) => {
   try {
-    const { code, state, error } = req.query;
+    const authUrl = getGitHubAuthURL(startOAuthRequest(res, { action: 'login' }));
 
-    // Handle Google errors
-    if (error) {
-      return res.redirect(
-        `http://localhost:3000/?error=${encodeURIComponent(error)}`
-      );
+    res.json(new ApiResponse(
+      200,
+      { authUrl },
+      'GitHub OAuth URL generated successfully'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Handle GitHub OAuth callback
+ * @route GET /api/auth/github/callback
+ */
+const handleGitHubCallback = createOAuthCallbackHandler('github');
+
+/**
+ * Send a new email verification link
+ * Failures are logged so they never block registration
+ */
+const sendEmailVerification = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  try {
+    await sendVerificationEmail(user.email, user.name, verificationToken);
+  } catch (emailError) {
+    console.error('Failed to send verification email:', emailError);
+  }
+};
+
+/**
+ * Register with email and password
+ * The account must verify its email address before it can log in
+ * @route POST /api/auth/register
+ */
+const register = async (req, res, next) => {
+  try {
+    const { email, password, name } = req.body;
+
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+
+    if (existingUser) {
+      throw new ApiError(409, 'An account with this email already exists');
     }
 
-    // Check if code exists
-    if (!code) {
-      return res.redirect(
-        `http://localhost:3000/?error=${encodeURIComponent('No authorization code provided')}`
-      );
+    const [firstName = '', ...lastName] = name.split(' ');
+
+    const user = new User({
+      email,
+      password,
+      name,
+      firstName,
+      lastName: lastName.join(' '),
+      isEmailVerified: false
+    });
+
+    await sendEmailVerification(user);
+
+    res.status(201).json(new ApiResponse(
+      201,
+      {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        isEmailVerified: user.isEmailVerified
+      },
+      'Account created. Please check your email to verify your address'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Login with email and password
+ * @route POST /api/auth/login
+ */
+const login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findByEmail(email).select('+password');
+
+    // Same response for unknown emails and OAuth-only accounts
+    if (!user || !user.password) {
+      throw new ApiError(401, 'Invalid email or password');
+    }
+
+    if (user.isLocked()) {
+      const minutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
+      throw new ApiError(423, `Account is locked after too many failed login attempts. Try again in ${minutes} minute(s)`);
+    }
+
+    const isMatch = await user.comparePassword(password);
+
+    if (!isMatch) {
+      await user.registerFailedLogin();
+      throw new ApiError(401, 'Invalid email or password');
+    }
+
+    if (!user.isEmailVerified) {
+      throw new ApiError(403, 'Please verify your email address before logging in');
     }
 
-    // Get tokens and user info from Google
-    const { userInfo } = await getGoogleTokensAndUser(code);
+    // Failed attempts keep counting until the second step succeeds
+    if (user.twoFactor.enabled) {
+      const challengeToken = startTwoFactorChallenge(user, res, 'password');
 
-    if (!userInfo || !userInfo.sub || !userInfo.email) {
-      return res.redirect(
-        `http://localhost:3000/?error=${encodeURIComponent('Failed to retrieve user information from Google')}`
-      );
+      return res.json(new ApiResponse(
+        200,
+        { twoFactorRequired: true, challengeToken },
+        'Two-factor authentication required'
+      ));
     }
 
-    // Check if user exists
-    let user = await User.findByGoogleId(userInfo.sub);
+    user.resetLoginAttempts();
+    await user.updateLastLogin();
+
+    // Generate JWT tokens for a new session
+    const tokens = await startSession(user, req);
+
+    setAuthCookies(res, tokens);
+
+    res.json(new ApiResponse(200, buildLoginResponse(user, tokens), 'Logged in successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Complete sign-in with a two-factor code or recovery code
+ * @route POST /api/auth/2fa/verify
+ */
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    const challengeToken = req.body.challengeToken || req.cookies[TWO_FACTOR_COOKIE];
+
+    if (!challengeToken) {
+      throw new ApiError(400, 'Two-factor challenge is required');
+    }
+
+    let challenge;
+    try {
+      challenge = verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+      throw new ApiError(401, 'Two-factor challenge is invalid or has expired. Please sign in again');
+    }
+
+    const user = await User.findWithTwoFactor(challenge.id);
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      throw new ApiError(401, 'Two-factor challenge is invalid or has expired. Please sign in again');
+    }
+
+    if (user.isLocked()) {
+      const minutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
+      throw new ApiError(423, `Account is locked after too many failed login attempts. Try again in ${minutes} minute(s)`);
+    }
+
+    if (!user.verifyTwoFactorCode(code)) {
+      await user.registerFailedLogin();
+      throw new ApiError(401, 'Invalid two-factor code');
+    }
+
+    user.resetLoginAttempts();
+    user.lastLogin = Date.now();
+
+    // Generate JWT tokens for a new session (also saves the consumed code)
+    const tokens = await startSession(user, req);
+
+    res.clearCookie(TWO_FACTOR_COOKIE);
+    setAuthCookies(res, tokens);
+
+    res.json(new ApiResponse(200, buildLoginResponse(user, tokens), 'Logged in successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verify email address
+ * @route POST /api/auth/verify-email
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const user = await User.findByVerificationToken(req.body.token);
+
+    if (!user) {
+      throw new ApiError(400, 'Verification link is invalid or has expired');
+    }
+
+    // Tokens are single-use
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    // Send welcome email
+    try {
+      await sendWelcomeEmail(user.email, user.name);
+    } catch (emailError) {
+      console.error('Failed to send welcome email:', emailError);
+    }
+
+    res.json(new ApiResponse(200, null, 'Email verified successfully. You can now log in'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resend the email verification link
+ * Responds the same way whether or not the account exists
+ * @route POST /api/auth/resend-verification
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findByEmail(req.body.email);
+
+    if (user && !user.isEmailVerified) {
+      await sendEmailVerification(user);
+    }
+
+    res.json(new ApiResponse(
+      200,
+      null,
+      'If the account exists and is unverified, a new verification email has been sent'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Request a password reset link
+ * Responds the same way whether or not the account exists
+ * @route POST /api/auth/forgot-password
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const user = await User.findByEmail(req.body.email);
+
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user.email, resetToken);
+      } catch (emailError) {
+        console.error('Failed to send password reset email:', emailError);
+      }
+    }
+
+    res.json(new ApiResponse(
+      200,
+      null,
+      'If an account exists for this email, a password reset link has been sent'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reset password with a reset token
+ * Signs out every session and clears any login lockout
+ * @route POST /api/auth/reset-password
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findByResetToken(token);
 
     if (!user) {
-      // Create new user
-      user = await User.create({
-        googleId: userInfo.sub,
-        email: userInfo.email,
-        name: userInfo.name || userInfo.email.split('@')[0],
-        firstName: userInfo.given_name || '',
-        lastName: userInfo.family_name || '',
-        profilePicture: userInfo.picture || null,
-        isEmailVerified: userInfo.email_verified || true
-      });
-
-      // Send welcome email
-      try {
-        await sendWelcomeEmail(user.email, user.name);
-      } catch (emailError) {
-        console.error('Failed to send welcome email:', emailError);
-      }
-    } else {
-      // Update last login
-      await user.updateLastLogin();
-      
-      // Update profile picture if changed
-      if (userInfo.picture && user.profilePicture !== userInfo.picture) {
-        user.profilePicture = userInfo.picture;
-        await user.save();
-      }
+      throw new ApiError(400, 'Reset link is invalid or has expired');
     }
 
-    // Generate JWT tokens
-    const tokens = generateTokens(user);
-
-    // Save refresh token to user
-    await user.addRefreshToken(tokens.refreshToken);
+    // Tokens are single-use
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.refreshTokens = [];
+    user.resetLoginAttempts();
 
-    // ✅ SET TOKENS IN HTTP-ONLY COOKIES
-    res.cookie('accessToken', tokens.accessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 15 * 60 * 1000 // 15 minutes
-    });
+    // Receiving the reset email proves ownership of the address
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
 
-    res.cookie('refreshToken', tokens.refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    await user.save();
 
-    // ✅ REDIRECT DIRECTLY TO /app (NOT /auth/callback)
-    return res.redirect('http://localhost:3000/app');
+    res.clearCookie('accessToken');
+    res.clearCookie('refreshToken');
 
+    res.json(new ApiResponse(200, null, 'Password reset successfully. Please log in with your new password'));
   } catch (error) {
-    console.error('Google callback error:', error);
-    return res.redirect(
-      `http://localhost:3000/?error=${encodeURIComponent('Authentication failed')}`
-    );
+    next(error);
   }
 };
 
@@ -149,19 +749,27 @@ const refreshAccessToken = async (req, res, next) => {
       throw new ApiError(403, 'Account is deactivated');
     }
 
-    // Check if refresh token is in user's token list
-    const tokenExists = user.refreshTokens.some(rt => rt.token === refreshToken);
-    
-    if (!tokenExists) {
+    // Check if refresh token belongs to one of the user's sessions
+    const session = user.findSessionByToken(refreshToken);
+
+    if (!session) {
+      // A validly signed token for a live session that is no longer its current token
+      // was already rotated: someone is replaying it, so revoke the whole token family
+      if (decoded.sid && user.revokeSession(decoded.sid)) {
+        await user.save();
+        await recordSecurityEvent(user, 'refresh-token-reuse', req, {
+          sessionId: decoded.sid,
+          details: { tokenIssuedAt: new Date(decoded.iat * 1000) }
+        });
+      }
+
       throw new ApiError(401, 'Refresh token not found or has been revoked');
     }
 
-    // Generate new tokens
-    const tokens = generateTokens(user);
-
-    // Remove old refresh token and add new one
-    await user.removeRefreshToken(refreshToken);
-    await user.addRefreshToken(tokens.refreshToken);
+    // Generate new tokens and rotate the session's refresh token
+    const tokens = generateTokens(user, session._id);
+    user.setSessionToken(session, tokens.refreshToken, getClientInfo(req));
+    await user.save();
 
     res.json(new ApiResponse(
       200,
@@ -182,12 +790,17 @@ const refreshAccessToken = async (req, res, next) => {
  */
 const logout = async (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
-    const user = req.user;
+    const refreshToken = req.body.refreshToken || req.cookies.refreshToken;
+    const user = await User.findById(req.userId);
+
+    if (user) {
+      // End this device's session
+      const session = refreshToken ? user.findSessionByToken(refreshToken) : null;
+      const sessionId = session ? session._id : req.user.sid;
 
-    if (refreshToken && user) {
-      // Remove refresh token
-      await user.removeRefreshToken(refreshToken);
+      if (sessionId && user.revokeSession(sessionId)) {
+        await user.save();
+      }
     }
 
     // ✅ CLEAR COOKIES ON LOGOUT
@@ -206,7 +819,7 @@ const logout = async (req, res, next) => {
  */
 const getCurrentUser = async (req, res, next) => {
   try {
-    const user = await User.findById(req.userId).select('-refreshTokens');
+    const user = await User.findById(req.userId).select('-refreshTokens +password');
 
     if (!user) {
       throw new ApiError(404, 'User not found');
@@ -215,6 +828,10 @@ const getCurrentUser = async (req, res, next) => {
     const userResponse = {
       id: user._id,
       googleId: user.googleId,
+      identities: user.getIdentities(),
+      hasPassword: Boolean(user.password),
+      twoFactorEnabled: user.twoFactor.enabled,
+      role: user.role,
       email: user.email,
       name: user.name,
       firstName: user.firstName,
@@ -285,6 +902,9 @@ const deleteUserAccount = async (req, res, next) => {
     user.refreshTokens = [];
     await user.save();
 
+    // Personal access tokens stop working with the account
+    await AccessToken.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() });
+
     // ✅ CLEAR COOKIES ON ACCOUNT DELETION
     res.clearCookie('accessToken');
     res.clearCookie('refreshToken');
@@ -295,12 +915,363 @@ const deleteUserAccount = async (req, res, next) => {
   }
 };
 
+/**
+ * Start two-factor enrollment
+ * Returns a secret and provisioning URI (render it as a QR code)
+ * @route POST /api/users/me/two-factor/setup
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findWithTwoFactor(req.userId);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    if (user.twoFactor.enabled) {
+      throw new ApiError(409, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = user.startTwoFactorSetup();
+    await user.save();
+
+    res.json(new ApiResponse(
+      200,
+      {
+        secret,
+        otpauthUrl: buildOtpauthURL(secret, user.email, TWO_FACTOR_ISSUER)
+      },
+      'Scan the code with your authenticator app, then confirm with a code'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm two-factor enrollment with a code from the authenticator app
+ * Recovery codes are only returned in this response
+ * @route POST /api/users/me/two-factor/confirm
+ */
+const confirmTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findWithTwoFactor(req.userId);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    if (user.twoFactor.enabled) {
+      throw new ApiError(409, 'Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      throw new ApiError(400, 'Start two-factor setup first');
+    }
+
+    if (!user.confirmTwoFactorSetup(req.body.code)) {
+      throw new ApiError(400, 'Invalid two-factor code');
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await recordSecurityEvent(user, 'two-factor-enabled', req);
+
+    res.json(new ApiResponse(
+      200,
+      { recoveryCodes },
+      'Two-factor authentication enabled. Store your recovery codes now, they will not be shown again'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace recovery codes (requires re-authentication)
+ * @route POST /api/users/me/two-factor/recovery-codes
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findWithTwoFactor(req.userId);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    if (!user.twoFactor.enabled) {
+      throw new ApiError(400, 'Two-factor authentication is not enabled');
+    }
+
+    await reauthenticate(user, req.body);
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json(new ApiResponse(
+      200,
+      { recoveryCodes },
+      'Recovery codes regenerated. Store them now, they will not be shown again'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Disable two-factor authentication (requires re-authentication)
+ * @route DELETE /api/users/me/two-factor
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findWithTwoFactor(req.userId);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    if (!user.twoFactor.enabled) {
+      throw new ApiError(400, 'Two-factor authentication is not enabled');
+    }
+
+    await reauthenticate(user, req.body);
+
+    user.disableTwoFactor();
+    await user.save();
+
+    await recordSecurityEvent(user, 'two-factor-disabled', req);
+
+    res.json(new ApiResponse(200, null, 'Two-factor authentication disabled'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reset a user's two-factor authentication (admin only)
+ * For users who lost their authenticator and recovery codes
+ * @route DELETE /api/users/:userId/two-factor
+ */
+const adminResetTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    if (!user.twoFactor.enabled) {
+      throw new ApiError(400, 'Two-factor authentication is not enabled for this user');
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+
+    await recordSecurityEvent(user, 'two-factor-reset', req, {
+      details: { resetBy: req.userId }
+    });
+
+    res.json(new ApiResponse(200, null, 'Two-factor authentication reset successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get active sessions (signed-in devices)
+ * @route GET /api/users/me/sessions
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    res.json(new ApiResponse(200, user.getSessions(req.user.sid), 'Sessions retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a session
+ * Its refresh token stops working; its access token expires on its own
+ * @route DELETE /api/users/me/sessions/:sessionId
+ */
+const revokeSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    if (!user.revokeSession(sessionId)) {
+      throw new ApiError(404, 'Session not found');
+    }
+
+    await user.save();
+
+    // Revoking the current session logs this device out
+    if (req.user.sid && req.user.sid.toString() === sessionId) {
+      res.clearCookie('accessToken');
+      res.clearCookie('refreshToken');
+    }
+
+    res.json(new ApiResponse(200, null, 'Session revoked successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke every session except the current one
+ * @route DELETE /api/users/me/sessions
+ */
+const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    const revokedCount = user.revokeOtherSessions(req.user.sid);
+    await user.save();
+
+    res.json(new ApiResponse(200, { revokedCount }, 'Other sessions revoked successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get recent security events (e.g. detected refresh token reuse)
+ * @route GET /api/users/me/security-events
+ */
+const getUserSecurityEvents = async (req, res, next) => {
+  try {
+    const events = await getSecurityEvents(req.userId);
+
+    res.json(new ApiResponse(200, events, 'Security events retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get linked identity providers
+ * @route GET /api/users/me/identities
+ */
+const getLinkedIdentities = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    res.json(new ApiResponse(200, user.getIdentities(), 'Linked identities retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start linking an identity provider to the current account
+ * Returns the provider's consent URL; the provider's callback completes the link
+ * @route POST /api/users/me/identities/:provider
+ */
+const linkIdentity = async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    if (user.getIdentity(provider)) {
+      throw new ApiError(409, `${oauthProviders[provider].name} account is already linked`);
+    }
+
+    const authUrl = oauthProviders[provider].getAuthURL(
+      startOAuthRequest(res, { action: 'link', id: user._id.toString() })
+    );
+
+    res.json(new ApiResponse(
+      200,
+      { authUrl },
+      `${oauthProviders[provider].name} OAuth URL generated successfully`
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unlink an identity provider from the current account
+ * @route DELETE /api/users/me/identities/:provider
+ */
+const unlinkIdentity = async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+    const user = await User.findById(req.userId).select('+password');
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    if (!user.getIdentity(provider)) {
+      throw new ApiError(404, `No ${oauthProviders[provider].name} account is linked`);
+    }
+
+    const signInMethods = user.getIdentities().length + (user.password ? 1 : 0);
+
+    if (signInMethods <= 1) {
+      throw new ApiError(400, 'Cannot unlink your only sign-in method');
+    }
+
+    user.unlinkIdentity(provider);
+    await user.save();
+
+    res.json(new ApiResponse(200, user.getIdentities(), `${oauthProviders[provider].name} account unlinked successfully`));
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   initiateGoogleLogin,
   handleGoogleCallback,
+  initiateGitHubLogin,
+  handleGitHubCallback,
+  register,
+  login,
+  verifyTwoFactorLogin,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   refreshAccessToken,
   logout,
   getCurrentUser,
   updateUserProfile,
-  deleteUserAccount
+  deleteUserAccount,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  adminResetTwoFactor,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getUserSecurityEvents,
+  getLinkedIdentities,
+  linkIdentity,
+  unlinkIdentity
 };
\ No newline at end of file
@@ -0,0 +1,208 @@
+const Webhook = require('../models/webhook.model');
+const WebhookDelivery = require('../models/webhookDelivery.model');
+const { ApiError } = require('../middlewares/api.error');
+const { ApiResponse, paginatedResponse } = require('../utils/api.response');
+const { generateWebhookSecret, sendTestEvent, assertPublicWebhookUrl } = require('../services/webhook.service');
+
+/**
+ * Find a webhook owned by the current user
+ */
+const findOwnWebhook = async (webhookId, userId, select = '') => {
+  const webhook = await Webhook.findOne({ _id: webhookId, userId }).select(select);
+
+  if (!webhook) {
+    throw new ApiError(404, 'Webhook not found');
+  }
+
+  return webhook;
+};
+
+/**
+ * Create a webhook subscription
+ * The signing secret is only returned in this response
+ * @route POST /api/webhooks
+ */
+const createWebhook = async (req, res, next) => {
+  try {
+    const { url, events, description } = req.body;
+
+    await assertPublicWebhookUrl(url);
+
+    const webhook = await Webhook.create({
+      userId: req.userId,
+      url,
+      events,
+      description: description || '',
+      secret: generateWebhookSecret()
+    });
+
+    res.status(201).json(new ApiResponse(
+      201,
+      { ...webhook.toObject(), secret: webhook.secret },
+      'Webhook created successfully. Store the secret now, it will not be shown again'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all webhooks for the current user
+ * @route GET /api/webhooks
+ */
+const getWebhooks = async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find({ userId: req.userId }).sort({ createdAt: -1 });
+
+    res.json(new ApiResponse(200, webhooks, 'Webhooks retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a webhook by ID
+ * @route GET /api/webhooks/:webhookId
+ */
+const getWebhookById = async (req, res, next) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.webhookId, req.userId);
+
+    res.json(new ApiResponse(200, webhook, 'Webhook retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a webhook
+ * @route PATCH /api/webhooks/:webhookId
+ */
+const updateWebhook = async (req, res, next) => {
+  try {
+    const { url, events, description, isActive } = req.body;
+    const webhook = await findOwnWebhook(req.params.webhookId, req.userId);
+
+    if (url !== undefined) {
+      await assertPublicWebhookUrl(url);
+      webhook.url = url;
+    }
+    if (events !== undefined) webhook.events = events;
+    if (description !== undefined) webhook.description = description;
+    if (isActive !== undefined) {
+      webhook.isActive = isActive;
+      if (isActive) webhook.failureCount = 0;
+    }
+
+    await webhook.save();
+
+    res.json(new ApiResponse(200, webhook, 'Webhook updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rotate a webhook's signing secret
+ * @route POST /api/webhooks/:webhookId/rotate-secret
+ */
+const rotateWebhookSecret = async (req, res, next) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.webhookId, req.userId);
+
+    webhook.secret = generateWebhookSecret();
+    await webhook.save();
+
+    res.json(new ApiResponse(
+      200,
+      { id: webhook._id, secret: webhook.secret },
+      'Webhook secret rotated successfully'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a webhook and its delivery logs
+ * @route DELETE /api/webhooks/:webhookId
+ */
+const deleteWebhook = async (req, res, next) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.webhookId, req.userId);
+
+    await Promise.all([
+      webhook.deleteOne(),
+      WebhookDelivery.deleteMany({ webhookId: webhook._id })
+    ]);
+
+    res.json(new ApiResponse(200, null, 'Webhook deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a test event to a webhook
+ * @route POST /api/webhooks/:webhookId/test
+ */
+const testWebhook = async (req, res, next) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.webhookId, req.userId, '+secret');
+    const delivery = await sendTestEvent(webhook);
+
+    res.status(202).json(new ApiResponse(202, delivery, 'Test event queued'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get delivery logs for a webhook
+ * @route GET /api/webhooks/:webhookId/deliveries
+ * @query page, limit, status
+ */
+const getWebhookDeliveries = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const webhook = await findOwnWebhook(req.params.webhookId, req.userId);
+
+    const query = { webhookId: webhook._id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const [deliveries, totalItems] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalItems / limit);
+
+    return paginatedResponse(res, deliveries, {
+      page,
+      limit,
+      totalPages,
+      totalItems,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }, 'Webhook deliveries retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createWebhook,
+  getWebhooks,
+  getWebhookById,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  testWebhook,
+  getWebhookDeliveries
+};
@@ -0,0 +1,243 @@
+const Workspace = require('../models/workspace.model');
+const Todo = require('../models/todo.model');
+const User = require('../models/user.model');
+const { ApiError } = require('../middlewares/api.error');
+const { ApiResponse } = require('../utils/api.response');
+const { findWorkspaceForMember } = require('../services/workspace.service');
+
+const MEMBER_FIELDS = 'name email profilePicture';
+
+/**
+ * Check that the current user may manage a member with a role
+ * Admins manage members and guests; only the owner manages admins
+ */
+const assertCanManageRole = (workspace, userId, role) => {
+  const actorRole = workspace.getRole(userId);
+
+  if (role === 'owner') {
+    throw new ApiError(403, 'The workspace owner cannot be changed or removed');
+  }
+
+  if (role === 'admin' && actorRole !== 'owner') {
+    throw new ApiError(403, 'Only the workspace owner can manage admins');
+  }
+};
+
+/**
+ * Create a workspace
+ * The creator becomes its owner
+ * @route POST /api/workspaces
+ */
+const createWorkspace = async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    const workspace = await Workspace.create({
+      name,
+      description: description || '',
+      ownerId: req.userId,
+      members: [{ userId: req.userId, role: 'owner' }]
+    });
+
+    res.status(201).json(new ApiResponse(201, workspace, 'Workspace created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get workspaces the current user belongs to
+ * @route GET /api/workspaces
+ */
+const getWorkspaces = async (req, res, next) => {
+  try {
+    const workspaces = await Workspace.findForUser(req.userId).sort({ createdAt: -1 });
+
+    res.json(new ApiResponse(
+      200,
+      workspaces.map(workspace => ({
+        ...workspace.toObject(),
+        role: workspace.getRole(req.userId),
+        memberCount: workspace.members.length
+      })),
+      'Workspaces retrieved successfully'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a workspace with its members
+ * @route GET /api/workspaces/:workspaceId
+ */
+const getWorkspaceById = async (req, res, next) => {
+  try {
+    const workspace = await findWorkspaceForMember(req.params.workspaceId, req.userId);
+    await workspace.populate('members.userId', MEMBER_FIELDS);
+
+    res.json(new ApiResponse(
+      200,
+      { ...workspace.toObject(), role: workspace.getRole(req.userId) },
+      'Workspace retrieved successfully'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a workspace
+ * @route PATCH /api/workspaces/:workspaceId
+ */
+const updateWorkspace = async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+    const workspace = await findWorkspaceForMember(req.params.workspaceId, req.userId, 'admin');
+
+    if (name !== undefined) workspace.name = name;
+    if (description !== undefined) workspace.description = description;
+
+    await workspace.save();
+
+    res.json(new ApiResponse(200, workspace, 'Workspace updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a workspace
+ * Its todos stay with their creators as personal todos
+ * @route DELETE /api/workspaces/:workspaceId
+ */
+const deleteWorkspace = async (req, res, next) => {
+  try {
+    const workspace = await findWorkspaceForMember(req.params.workspaceId, req.userId, 'owner');
+
+    workspace.isDeleted = true;
+    workspace.deletedAt = new Date();
+    await workspace.save();
+
+    await Todo.updateMany({ workspaceId: workspace._id }, { workspaceId: null });
+
+    res.json(new ApiResponse(200, null, 'Workspace deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invite a user to a workspace by email
+ * @route POST /api/workspaces/:workspaceId/members
+ */
+const inviteMember = async (req, res, next) => {
+  try {
+    const { email, role = 'member' } = req.body;
+    const workspace = await findWorkspaceForMember(req.params.workspaceId, req.userId, 'admin');
+
+    assertCanManageRole(workspace, req.userId, role);
+
+    const user = await User.findByEmail(email);
+
+    if (!user) {
+      throw new ApiError(404, 'No user found with this email');
+    }
+
+    if (workspace.isMember(user._id)) {
+      throw new ApiError(409, 'User is already a member of this workspace');
+    }
+
+    workspace.members.push({
+      userId: user._id,
+      role,
+      invitedBy: req.userId
+    });
+
+    await workspace.save();
+    await workspace.populate('members.userId', MEMBER_FIELDS);
+
+    res.status(201).json(new ApiResponse(201, workspace, 'Member added successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a member's role
+ * @route PATCH /api/workspaces/:workspaceId/members/:memberId
+ */
+const updateMemberRole = async (req, res, next) => {
+  try {
+    const { workspaceId, memberId } = req.params;
+    const { role } = req.body;
+    const workspace = await findWorkspaceForMember(workspaceId, req.userId, 'admin');
+
+    const member = workspace.getMember(memberId);
+
+    if (!member) {
+      throw new ApiError(404, 'Member not found');
+    }
+
+    assertCanManageRole(workspace, req.userId, member.role);
+    assertCanManageRole(workspace, req.userId, role);
+
+    member.role = role;
+    await workspace.save();
+    await workspace.populate('members.userId', MEMBER_FIELDS);
+
+    res.json(new ApiResponse(200, workspace, 'Member role updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a member from a workspace (or leave it)
+ * @route DELETE /api/workspaces/:workspaceId/members/:memberId
+ */
+const removeMember = async (req, res, next) => {
+  try {
+    const { workspaceId, memberId } = req.params;
+    const isSelf = memberId === req.userId;
+
+    // Any member can leave; removing others requires admin
+    const workspace = await findWorkspaceForMember(workspaceId, req.userId, isSelf ? 'guest' : 'admin');
+
+    const member = workspace.getMember(memberId);
+
+    if (!member) {
+      throw new ApiError(404, 'Member not found');
+    }
+
+    if (member.role === 'owner') {
+      throw new ApiError(400, 'The workspace owner cannot leave. Delete the workspace instead');
+    }
+
+    if (!isSelf) {
+      assertCanManageRole(workspace, req.userId, member.role);
+    }
+
+    workspace.members = workspace.members.filter(m => m.userId.toString() !== memberId);
+    await workspace.save();
+
+    res.json(new ApiResponse(
+      200,
+      null,
+      isSelf ? 'You left the workspace' : 'Member removed successfully'
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createWorkspace,
+  getWorkspaces,
+  getWorkspaceById,
+  updateWorkspace,
+  deleteWorkspace,
+  inviteMember,
+  updateMemberRole,
+  removeMember
+};
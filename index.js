@@ -8,13 +8,30 @@ const cookieParser = require('cookie-parser'); // ✅ ADD THIS LINE
 const connectDB = require('./configs/db.config');
 const userRoutes = require('./routes/user.route');
 const todoRoutes = require('./routes/todo.route');
+const notificationRoutes = require('./routes/notification.route');
+const realtimeRoutes = require('./routes/realtime.route');
+const webhookRoutes = require('./routes/webhook.route');
+const accessTokenRoutes = require('./routes/accessToken.route');
+const workspaceRoutes = require('./routes/workspace.route');
+const invitationRoutes = require('./routes/invitation.route');
+const shareLinkRoutes = require('./routes/shareLink.route');
+const savedViewRoutes = require('./routes/savedView.route');
+const projectRoutes = require('./routes/project.route');
 const { errorHandler, notFoundHandler } = require('./middlewares/error.handler');
+const { startReminderScheduler } = require('./services/reminder.service');
+const { startDueDateMonitor } = require('./services/notification.service');
+const { startWebhookWorker } = require('./services/webhook.service');
 
 // Initialize Express app
 const app = express();
 
-// Connect to Database
-connectDB();
+// Connect to Database, then start background jobs
+connectDB()
+  .then(() => {
+    startDueDateMonitor();
+    return Promise.all([startReminderScheduler(), startWebhookWorker()]);
+  })
+  .catch((err) => console.error('❌ Failed to start background jobs:', err));
 
 // ============ Security Middlewares ============
 
@@ -71,6 +88,15 @@ app.get('/health', (req, res) => {
 // ============ API Routes ============
 
 app.use('/api', userRoutes);
+app.use('/api', notificationRoutes);
+app.use('/api', realtimeRoutes);
+app.use('/api', webhookRoutes);
+app.use('/api', accessTokenRoutes);
+app.use('/api', workspaceRoutes);
+app.use('/api', invitationRoutes);
+app.use('/api', shareLinkRoutes);
+app.use('/api', savedViewRoutes);
+app.use('/api', projectRoutes);
 app.use('/api', todoRoutes);
 
 // ============ Error Handling ============
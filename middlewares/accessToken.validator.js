@@ -0,0 +1,44 @@
+const { body, param } = require('express-validator');
+const AccessToken = require('../models/accessToken.model');
+const { validate } = require('./user.validator');
+
+const TOKEN_SCOPES = AccessToken.schema.path('scopes').caster.enumValues;
+
+/**
+ * Validate access token ID parameter
+ */
+const validateAccessTokenId = [
+  param('tokenId')
+    .isMongoId()
+    .withMessage('Invalid access token ID format'),
+  validate
+];
+
+/**
+ * Validate access token creation
+ */
+const validateAccessTokenCreate = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Scopes must be a non-empty array'),
+  body('scopes.*')
+    .isIn(TOKEN_SCOPES)
+    .withMessage(`Scopes must be one of: ${TOKEN_SCOPES.join(', ')}`),
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('expiresInDays must be between 1 and 365')
+    .toInt(),
+  validate
+];
+
+module.exports = {
+  validateAccessTokenId,
+  validateAccessTokenCreate
+};
@@ -1,11 +1,46 @@
 const { verifyAccessToken } = require('../configs/jwt.config');
+const AccessToken = require('../models/accessToken.model');
+const User = require('../models/user.model');
 const { ApiError } = require('./api.error');
 const rateLimit = require('express-rate-limit');
 
+/**
+ * Reject users that no longer exist or were deactivated
+ * Checked on every request so tokens issued before deactivation stop working at once
+ */
+const assertActiveUser = async (userId) => {
+  const user = await User.findById(userId).select('isActive');
+
+  if (!user || !user.isActive) {
+    throw new ApiError(401, 'Account is deactivated or no longer exists.');
+  }
+};
+
+/**
+ * Authenticate with a personal access token
+ * Sets req.accessToken so routes can enforce its scopes
+ */
+const authenticateAccessToken = async (req, token) => {
+  const accessToken = await AccessToken.findActiveByToken(token);
+
+  if (!accessToken) {
+    throw new ApiError(401, 'Invalid, expired or revoked access token.');
+  }
+
+  await assertActiveUser(accessToken.userId);
+
+  accessToken.touch(req.ip);
+
+  req.userId = accessToken.userId.toString();
+  req.user = { id: req.userId };
+  req.accessToken = accessToken;
+};
+
 /**
  * Authentication middleware - reads token from cookies or Authorization header
+ * Accepts session JWTs and, via the Authorization header, personal access tokens
  */
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   try {
     let token;
 
@@ -26,6 +61,12 @@ const authenticate = (req, res, next) => {
       throw new ApiError(401, 'No token provided. Authentication required.');
     }
 
+    // Personal access token (scripts and integrations)
+    if (AccessToken.isAccessToken(token)) {
+      await authenticateAccessToken(req, token);
+      return next();
+    }
+
     // Verify token
     let decoded;
     try {
@@ -34,6 +75,8 @@ const authenticate = (req, res, next) => {
       throw new ApiError(401, 'Invalid or expired token. Please login again.');
     }
 
+    await assertActiveUser(decoded.id);
+
     // Attach user ID to request
     req.userId = decoded.id;
     req.user = decoded;
@@ -44,6 +87,47 @@ const authenticate = (req, res, next) => {
   }
 };
 
+/**
+ * Require personal access tokens to carry a scope
+ * Session (cookie/JWT) requests have full access and always pass
+ * @param {String} scope - e.g. 'todos:read'
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (req.accessToken && !req.accessToken.hasScope(scope)) {
+    return next(new ApiError(403, `Access token is missing the required scope: ${scope}`));
+  }
+
+  next();
+};
+
+/**
+ * Reject personal access tokens on account-management routes
+ */
+const requireSession = (req, res, next) => {
+  if (req.accessToken) {
+    return next(new ApiError(403, 'This endpoint cannot be used with an access token.'));
+  }
+
+  next();
+};
+
+/**
+ * Require the authenticated user to be an admin
+ */
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select('role isActive');
+
+    if (!user || !user.isActive || user.role !== 'admin') {
+      throw new ApiError(403, 'Admin access required.');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Rate limiting for authentication endpoints
  */
@@ -61,7 +145,25 @@ const rateLimitAuth = () => {
   });
 };
 
+/**
+ * Rate limiting for public share links, which need no authentication
+ * @param {Number} max - Requests per IP per window
+ */
+const rateLimitPublic = (max = parseInt(process.env.PUBLIC_LINK_RATE_LIMIT) || 60) => {
+  return rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max,
+    message: 'Too many requests for shared links, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false
+  });
+};
+
 module.exports = {
   authenticate,
-  rateLimitAuth
+  requireScope,
+  requireSession,
+  requireAdmin,
+  rateLimitAuth,
+  rateLimitPublic
 };
\ No newline at end of file
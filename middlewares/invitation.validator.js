@@ -0,0 +1,46 @@
+const { body, param, query } = require('express-validator');
+const { validate } = require('./user.validator');
+
+/**
+ * Validate invitation ID parameter
+ */
+const validateInvitationId = [
+  param('invitationId')
+    .isMongoId()
+    .withMessage('Invalid invitation ID format'),
+  validate
+];
+
+/**
+ * Validate todo ID query parameter
+ */
+const validateInvitationQuery = [
+  query('todoId')
+    .isMongoId()
+    .withMessage('Invalid todo ID format'),
+  validate
+];
+
+/**
+ * Validate invitation token (query for preview, body for accept)
+ */
+const validateInvitationTokenQuery = [
+  query('token')
+    .isJWT()
+    .withMessage('Invalid invitation token'),
+  validate
+];
+
+const validateInvitationTokenBody = [
+  body('token')
+    .isJWT()
+    .withMessage('Invalid invitation token'),
+  validate
+];
+
+module.exports = {
+  validateInvitationId,
+  validateInvitationQuery,
+  validateInvitationTokenQuery,
+  validateInvitationTokenBody
+};
@@ -0,0 +1,43 @@
+const { param, query } = require('express-validator');
+const Notification = require('../models/notification.model');
+const { validate } = require('./user.validator');
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+/**
+ * Validate notification ID parameter
+ */
+const validateNotificationId = [
+  param('notificationId')
+    .isMongoId()
+    .withMessage('Invalid notification ID format'),
+  validate
+];
+
+/**
+ * Validate notification list query parameters
+ */
+const validateNotificationQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('type')
+    .optional()
+    .custom(value => value.split(',').every(type => NOTIFICATION_TYPES.includes(type)))
+    .withMessage(`Type must be one of: ${NOTIFICATION_TYPES.join(', ')}`),
+  query('unread')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Unread must be true or false'),
+  validate
+];
+
+module.exports = {
+  validateNotificationId,
+  validateNotificationQuery
+};
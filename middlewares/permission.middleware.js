@@ -0,0 +1,33 @@
+const Todo = require('../models/todo.model');
+const { ApiError } = require('./api.error');
+const { getTodoAccess, assertCan } = require('../services/permission.service');
+
+/**
+ * Load the todo in req.params.todoId and check the current user may perform an action on it
+ * Sets req.todo and req.todoAccess for the controller
+ * See services/permission.service.js for the role/action matrix
+ * @param {String} action - Policy action, e.g. 'todo:update'
+ */
+const authorizeTodo = (action) => async (req, res, next) => {
+  try {
+    const todo = await Todo.findById(req.params.todoId);
+
+    if (!todo || todo.isDeleted) {
+      throw new ApiError(404, 'Todo not found');
+    }
+
+    const access = await getTodoAccess(todo, req.userId);
+    assertCan(access, action);
+
+    req.todo = todo;
+    req.todoAccess = access;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  authorizeTodo
+};
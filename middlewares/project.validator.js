@@ -0,0 +1,242 @@
+const { body, param, query } = require('express-validator');
+const { validate } = require('./user.validator');
+const Todo = require('../models/todo.model');
+const Project = require('../models/project.model');
+
+const TODO_STATUSES = Todo.schema.path('status').enumValues;
+const WIP_POLICIES = Project.schema.path('board.columns').schema.path('wipPolicy').enumValues;
+
+// Most columns a board can have
+const MAX_BOARD_COLUMNS = 20;
+
+const projectIdRule = () => param('projectId')
+  .isMongoId()
+  .withMessage('Invalid project ID format');
+
+const sectionIdRule = () => param('sectionId')
+  .isMongoId()
+  .withMessage('Invalid section ID format');
+
+const sectionNameRule = () => body('name')
+  .trim()
+  .notEmpty()
+  .withMessage('Section name is required')
+  .isLength({ max: 100 })
+  .withMessage('Section name cannot exceed 100 characters');
+
+// Required ID where null means "none"
+const nullableIdRule = (field, label) => body(field)
+  .custom(value => value === null || (typeof value === 'string' && /^[0-9a-fA-F]{24}$/.test(value)))
+  .withMessage(`${field} must be a ${label} ID or null`);
+
+const positionRule = () => body('position')
+  .optional()
+  .isInt({ min: 0 })
+  .withMessage('Position must be a non-negative integer')
+  .toInt();
+
+/**
+ * Rules for the editable fields of a project
+ */
+const projectFieldRules = () => [
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex color such as #4f46e5'),
+  body('icon')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Icon cannot exceed 50 characters')
+];
+
+/**
+ * Validate project ID parameter
+ */
+const validateProjectId = [
+  projectIdRule(),
+  validate
+];
+
+/**
+ * Validate project creation
+ */
+const validateProjectCreate = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Project name is required')
+    .isLength({ max: 100 })
+    .withMessage('Project name cannot exceed 100 characters'),
+  ...projectFieldRules(),
+  body('workspaceId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid workspace ID format'),
+  body('sections')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Sections must be an array of at most 50 names'),
+  body('sections.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Section names cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Section name cannot exceed 100 characters'),
+  validate
+];
+
+/**
+ * Validate project update
+ */
+const validateProjectUpdate = [
+  projectIdRule(),
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Project name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Project name cannot exceed 100 characters'),
+  ...projectFieldRules(),
+  body('isArchived')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('isArchived must be a boolean'),
+  validate
+];
+
+/**
+ * Validate project todo listing query
+ */
+const validateProjectTodosQuery = [
+  projectIdRule(),
+  query('sectionId')
+    .optional()
+    .custom(value => value === 'none' || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage('sectionId must be a section ID or "none"'),
+  validate
+];
+
+/**
+ * Validate section creation
+ */
+const validateSectionCreate = [
+  projectIdRule(),
+  sectionNameRule(),
+  positionRule(),
+  validate
+];
+
+/**
+ * Validate section update
+ */
+const validateSectionUpdate = [
+  projectIdRule(),
+  sectionIdRule(),
+  sectionNameRule().optional(),
+  positionRule(),
+  validate
+];
+
+/**
+ * Validate section ID parameters
+ */
+const validateSectionId = [
+  projectIdRule(),
+  sectionIdRule(),
+  validate
+];
+
+/**
+ * Validate moving a todo to a project
+ */
+const validateMoveToProject = [
+  nullableIdRule('projectId', 'project'),
+  body('sectionId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid section ID format'),
+  validate
+];
+
+/**
+ * Validate moving a todo to a section
+ */
+const validateMoveToSection = [
+  nullableIdRule('sectionId', 'section'),
+  validate
+];
+
+/**
+ * Validate replacing a project's board columns
+ */
+const validateBoardUpdate = [
+  projectIdRule(),
+  body('columns')
+    .isArray({ max: MAX_BOARD_COLUMNS })
+    .withMessage(`Columns must be an array of at most ${MAX_BOARD_COLUMNS} columns`)
+    .bail()
+    .custom(columns => {
+      const ids = columns.map(column => column && column._id).filter(Boolean).map(String);
+      return new Set(ids).size === ids.length;
+    })
+    .withMessage('Column IDs must be unique'),
+  body('columns.*._id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid column ID format'),
+  body('columns.*.name')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Column name is required')
+    .isLength({ max: 50 })
+    .withMessage('Column name cannot exceed 50 characters'),
+  body('columns.*.status')
+    .isIn(TODO_STATUSES)
+    .withMessage(`Column status must be one of: ${TODO_STATUSES.join(', ')}`),
+  body('columns.*.wipLimit')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('WIP limit must be an integer between 1 and 1000')
+    .toInt(),
+  body('columns.*.wipPolicy')
+    .optional()
+    .isIn(WIP_POLICIES)
+    .withMessage(`WIP policy must be one of: ${WIP_POLICIES.join(', ')}`),
+  validate
+];
+
+/**
+ * Validate moving a todo on its project's board
+ */
+const validateBoardMove = [
+  body('columnId')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('columnId is required'),
+  positionRule(),
+  validate
+];
+
+module.exports = {
+  validateProjectId,
+  validateProjectCreate,
+  validateProjectUpdate,
+  validateProjectTodosQuery,
+  validateSectionCreate,
+  validateSectionUpdate,
+  validateSectionId,
+  validateBoardUpdate,
+  validateBoardMove,
+  validateMoveToProject,
+  validateMoveToSection
+};
@@ -0,0 +1,124 @@
+const { body, param } = require('express-validator');
+const SavedView = require('../models/savedView.model');
+const { validate } = require('./user.validator');
+
+const VIEW_SCOPES = SavedView.schema.path('scope').enumValues;
+const VIEW_SORTS = SavedView.schema.path('sortBy').enumValues;
+const VIEW_GROUPINGS = SavedView.schema.path('groupBy').enumValues;
+const VIEW_COLUMNS = SavedView.schema.path('columns').caster.enumValues;
+const VIEW_PERMISSIONS = SavedView.schema.path('sharedWith').schema.path('permissions').enumValues;
+
+const viewIdRule = () => param('viewId')
+  .isMongoId()
+  .withMessage('Invalid view ID format');
+
+/**
+ * Rules for the optional fields of a view definition
+ */
+const viewDefinitionRules = () => [
+  body('filter')
+    .optional()
+    .isString()
+    .withMessage('Filter must be a string')
+    .isLength({ max: 500 })
+    .withMessage('Filter cannot exceed 500 characters'),
+  body('scope')
+    .optional()
+    .isIn(VIEW_SCOPES)
+    .withMessage(`Scope must be one of: ${VIEW_SCOPES.join(', ')}`),
+  body('workspaceId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid workspace ID format'),
+  body('sortBy')
+    .optional()
+    .isIn(VIEW_SORTS)
+    .withMessage(`sortBy must be one of: ${VIEW_SORTS.join(', ')}`),
+  body('groupBy')
+    .optional()
+    .isIn(VIEW_GROUPINGS)
+    .withMessage(`groupBy must be one of: ${VIEW_GROUPINGS.join(', ')}`),
+  body('columns')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Columns must be a non-empty array'),
+  body('columns.*')
+    .isIn(VIEW_COLUMNS)
+    .withMessage(`Columns must be any of: ${VIEW_COLUMNS.join(', ')}`)
+];
+
+/**
+ * Validate view ID parameter
+ */
+const validateViewId = [
+  viewIdRule(),
+  validate
+];
+
+/**
+ * Validate view creation
+ */
+const validateViewCreate = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('View name is required')
+    .isLength({ max: 100 })
+    .withMessage('View name cannot exceed 100 characters'),
+  ...viewDefinitionRules(),
+  body('pinned')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('pinned must be a boolean'),
+  validate
+];
+
+/**
+ * Validate view update
+ */
+const validateViewUpdate = [
+  viewIdRule(),
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('View name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('View name cannot exceed 100 characters'),
+  ...viewDefinitionRules(),
+  validate
+];
+
+/**
+ * Validate sharing a view
+ */
+const validateViewShare = [
+  viewIdRule(),
+  body('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+  body('permissions')
+    .optional()
+    .isIn(VIEW_PERMISSIONS)
+    .withMessage(`Permissions must be one of: ${VIEW_PERMISSIONS.join(', ')}`),
+  validate
+];
+
+/**
+ * Validate revoking a view share
+ */
+const validateViewShareRevoke = [
+  viewIdRule(),
+  param('shareWithUserId')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+  validate
+];
+
+module.exports = {
+  validateViewId,
+  validateViewCreate,
+  validateViewUpdate,
+  validateViewShare,
+  validateViewShareRevoke
+};
@@ -0,0 +1,105 @@
+const { body, param, query } = require('express-validator');
+const ShareLink = require('../models/shareLink.model');
+const { validate } = require('./user.validator');
+
+const HIDEABLE_FIELDS = ShareLink.schema.path('hiddenFields').caster.enumValues;
+
+const todoIdRule = () => param('todoId')
+  .isMongoId()
+  .withMessage('Invalid todo ID format');
+
+/**
+ * Validate share link creation
+ */
+const validateShareLinkCreate = [
+  todoIdRule(),
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('expiresInDays must be between 1 and 365')
+    .toInt(),
+  body('password')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ min: 6, max: 128 })
+    .withMessage('Password must be between 6 and 128 characters'),
+  body('hiddenFields')
+    .optional()
+    .isArray()
+    .withMessage('hiddenFields must be an array'),
+  body('hiddenFields.*')
+    .isIn(HIDEABLE_FIELDS)
+    .withMessage(`hiddenFields must be any of: ${HIDEABLE_FIELDS.join(', ')}`),
+  validate
+];
+
+/**
+ * Validate todo ID parameter for listing share links
+ */
+const validateShareLinkTodoId = [
+  todoIdRule(),
+  validate
+];
+
+/**
+ * Validate share link ID parameter
+ */
+const validateShareLinkId = [
+  todoIdRule(),
+  param('linkId')
+    .isMongoId()
+    .withMessage('Invalid share link ID format'),
+  validate
+];
+
+/**
+ * Validate share link access log query parameters
+ */
+const validateShareLinkAccessQuery = [
+  todoIdRule(),
+  param('linkId')
+    .isMongoId()
+    .withMessage('Invalid share link ID format'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  validate
+];
+
+/**
+ * Validate public share link token
+ */
+const validateShareLinkToken = [
+  param('token')
+    .matches(/^[A-Za-z0-9_-]{32}$/)
+    .withMessage('This link is invalid or has expired'),
+  validate
+];
+
+/**
+ * Validate password for a protected share link
+ */
+const validateShareLinkUnlock = [
+  param('token')
+    .matches(/^[A-Za-z0-9_-]{32}$/)
+    .withMessage('This link is invalid or has expired'),
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
+  validate
+];
+
+module.exports = {
+  validateShareLinkCreate,
+  validateShareLinkTodoId,
+  validateShareLinkId,
+  validateShareLinkAccessQuery,
+  validateShareLinkToken,
+  validateShareLinkUnlock
+};
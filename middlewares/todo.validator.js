@@ -1,4 +1,81 @@
+const mongoose = require('mongoose');
 const { ApiError } = require('../middlewares/api.error');
+const { parseRRule } = require('../services/recurrence.service');
+const Todo = require('../models/todo.model');
+
+const TODO_STATUSES = Todo.schema.path('status').enumValues;
+
+// Fields a bulk update may set; status changes go through the single-todo endpoints
+// so blockers, board WIP limits and recurrence are applied
+const BULK_UPDATE_FIELDS = ['title', 'description', 'priority', 'category', 'tags', 'dueDate', 'label'];
+
+/**
+ * Validate a recurrence definition
+ * Throws ApiError on the first invalid field
+ */
+const validateRecurrence = (recurring) => {
+  if (typeof recurring !== 'object' || Array.isArray(recurring)) {
+    throw new ApiError(400, 'Recurring must be an object');
+  }
+
+  const { isRecurring, frequency, interval, daysOfWeek, monthlyMode, rrule, endDate, occurrences } = recurring;
+
+  if (isRecurring !== undefined && typeof isRecurring !== 'boolean') {
+    throw new ApiError(400, 'Recurring isRecurring must be a boolean');
+  }
+
+  if (frequency !== undefined && frequency !== null) {
+    const validFrequencies = ['daily', 'weekly', 'bi-weekly', 'monthly', 'yearly'];
+    if (!validFrequencies.includes(frequency)) {
+      throw new ApiError(400, `Recurring frequency must be one of: ${validFrequencies.join(', ')}`);
+    }
+  }
+
+  if (interval !== undefined) {
+    if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+      throw new ApiError(400, 'Recurring interval must be an integer between 1 and 365');
+    }
+  }
+
+  if (daysOfWeek !== undefined) {
+    if (!Array.isArray(daysOfWeek)) {
+      throw new ApiError(400, 'Recurring daysOfWeek must be an array');
+    }
+
+    daysOfWeek.forEach((day, index) => {
+      if (!Number.isInteger(day) || day < 0 || day > 6) {
+        throw new ApiError(400, `Recurring day at index ${index} must be an integer between 0 (Sunday) and 6 (Saturday)`);
+      }
+    });
+  }
+
+  if (monthlyMode !== undefined) {
+    const validModes = ['day-of-month', 'last-business-day'];
+    if (!validModes.includes(monthlyMode)) {
+      throw new ApiError(400, `Recurring monthlyMode must be one of: ${validModes.join(', ')}`);
+    }
+  }
+
+  if (rrule !== undefined && rrule !== null) {
+    try {
+      parseRRule(rrule);
+    } catch (error) {
+      throw new ApiError(400, `Invalid recurrence rule: ${error.message}`);
+    }
+  }
+
+  if (endDate !== undefined && endDate !== null) {
+    if (isNaN(new Date(endDate).getTime())) {
+      throw new ApiError(400, 'Invalid recurrence end date format');
+    }
+  }
+
+  if (occurrences !== undefined) {
+    if (!Number.isInteger(occurrences) || occurrences < 0) {
+      throw new ApiError(400, 'Recurring occurrences must be a non-negative integer');
+    }
+  }
+};
 
 /**
  * Validate todo creation/update
@@ -6,7 +83,7 @@ const { ApiError } = require('../middlewares/api.error');
  */
 const validateTodo = (req, res, next) => {
   try {
-    const { title, description, priority, status, dueDate, category, tags, estimatedTime } = req.body;
+    const { title, description, priority, status, dueDate, startDate, reminder, category, tags, estimatedTime, recurring, workspaceId } = req.body;
 
     // Title is required
     if (!title) {
@@ -51,9 +128,8 @@ const validateTodo = (req, res, next) => {
 
     // Status validation (optional)
     if (status !== undefined) {
-      const validStatuses = ['todo', 'in-progress', 'completed', 'blocked', 'on-hold'];
-      if (!validStatuses.includes(status)) {
-        throw new ApiError(400, `Status must be one of: ${validStatuses.join(', ')}`);
+      if (!TODO_STATUSES.includes(status)) {
+        throw new ApiError(400, `Status must be one of: ${TODO_STATUSES.join(', ')}`);
       }
     }
 
@@ -70,6 +146,25 @@ const validateTodo = (req, res, next) => {
       }
     }
 
+    // Start date validation (optional, null clears it)
+    if (startDate !== undefined && startDate !== null) {
+      const startDateObj = new Date(startDate);
+      if (isNaN(startDateObj.getTime())) {
+        throw new ApiError(400, 'Invalid start date format');
+      }
+
+      if (dueDate && startDateObj > new Date(dueDate)) {
+        throw new ApiError(400, 'Start date cannot be after the due date');
+      }
+    }
+
+    // Reminder validation (optional, null clears it)
+    if (reminder !== undefined && reminder !== null) {
+      if (isNaN(new Date(reminder).getTime())) {
+        throw new ApiError(400, 'Invalid reminder date format');
+      }
+    }
+
     // Category validation (optional)
     if (category !== undefined) {
       if (typeof category !== 'string') {
@@ -122,6 +217,16 @@ const validateTodo = (req, res, next) => {
       }
     }
 
+    // Recurrence validation (optional)
+    if (recurring !== undefined && recurring !== null) {
+      validateRecurrence(recurring);
+    }
+
+    // Workspace validation (optional, null makes the todo personal)
+    if (workspaceId !== undefined && workspaceId !== null && !mongoose.isValidObjectId(workspaceId)) {
+      throw new ApiError(400, 'Invalid workspace ID format');
+    }
+
     next();
   } catch (error) {
     next(error);
@@ -133,7 +238,7 @@ const validateTodo = (req, res, next) => {
  */
 const validateSubtask = (req, res, next) => {
   try {
-    const { title, description, priority, dueDate, estimatedTime, status, completed } = req.body;
+    const { title, description, priority, dueDate, reminder, estimatedTime, status, completed } = req.body;
 
     // Title is required for subtasks
     if (!title) {
@@ -178,9 +283,8 @@ const validateSubtask = (req, res, next) => {
 
     // Status validation (optional)
     if (status !== undefined) {
-      const validStatuses = ['todo', 'in-progress', 'completed', 'blocked', 'on-hold'];
-      if (!validStatuses.includes(status)) {
-        throw new ApiError(400, `Status must be one of: ${validStatuses.join(', ')}`);
+      if (!TODO_STATUSES.includes(status)) {
+        throw new ApiError(400, `Status must be one of: ${TODO_STATUSES.join(', ')}`);
       }
     }
 
@@ -192,6 +296,13 @@ const validateSubtask = (req, res, next) => {
       }
     }
 
+    // Reminder validation (optional, null clears it)
+    if (reminder !== undefined && reminder !== null) {
+      if (isNaN(new Date(reminder).getTime())) {
+        throw new ApiError(400, 'Invalid reminder date format');
+      }
+    }
+
     // Completed status validation (optional)
     if (completed !== undefined) {
       if (typeof completed !== 'boolean') {
@@ -464,10 +575,13 @@ const validateBulkUpdate = (req, res, next) => {
       throw new ApiError(400, 'At least one field must be updated');
     }
 
+    if (updates.status !== undefined) {
+      throw new ApiError(400, 'Status cannot be changed in bulk; update or complete each todo instead');
+    }
+
     // Validate allowed update fields
-    const allowedFields = ['title', 'description', 'status', 'priority', 'category', 'tags', 'dueDate', 'label'];
     for (const key of Object.keys(updates)) {
-      if (!allowedFields.includes(key)) {
+      if (!BULK_UPDATE_FIELDS.includes(key)) {
         throw new ApiError(400, `Invalid field to update: ${key}`);
       }
     }
@@ -519,26 +633,55 @@ const validateBulkDelete = (req, res, next) => {
 };
 
 /**
- * Validate search query
+ * Validate search query (?q)
  */
 const validateSearch = (req, res, next) => {
   try {
-    const { query } = req.params;
+    const { q } = req.query;
 
-    if (!query) {
+    if (q === undefined || q === '') {
       throw new ApiError(400, 'Search query is required');
     }
 
-    if (typeof query !== 'string') {
+    if (typeof q !== 'string') {
       throw new ApiError(400, 'Search query must be a string');
     }
 
-    if (query.trim().length < 2) {
+    if (q.trim().length < 2) {
       throw new ApiError(400, 'Search query must be at least 2 characters long');
     }
 
-    if (query.length > 100) {
-      throw new ApiError(400, 'Search query cannot exceed 100 characters');
+    if (q.length > 200) {
+      throw new ApiError(400, 'Search query cannot exceed 200 characters');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Validate pagination query (?cursor, or ?page; ?limit)
+ */
+const validatePagination = (req, res, next) => {
+  try {
+    const { page, limit, cursor } = req.query;
+
+    if (page !== undefined && !/^[1-9]\d*$/.test(page)) {
+      throw new ApiError(400, 'Page must be a positive integer');
+    }
+
+    if (limit !== undefined && (!/^\d+$/.test(limit) || limit < 1 || limit > 100)) {
+      throw new ApiError(400, 'Limit must be between 1 and 100');
+    }
+
+    if (cursor !== undefined && (typeof cursor !== 'string' || !/^[A-Za-z0-9_-]+$/.test(cursor))) {
+      throw new ApiError(400, 'Invalid cursor');
+    }
+
+    if (page !== undefined && cursor !== undefined) {
+      throw new ApiError(400, 'Use either page or cursor, not both');
     }
 
     next();
@@ -573,7 +716,34 @@ const validateWatcher = (req, res, next) => {
   }
 };
 
+/**
+ * Validate todo link
+ */
+const validateTodoLink = (req, res, next) => {
+  try {
+    const { todoId, type } = req.body;
+
+    if (!todoId) {
+      throw new ApiError(400, 'Linked todo ID is required');
+    }
+
+    if (typeof todoId !== 'string' || !todoId.match(/^[0-9a-fA-F]{24}$/)) {
+      throw new ApiError(400, 'Invalid linked todo ID format');
+    }
+
+    const validTypes = ['blocks', 'blocked-by', 'duplicates', 'duplicated-by', 'relates-to'];
+    if (!validTypes.includes(type)) {
+      throw new ApiError(400, `Link type must be one of: ${validTypes.join(', ')}`);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
+  BULK_UPDATE_FIELDS,
   validateTodo,
   validateSubtask,
   validateComment,
@@ -584,5 +754,7 @@ module.exports = {
   validateBulkUpdate,
   validateBulkDelete,
   validateSearch,
-  validateWatcher
+  validatePagination,
+  validateWatcher,
+  validateTodoLink
 };
\ No newline at end of file
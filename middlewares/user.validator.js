@@ -32,6 +32,116 @@ const validateRefreshToken = [
   validate
 ];
 
+// Emails are only trimmed; provider-specific normalization would not match stored addresses
+const emailRule = () => body('email')
+  .trim()
+  .notEmpty()
+  .withMessage('Email is required')
+  .isEmail()
+  .withMessage('Invalid email format');
+
+const passwordRule = (field) => body(field)
+  .isString()
+  .withMessage('Password must be a string')
+  .isLength({ min: 8, max: 128 })
+  .withMessage('Password must be between 8 and 128 characters')
+  .matches(/[a-z]/)
+  .withMessage('Password must contain a lowercase letter')
+  .matches(/[A-Z]/)
+  .withMessage('Password must contain an uppercase letter')
+  .matches(/\d/)
+  .withMessage('Password must contain a number');
+
+/**
+ * Validate email/password registration
+ */
+const validateRegister = [
+  emailRule(),
+  passwordRule('password'),
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  validate
+];
+
+/**
+ * Validate email/password login
+ */
+const validateLogin = [
+  emailRule(),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+    .isString()
+    .withMessage('Password must be a string'),
+  validate
+];
+
+/**
+ * Validate email verification token
+ */
+const validateVerificationToken = [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+    .isHexadecimal()
+    .withMessage('Invalid verification token'),
+  validate
+];
+
+/**
+ * Validate password reset
+ */
+const validatePasswordReset = [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required')
+    .isHexadecimal()
+    .withMessage('Invalid reset token'),
+  passwordRule('password'),
+  validate
+];
+
+const twoFactorCodeRule = () => body('code')
+  .trim()
+  .notEmpty()
+  .withMessage('Two-factor code is required')
+  .isLength({ max: 20 })
+  .withMessage('Invalid two-factor code');
+
+/**
+ * Validate two-factor sign-in step
+ */
+const validateTwoFactorLogin = [
+  twoFactorCodeRule(),
+  body('challengeToken')
+    .optional()
+    .isJWT()
+    .withMessage('Invalid challenge token'),
+  validate
+];
+
+/**
+ * Validate a two-factor code (enrollment confirmation)
+ */
+const validateTwoFactorCode = [
+  twoFactorCodeRule(),
+  validate
+];
+
+/**
+ * Validate re-authentication for two-factor changes
+ */
+const validateTwoFactorReauth = [
+  twoFactorCodeRule(),
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  validate
+];
+
 /**
  * Validate Google auth callback code
  */
@@ -80,16 +190,31 @@ const validateProfileUpdate = [
   validate
 ];
 
+/**
+ * Validate session ID parameter
+ */
+const validateSessionId = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID format'),
+  validate
+];
+
+/**
+ * Validate identity provider parameter
+ */
+const validateProvider = [
+  param('provider')
+    .isIn(['google', 'github'])
+    .withMessage('Provider must be one of: google, github'),
+  validate
+];
+
 /**
  * Validate email parameter
  */
 const validateEmail = [
-  body('email')
-    .notEmpty()
-    .withMessage('Email is required')
-    .isEmail()
-    .withMessage('Invalid email format')
-    .normalizeEmail(),
+  emailRule(),
   validate
 ];
 
@@ -113,9 +238,18 @@ const validateQueryParams = [
 module.exports = {
   validate,
   validateRefreshToken,
+  validateRegister,
+  validateLogin,
+  validateVerificationToken,
+  validatePasswordReset,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateTwoFactorReauth,
   validateGoogleCallback,
   validateUserId,
   validateProfileUpdate,
+  validateSessionId,
+  validateProvider,
   validateEmail,
   validateQueryParams
 };
\ No newline at end of file
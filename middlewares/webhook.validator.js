@@ -0,0 +1,105 @@
+const { body, param, query } = require('express-validator');
+const Webhook = require('../models/webhook.model');
+const { validate } = require('./user.validator');
+
+const WEBHOOK_EVENTS = Webhook.schema.path('events').caster.enumValues;
+
+const urlOptions = {
+  protocols: ['http', 'https'],
+  require_protocol: true,
+  // Hosts without a TLD (http://localhost:4000/hooks) only with WEBHOOK_ALLOW_PRIVATE_HOSTS=true;
+  // the controller also refuses hosts resolving to private addresses
+  require_tld: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS !== 'true'
+};
+
+/**
+ * Validate webhook ID parameter
+ */
+const validateWebhookId = [
+  param('webhookId')
+    .isMongoId()
+    .withMessage('Invalid webhook ID format'),
+  validate
+];
+
+/**
+ * Validate webhook creation
+ */
+const validateWebhookCreate = [
+  body('url')
+    .notEmpty()
+    .withMessage('URL is required')
+    .isURL(urlOptions)
+    .withMessage('URL must be a valid http(s) URL'),
+  body('events')
+    .isArray({ min: 1 })
+    .withMessage('Events must be a non-empty array'),
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  validate
+];
+
+/**
+ * Validate webhook update
+ */
+const validateWebhookUpdate = [
+  param('webhookId')
+    .isMongoId()
+    .withMessage('Invalid webhook ID format'),
+  body('url')
+    .optional()
+    .isURL(urlOptions)
+    .withMessage('URL must be a valid http(s) URL'),
+  body('events')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Events must be a non-empty array'),
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('isActive must be a boolean'),
+  validate
+];
+
+/**
+ * Validate delivery log query parameters
+ */
+const validateDeliveryQuery = [
+  param('webhookId')
+    .isMongoId()
+    .withMessage('Invalid webhook ID format'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'success', 'failed'])
+    .withMessage('Status must be one of: pending, success, failed'),
+  validate
+];
+
+module.exports = {
+  validateWebhookId,
+  validateWebhookCreate,
+  validateWebhookUpdate,
+  validateDeliveryQuery
+};
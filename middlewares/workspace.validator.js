@@ -0,0 +1,109 @@
+const { body, param } = require('express-validator');
+const Workspace = require('../models/workspace.model');
+const { validate } = require('./user.validator');
+
+// The owner role is only assigned when a workspace is created
+const ASSIGNABLE_ROLES = Workspace.schema.path('members').schema.path('role').enumValues
+  .filter(role => role !== 'owner');
+
+const workspaceIdRule = () => param('workspaceId')
+  .isMongoId()
+  .withMessage('Invalid workspace ID format');
+
+const memberIdRule = () => param('memberId')
+  .isMongoId()
+  .withMessage('Invalid member ID format');
+
+/**
+ * Validate workspace ID parameter
+ */
+const validateWorkspaceId = [
+  workspaceIdRule(),
+  validate
+];
+
+/**
+ * Validate workspace creation
+ */
+const validateWorkspaceCreate = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Workspace name is required')
+    .isLength({ max: 100 })
+    .withMessage('Workspace name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  validate
+];
+
+/**
+ * Validate workspace update
+ */
+const validateWorkspaceUpdate = [
+  workspaceIdRule(),
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Workspace name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Workspace name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  validate
+];
+
+/**
+ * Validate member invitation
+ */
+const validateMemberInvite = [
+  workspaceIdRule(),
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Invalid email format'),
+  body('role')
+    .optional()
+    .isIn(ASSIGNABLE_ROLES)
+    .withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`),
+  validate
+];
+
+/**
+ * Validate member role update
+ */
+const validateMemberRoleUpdate = [
+  workspaceIdRule(),
+  memberIdRule(),
+  body('role')
+    .isIn(ASSIGNABLE_ROLES)
+    .withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`),
+  validate
+];
+
+/**
+ * Validate member ID parameter
+ */
+const validateMemberId = [
+  workspaceIdRule(),
+  memberIdRule(),
+  validate
+];
+
+module.exports = {
+  validateWorkspaceId,
+  validateWorkspaceCreate,
+  validateWorkspaceUpdate,
+  validateMemberInvite,
+  validateMemberRoleUpdate,
+  validateMemberId
+};
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken } = require('../utils/token.util');
+
+const TOKEN_SCOPES = [
+  'todos:read',
+  'todos:write',
+  'comments:write'
+];
+
+// Personal access tokens start with this prefix so they can be told apart from JWTs
+const TOKEN_PREFIX = 'tdp_';
+
+// Avoid a write on every request: last-used details are refreshed at most once a minute
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+const accessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // SHA-256 of the token; the token itself is only returned when created
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token so users can recognize it
+  tokenPreview: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: TOKEN_SCOPES
+  }],
+  // null means the token never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Method to check if the token can still be used
+accessTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+// Method to check if the token grants a scope
+accessTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Method to record usage (throttled, fire-and-forget)
+accessTokenSchema.methods.touch = function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt < LAST_USED_UPDATE_INTERVAL_MS) {
+    return;
+  }
+
+  this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: new Date(), lastUsedIp: ip }
+  ).catch(error => console.error('Failed to update access token usage:', error));
+};
+
+// Static method to check if a bearer token looks like a personal access token
+accessTokenSchema.statics.isAccessToken = function(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+// Static method to generate a new raw token with its stored hash and preview
+accessTokenSchema.statics.generateToken = function() {
+  const token = `${TOKEN_PREFIX}${generateRandomToken(24)}`;
+
+  return {
+    token,
+    tokenHash: hashToken(token),
+    tokenPreview: token.slice(0, TOKEN_PREFIX.length + 6)
+  };
+};
+
+// Static method to find a usable token by its raw value
+accessTokenSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+const AccessToken = mongoose.model('AccessToken', accessTokenSchema);
+
+module.exports = AccessToken;
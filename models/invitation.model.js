@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { hashToken } = require('../utils/token.util');
+
+// Invitation to a todo for someone who has no account yet
+const invitationSchema = new mongoose.Schema({
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  permissions: {
+    type: String,
+    enum: ['view', 'edit', 'admin'],
+    default: 'view'
+  },
+  // Hash of the most recently sent token; resending replaces it
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  sentCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ todoId: 1, status: 1 });
+
+// Virtual for expiry (pending invitations past expiresAt can no longer be accepted)
+invitationSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= Date.now();
+});
+
+invitationSchema.set('toJSON', { virtuals: true });
+invitationSchema.set('toObject', { virtuals: true });
+
+// Method to check a token against the current one
+invitationSchema.methods.matchesToken = function(token) {
+  return this.tokenHash === hashToken(token);
+};
+
+// Static method to find usable invitations for an email
+invitationSchema.statics.findPendingByEmail = function(email) {
+  return this.find({
+    email: email.toLowerCase(),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
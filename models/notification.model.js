@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+  'todo.due-soon',
+  'todo.overdue',
+  'todo.status-changed',
+  'todo.assigned',
+  'todo.shared',
+  'todo.watching',
+  'comment.added',
+  'comment.mentioned'
+];
+
+const notificationSchema = new mongoose.Schema({
+  // Recipient
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // User whose action triggered the notification (null for system events)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    default: null
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes for inbox queries
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, isRead: 1 });
+notificationSchema.index({ userId: 1, type: 1, createdAt: -1 });
+
+// Method to mark notification as read
+notificationSchema.methods.markAsRead = function() {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+// Static method to count unread notifications for a user
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ userId, isRead: false });
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
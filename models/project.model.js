@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Todo = require('./todo.model');
+
+const sectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Section name is required'],
+    trim: true,
+    maxlength: [100, 'Section name cannot exceed 100 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Board column showing the todos of one status
+// Several columns may share a status; todos then keep the column they were moved to
+const boardColumnSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Column name is required'],
+    trim: true,
+    maxlength: [50, 'Column name cannot exceed 50 characters']
+  },
+  status: {
+    type: String,
+    enum: Todo.schema.path('status').enumValues,
+    required: [true, 'Column status is required']
+  },
+  // Maximum number of todos in the column (null: no limit)
+  wipLimit: {
+    type: Number,
+    min: [1, 'WIP limit must be at least 1'],
+    default: null
+  },
+  // What happens when a todo would take the column over its limit
+  wipPolicy: {
+    type: String,
+    enum: ['reject', 'warn'],
+    default: 'reject'
+  }
+});
+
+// Container for todos; personal, or shared by a workspace's members
+// Sections and board columns are listed in array order
+const projectSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [100, 'Project name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex color such as #4f46e5'],
+    default: '#6b7280'
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Icon cannot exceed 50 characters'],
+    default: null
+  },
+  sections: [sectionSchema],
+  // Without columns the board has one column per status
+  board: {
+    columns: [boardColumnSchema]
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  // Category the project was created from by the category migration
+  migratedFromCategory: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+projectSchema.index({ userId: 1, workspaceId: 1, isArchived: 1 });
+projectSchema.index({ workspaceId: 1, isArchived: 1 });
+
+// Method to find a section
+projectSchema.methods.getSection = function(sectionId) {
+  return this.sections.id(sectionId);
+};
+
+const Project = mongoose.model('Project', projectSchema);
+
+module.exports = Project;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const reminderSchema = new mongoose.Schema({
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: true,
+    index: true
+  },
+  // Set for subtask reminders (subtasks are embedded in the todo)
+  subtaskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  remindAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'cancelled', 'failed'],
+    default: 'pending'
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  deliveredVia: [{
+    type: String
+  }],
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Index for rehydrating pending reminders on startup
+reminderSchema.index({ status: 1, remindAt: 1 });
+reminderSchema.index({ todoId: 1, status: 1 });
+
+// Queue job ID for this reminder
+reminderSchema.methods.getJobId = function() {
+  return `reminder:${this._id}`;
+};
+
+// Static method to find pending reminders for a todo
+reminderSchema.statics.findPendingByTodo = function(todoId) {
+  return this.find({ todoId, status: 'pending' });
+};
+
+const Reminder = mongoose.model('Reminder', reminderSchema);
+
+module.exports = Reminder;
\ No newline at end of file
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const VIEW_SCOPES = ['own', 'shared', 'assigned', 'watching', 'all'];
+const VIEW_SORTS = ['createdAt', 'dueDate', 'priority'];
+const VIEW_GROUPINGS = ['none', 'status', 'priority', 'category', 'label', 'assignee', 'dueDate'];
+const VIEW_COLUMNS = [
+  'title', 'status', 'priority', 'dueDate', 'assignee', 'tags', 'category', 'label',
+  'estimatedTime', 'actualTime', 'completedAt', 'createdAt', 'updatedAt'
+];
+const DEFAULT_COLUMNS = ['title', 'status', 'priority', 'dueDate', 'assignee'];
+
+// Permissions from least to most privileged; the creator is always the owner
+const VIEW_PERMISSIONS = ['view', 'edit'];
+
+// Saved todo listing (smart list) that can be re-run, shared and pinned
+const savedViewSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [100, 'View name cannot exceed 100 characters']
+  },
+  // Filter expression in the todo filter language (see services/todoFilter.service.js)
+  filter: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Filter cannot exceed 500 characters'],
+    default: ''
+  },
+  scope: {
+    type: String,
+    enum: VIEW_SCOPES,
+    default: 'own'
+  },
+  // Run the view over a workspace's todos instead of the user's own
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  sortBy: {
+    type: String,
+    enum: VIEW_SORTS,
+    default: 'createdAt'
+  },
+  groupBy: {
+    type: String,
+    enum: VIEW_GROUPINGS,
+    default: 'none'
+  },
+  columns: {
+    type: [{ type: String, enum: VIEW_COLUMNS }],
+    default: () => [...DEFAULT_COLUMNS]
+  },
+  sharedWith: [
+    {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      permissions: {
+        type: String,
+        enum: VIEW_PERMISSIONS,
+        default: 'view'
+      },
+      sharedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  // Users who pinned the view to their sidebar (owner or sharees)
+  pinnedBy: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  ]
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+savedViewSchema.index({ userId: 1, createdAt: -1 });
+savedViewSchema.index({ 'sharedWith.userId': 1 });
+
+const toId = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+// Method to get a user's permission on the view: owner, edit, view or null
+savedViewSchema.methods.getPermission = function(userId) {
+  if (toId(this.userId) === userId.toString()) return 'owner';
+
+  const share = this.sharedWith.find(s => toId(s.userId) === userId.toString());
+  return share ? share.permissions : null;
+};
+
+// Method to check if a user can change the view's definition
+savedViewSchema.methods.canEdit = function(userId) {
+  return ['owner', 'edit'].includes(this.getPermission(userId));
+};
+
+// Method to check if a user pinned the view
+savedViewSchema.methods.isPinnedBy = function(userId) {
+  return this.pinnedBy.some(id => toId(id) === userId.toString());
+};
+
+// Static method to find views a user owns or that are shared with them
+savedViewSchema.statics.findVisibleTo = function(userId) {
+  return this.find({ $or: [{ userId }, { 'sharedWith.userId': userId }] });
+};
+
+const SavedView = mongoose.model('SavedView', savedViewSchema);
+
+module.exports = SavedView;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const securityEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'refresh-token-reuse',
+      'two-factor-enabled',
+      'two-factor-disabled',
+      'two-factor-reset'
+    ],
+    required: true
+  },
+  // Session (token family) involved, if any
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  deviceLabel: {
+    type: String,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 90 * 24 * 60 * 60 // Keep security events for 90 days
+  }
+}, {
+  versionKey: false
+});
+
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+module.exports = SecurityEvent;
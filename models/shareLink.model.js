@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { nanoid } = require('nanoid');
+const { hashToken } = require('../utils/token.util');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+const TOKEN_LENGTH = 32;
+
+// Parts of a todo that may be left out of the public view
+const HIDEABLE_FIELDS = ['comments', 'watchers', 'attachments'];
+
+// Revocable read-only link to a todo for people without an account
+const shareLinkSchema = new mongoose.Schema({
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the token; the token itself is only returned when created
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token so owners can tell links apart
+  tokenPreview: {
+    type: String,
+    required: true
+  },
+  // Optional password, stored as a bcrypt hash
+  password: {
+    type: String,
+    default: null,
+    select: false
+  },
+  hasPassword: {
+    type: Boolean,
+    default: false
+  },
+  hiddenFields: {
+    type: [{ type: String, enum: HIDEABLE_FIELDS }],
+    default: () => [...HIDEABLE_FIELDS]
+  },
+  // null means the link never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+shareLinkSchema.index({ todoId: 1, revokedAt: 1 });
+
+// Never serialize secrets, even when they were selected
+shareLinkSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+// Hash the password when it is set
+shareLinkSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    this.hasPassword = Boolean(this.password);
+    if (this.password) {
+      this.password = await bcrypt.hash(this.password, BCRYPT_ROUNDS);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to check if the link can still be used
+shareLinkSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+// Method to check a password (requires the password field to be selected)
+shareLinkSchema.methods.comparePassword = function(candidatePassword) {
+  if (!this.password) return Promise.resolve(false);
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Static method to generate a new raw token with its stored hash and preview
+shareLinkSchema.statics.generateToken = function() {
+  const token = nanoid(TOKEN_LENGTH);
+
+  return {
+    token,
+    tokenHash: hashToken(token),
+    tokenPreview: token.slice(0, 6)
+  };
+};
+
+// Static method to find a usable link by its raw token
+shareLinkSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  }).select('+password');
+};
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+module.exports = ShareLink;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Log of requests made with a public share link
+const shareLinkAccessSchema = new mongoose.Schema({
+  shareLinkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShareLink',
+    required: true
+  },
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['viewed', 'password-required', 'wrong-password'],
+    required: true
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  deviceLabel: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 90 * 24 * 60 * 60 // Keep access logs for 90 days
+  }
+}, {
+  versionKey: false
+});
+
+shareLinkAccessSchema.index({ shareLinkId: 1, createdAt: -1 });
+
+const ShareLinkAccess = mongoose.model('ShareLinkAccess', shareLinkAccessSchema);
+
+module.exports = ShareLinkAccess;
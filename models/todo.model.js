@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Workflow statuses shared by todos and subtasks; board columns map onto these
+const TODO_STATUSES = ['todo', 'in-progress', 'completed', 'blocked', 'on-hold'];
+
 // Sub-todo schema (recursive/nested)
 const subTodoSchema = new mongoose.Schema(
   {
@@ -16,7 +19,7 @@ const subTodoSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['todo', 'in-progress', 'completed', 'blocked', 'on-hold'],
+      enum: TODO_STATUSES,
       default: 'todo'
     },
     priority: {
@@ -105,6 +108,13 @@ const todoSchema = new mongoose.Schema(
       required: [true, 'User ID is required'],
       index: true
     },
+
+    // Workspace the todo belongs to (null for personal todos)
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null
+    },
     
     title: {
       type: String,
@@ -122,7 +132,7 @@ const todoSchema = new mongoose.Schema(
     // Status tracking
     status: {
       type: String,
-      enum: ['todo', 'in-progress', 'completed', 'blocked', 'on-hold'],
+      enum: TODO_STATUSES,
       default: 'todo',
       index: true
     },
@@ -200,10 +210,57 @@ const todoSchema = new mongoose.Schema(
         enum: ['daily', 'weekly', 'bi-weekly', 'monthly', 'yearly', null],
         default: null
       },
+      // Repeat every N frequency units (e.g. every 3 days)
+      interval: {
+        type: Number,
+        min: 1,
+        default: 1
+      },
+      // Weekdays for weekly rules (0 = Sunday ... 6 = Saturday)
+      daysOfWeek: [
+        {
+          type: Number,
+          min: 0,
+          max: 6
+        }
+      ],
+      monthlyMode: {
+        type: String,
+        enum: ['day-of-month', 'last-business-day'],
+        default: 'day-of-month'
+      },
+      // RFC 5545 RRULE string, takes precedence over frequency when set
+      rrule: {
+        type: String,
+        trim: true,
+        default: null
+      },
       endDate: Date,
+      // Maximum number of occurrences in the series (0 = unlimited)
       occurrences: {
         type: Number,
         default: 0
+      },
+      // Position of this todo within its series (1-based)
+      occurrenceNumber: {
+        type: Number,
+        default: 1
+      },
+      // Date the series is aligned to, used for interval calculations
+      anchorDate: {
+        type: Date,
+        default: null
+      },
+      seriesId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Todo',
+        default: null
+      },
+      // Set once the next occurrence has been generated
+      nextOccurrence: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Todo',
+        default: null
       }
     },
     
@@ -292,6 +349,35 @@ const todoSchema = new mongoose.Schema(
     // Hierarchical subtasks (infinite nesting)
     subtasks: [subTodoSchema],
     
+    // Titles of all nested subtasks, kept in sync on save for the text index
+    subtaskTitles: {
+      type: [String],
+      select: false
+    },
+    
+    // Project and section the todo is filed under (see models/project.model.js)
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null
+    },
+    
+    sectionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    
+    // Board column (when several columns share a status) and position within it
+    boardColumnId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    
+    boardPosition: {
+      type: Number,
+      default: null
+    },
+    
     // Parent task reference (for standalone queries)
     parentId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -299,14 +385,38 @@ const todoSchema = new mongoose.Schema(
       default: null
     },
     
-    // Related todos
-    relatedTodos: [
+    // Typed links to other todos (see services/dependency.service.js)
+    // Each link is stored on both todos, with the inverse type on the other one
+    links: [
       {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Todo'
+        todoId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Todo',
+          required: true
+        },
+        type: {
+          type: String,
+          enum: ['blocks', 'blocked-by', 'duplicates', 'duplicated-by', 'relates-to'],
+          required: true
+        },
+        createdBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now
+        }
       }
     ],
     
+    // Set when the status was changed to "blocked" because of open blockers,
+    // so only those todos are unblocked automatically
+    blockedByDependencies: {
+      type: Boolean,
+      default: false
+    },
+    
     // Checklist progress
     checklistProgress: {
       total: {
@@ -392,6 +502,18 @@ const todoSchema = new mongoose.Schema(
         type: Boolean,
         default: true
       }
+    },
+    
+    // Due-date notifications already sent (reset when dueDate changes)
+    dueNotifications: {
+      dueSoonSentAt: {
+        type: Date,
+        default: null
+      },
+      overdueSentAt: {
+        type: Date,
+        default: null
+      }
     }
   },
   {
@@ -443,9 +565,30 @@ todoSchema.index({ userId: 1, priority: 1 });
 todoSchema.index({ userId: 1, dueDate: 1 });
 todoSchema.index({ userId: 1, isArchived: 1 });
 todoSchema.index({ userId: 1, createdAt: -1 });
+todoSchema.index({ workspaceId: 1, isDeleted: 1, status: 1 });
 todoSchema.index({ assignee: 1 });
+todoSchema.index({ 'sharedWith.userId': 1 });
+todoSchema.index({ watchers: 1 });
 todoSchema.index({ parentId: 1 });
+todoSchema.index({ projectId: 1, sectionId: 1, isDeleted: 1 });
+todoSchema.index({ 'links.todoId': 1 });
 todoSchema.index({ 'tags': 1 });
+todoSchema.index({ dueDate: 1, completed: 1, isDeleted: 1 });
+
+// Full-text search (see services/search.service.js); a collection can only have one text index
+todoSchema.index(
+  {
+    title: 'text',
+    tags: 'text',
+    description: 'text',
+    subtaskTitles: 'text',
+    'comments.text': 'text'
+  },
+  {
+    name: 'todo_text_search',
+    weights: { title: 10, tags: 6, description: 4, subtaskTitles: 3, 'comments.text': 2 }
+  }
+);
 
 // ============ MIDDLEWARE ============
 
@@ -475,6 +618,14 @@ todoSchema.pre('save', function(next) {
   next();
 });
 
+// Before saving, flatten nested subtask titles for the text index
+todoSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('subtasks')) {
+    this.subtaskTitles = this.getAllSubtasks().map(task => task.title);
+  }
+  next();
+});
+
 // Log activity on save
 todoSchema.pre('save', function(next) {
   if (this.isModified() && !this.isNew) {
@@ -527,15 +678,17 @@ todoSchema.methods.getAllSubtasks = function(tasks = this.subtasks, result = [])
 
 // ============ STATIC METHODS ============
 
+// The finders below take a base filter such as { userId } or the result of getTodoScope()
+
 // Find todos by user and status
-todoSchema.statics.findByUserAndStatus = function(userId, status) {
-  return this.find({ userId, status, isDeleted: false });
+todoSchema.statics.findByUserAndStatus = function(scope, status) {
+  return this.find({ ...scope, status, isDeleted: false });
 };
 
 // Find overdue todos
-todoSchema.statics.findOverdue = function(userId) {
+todoSchema.statics.findOverdue = function(scope) {
   return this.find({
-    userId,
+    ...scope,
     dueDate: { $lt: new Date() },
     completed: false,
     isDeleted: false
@@ -543,8 +696,8 @@ todoSchema.statics.findOverdue = function(userId) {
 };
 
 // Find todos by priority
-todoSchema.statics.findByPriority = function(userId, priority) {
-  return this.find({ userId, priority, isDeleted: false });
+todoSchema.statics.findByPriority = function(scope, priority) {
+  return this.find({ ...scope, priority, isDeleted: false });
 };
 
 // Soft delete
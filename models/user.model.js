@@ -1,12 +1,51 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { generateRandomToken, hashToken } = require('../utils/token.util');
+const totp = require('../utils/totp.util');
+
+const OAUTH_PROVIDERS = ['google', 'github'];
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const LOCK_DURATION_MS = (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const MAX_SESSIONS = parseInt(process.env.MAX_SESSIONS) || 5;
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Matches the refresh token lifetime
+const RECOVERY_CODE_COUNT = 10;
 
 const userSchema = new mongoose.Schema({
+  // Legacy Google ID, kept in sync with the google identity
   googleId: {
     type: String,
-    required: true,
     unique: true,
-    index: true
+    sparse: true
   },
+  // Linked identity providers
+  identities: [{
+    provider: {
+      type: String,
+      enum: OAUTH_PROVIDERS,
+      required: true
+    },
+    providerId: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    username: {
+      type: String,
+      trim: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   email: {
     type: String,
     required: true,
@@ -33,7 +72,75 @@ const userSchema = new mongoose.Schema({
   },
   isEmailVerified: {
     type: Boolean,
-    default: true // Google accounts are pre-verified
+    default: true // OAuth accounts are pre-verified, local accounts start unverified
+  },
+  // Local (email/password) credentials
+  password: {
+    type: String,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
   },
   lastLogin: {
     type: Date,
@@ -43,15 +150,35 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Sessions, one per signed-in device. Only a hash of the current refresh token is stored
   refreshTokens: [{
-    token: {
+    tokenHash: {
       type: String,
       required: true
     },
+    userAgent: {
+      type: String,
+      default: ''
+    },
+    ip: {
+      type: String,
+      default: null
+    },
+    deviceLabel: {
+      type: String,
+      default: 'Unknown device'
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
     createdAt: {
       type: Date,
-      default: Date.now,
-      expires: 604800 // 7 days in seconds
+      default: Date.now
     }
   }]
 }, {
@@ -62,6 +189,43 @@ const userSchema = new mongoose.Schema({
 // Index for faster queries
 userSchema.index({ email: 1, isActive: 1 });
 userSchema.index({ googleId: 1, isActive: 1 });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.providerId': 1 },
+  { unique: true, partialFilterExpression: { 'identities.providerId': { $exists: true } } }
+);
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+
+// Drop expired sessions and plaintext tokens stored before hashing
+userSchema.pre('validate', function(next) {
+  if (this.isSelected('refreshTokens') && this.refreshTokens) {
+    const now = Date.now();
+    const active = this.refreshTokens.filter(rt => rt.tokenHash && rt.expiresAt && rt.expiresAt > now);
+
+    if (active.length !== this.refreshTokens.length) {
+      this.refreshTokens = active;
+    }
+  }
+
+  next();
+});
+
+// Hash password before saving
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || !this.password) {
+    return next();
+  }
+
+  try {
+    this.password = await bcrypt.hash(this.password, BCRYPT_ROUNDS);
+    if (!this.isNew) {
+      this.passwordChangedAt = Date.now();
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
 
 // Method to check if user is active
 userSchema.methods.isActiveUser = function() {
@@ -74,25 +238,269 @@ userSchema.methods.updateLastLogin = function() {
   return this.save();
 };
 
-// Method to add refresh token
-userSchema.methods.addRefreshToken = function(token) {
-  this.refreshTokens.push({ token });
-  // Keep only last 5 refresh tokens
-  if (this.refreshTokens.length > 5) {
-    this.refreshTokens = this.refreshTokens.slice(-5);
+// Method to start a session for a device (token is set once it has been signed)
+userSchema.methods.createSession = function({ userAgent, ip, deviceLabel } = {}) {
+  this.refreshTokens.push({
+    tokenHash: 'pending',
+    userAgent,
+    ip,
+    deviceLabel,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+  });
+
+  const sessionId = this.refreshTokens[this.refreshTokens.length - 1]._id;
+
+  // Keep only the most recently used sessions
+  if (this.refreshTokens.length > MAX_SESSIONS) {
+    this.refreshTokens = [...this.refreshTokens]
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .slice(0, MAX_SESSIONS);
   }
-  return this.save();
+
+  return this.refreshTokens.id(sessionId);
 };
 
-// Method to remove refresh token
-userSchema.methods.removeRefreshToken = function(token) {
-  this.refreshTokens = this.refreshTokens.filter(rt => rt.token !== token);
+// Method to store a session's current refresh token and client details
+userSchema.methods.setSessionToken = function(session, token, clientInfo = {}) {
+  session.tokenHash = hashToken(token);
+  session.lastUsedAt = new Date();
+  session.expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+  if (clientInfo.userAgent) session.userAgent = clientInfo.userAgent;
+  if (clientInfo.ip) session.ip = clientInfo.ip;
+  if (clientInfo.deviceLabel) session.deviceLabel = clientInfo.deviceLabel;
+};
+
+// Method to find the session holding a refresh token
+userSchema.methods.findSessionByToken = function(token) {
+  const tokenHash = hashToken(token);
+  return this.refreshTokens.find(rt => rt.tokenHash === tokenHash && rt.expiresAt > Date.now()) || null;
+};
+
+// Method to revoke a session
+userSchema.methods.revokeSession = function(sessionId) {
+  const before = this.refreshTokens.length;
+  this.refreshTokens = this.refreshTokens.filter(rt => rt._id.toString() !== sessionId.toString());
+  return this.refreshTokens.length !== before;
+};
+
+// Method to revoke every session except one (pass null to revoke all)
+userSchema.methods.revokeOtherSessions = function(sessionId) {
+  const before = this.refreshTokens.length;
+  this.refreshTokens = this.refreshTokens.filter(rt => sessionId && rt._id.toString() === sessionId.toString());
+  return before - this.refreshTokens.length;
+};
+
+// Method to list sessions for display (never exposes token hashes)
+userSchema.methods.getSessions = function(currentSessionId) {
+  return [...this.refreshTokens]
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+    .map(rt => ({
+      id: rt._id,
+      deviceLabel: rt.deviceLabel,
+      userAgent: rt.userAgent,
+      ip: rt.ip,
+      lastUsedAt: rt.lastUsedAt,
+      createdAt: rt.createdAt,
+      expiresAt: rt.expiresAt,
+      current: Boolean(currentSessionId) && rt._id.toString() === currentSessionId.toString()
+    }));
+};
+
+// Method to compare a candidate password (requires the password to be selected)
+userSchema.methods.comparePassword = function(candidatePassword) {
+  if (!this.password) return Promise.resolve(false);
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to check if login is locked after repeated failures
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Method to record a failed login, locking the account after too many attempts
+userSchema.methods.registerFailedLogin = function() {
+  // Previous lock has expired, start counting again
+  if (this.lockUntil && this.lockUntil <= Date.now()) {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = null;
+  }
+
+  this.failedLoginAttempts += 1;
+
+  if (this.failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+    this.lockUntil = new Date(Date.now() + LOCK_DURATION_MS);
+  }
+
   return this.save();
 };
 
+// Method to clear failed login attempts
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+};
+
+// Method to create an email verification token (returns the raw token)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = generateRandomToken();
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+  return token;
+};
+
+// Method to create a password reset token (returns the raw token)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = generateRandomToken();
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+  return token;
+};
+
+// Method to start two-factor enrollment (returns the new secret)
+userSchema.methods.startTwoFactorSetup = function() {
+  this.twoFactor.pendingSecret = totp.generateSecret();
+  return this.twoFactor.pendingSecret;
+};
+
+// Method to confirm enrollment with a code from the pending secret
+// Requires twoFactor.pendingSecret to be selected
+userSchema.methods.confirmTwoFactorSetup = function(code) {
+  const { pendingSecret } = this.twoFactor;
+  const step = pendingSecret ? totp.verifyCode(pendingSecret, code) : null;
+
+  if (step === null) return false;
+
+  this.twoFactor.enabled = true;
+  this.twoFactor.secret = pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = step;
+  this.twoFactor.enabledAt = new Date();
+  return true;
+};
+
+// Method to replace recovery codes (returns the raw codes)
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateRandomToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Method to verify a TOTP or recovery code (recovery codes are single-use)
+// Requires twoFactor.secret, recoveryCodes and lastUsedStep to be selected
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactor.enabled || !code) return false;
+
+  const step = totp.verifyCode(this.twoFactor.secret, code);
+  if (step !== null) {
+    if (this.twoFactor.lastUsedStep !== undefined && step <= this.twoFactor.lastUsedStep) {
+      return false;
+    }
+
+    this.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  const codeHash = hashToken(String(code).trim().toLowerCase());
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(codeHash);
+  if (index === -1) return false;
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Method to turn off two-factor authentication
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor = { enabled: false, enabledAt: null };
+};
+
+// Method to get a linked identity (falls back to the legacy googleId)
+userSchema.methods.getIdentity = function(provider) {
+  const identity = this.identities.find(i => i.provider === provider);
+  if (identity) return identity;
+
+  if (provider === 'google' && this.googleId) {
+    return { provider: 'google', providerId: this.googleId, email: this.email, linkedAt: this.createdAt };
+  }
+
+  return null;
+};
+
+// Method to list all linked identities
+userSchema.methods.getIdentities = function() {
+  return OAUTH_PROVIDERS
+    .map(provider => this.getIdentity(provider))
+    .filter(Boolean)
+    .map(({ provider, email, username, linkedAt }) => ({ provider, email, username, linkedAt }));
+};
+
+// Method to link an identity provider
+userSchema.methods.linkIdentity = function(provider, profile) {
+  this.identities = this.identities.filter(i => i.provider !== provider);
+  this.identities.push({
+    provider,
+    providerId: profile.providerId,
+    email: profile.email,
+    username: profile.username
+  });
+
+  if (provider === 'google') {
+    this.googleId = profile.providerId;
+  }
+};
+
+// Method to unlink an identity provider
+userSchema.methods.unlinkIdentity = function(provider) {
+  this.identities = this.identities.filter(i => i.provider !== provider);
+
+  if (provider === 'google') {
+    this.googleId = undefined;
+  }
+};
+
+// Static method to find by identity provider ID
+userSchema.statics.findByProvider = function(provider, providerId) {
+  const conditions = [{ identities: { $elemMatch: { provider, providerId } } }];
+
+  if (provider === 'google') {
+    conditions.push({ googleId: providerId });
+  }
+
+  return this.findOne({ $or: conditions, isActive: true });
+};
+
 // Static method to find by Google ID
 userSchema.statics.findByGoogleId = function(googleId) {
-  return this.findOne({ googleId, isActive: true });
+  return this.findByProvider('google', googleId);
+};
+
+// Static method to find by an unexpired email verification token
+userSchema.statics.findByVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: Date.now() },
+    isActive: true
+  });
+};
+
+// Static method to find by an unexpired password reset token
+userSchema.statics.findByResetToken = function(token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: Date.now() },
+    isActive: true
+  });
+};
+
+// Static method to find with two-factor secrets selected
+userSchema.statics.findWithTwoFactor = function(userId) {
+  return this.findById(userId).select(
+    '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep +password'
+  );
 };
 
 // Static method to find by email
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENTS = [
+  'todo.created',
+  'todo.updated',
+  'todo.completed',
+  'todo.deleted',
+  'todo.assigned',
+  'comment.added'
+];
+
+const webhookSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  // Used to sign payloads (HMAC-SHA256), only returned when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  events: [{
+    type: String,
+    enum: WEBHOOK_EVENTS
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  // Consecutive failed deliveries, reset on success
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+webhookSchema.index({ userId: 1, isActive: 1, events: 1 });
+
+// Static method to find active webhooks subscribed to an event
+webhookSchema.statics.findSubscribed = function(userIds, event) {
+  return this.find({ userId: { $in: userIds }, isActive: true, events: event }).select('+secret');
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
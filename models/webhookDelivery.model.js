@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 30 * 24 * 60 * 60 // Keep delivery logs for 30 days
+  }
+}, {
+  versionKey: false
+});
+
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1 });
+
+// Queue job ID for this delivery
+webhookDeliverySchema.methods.getJobId = function() {
+  return `webhook-delivery:${this._id}`;
+};
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
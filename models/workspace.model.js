@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Roles from least to most privileged
+const WORKSPACE_ROLES = ['guest', 'member', 'admin', 'owner'];
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: WORKSPACE_ROLES,
+    default: 'member'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true,
+    maxlength: [100, 'Workspace name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [memberSchema],
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+workspaceSchema.index({ 'members.userId': 1, isDeleted: 1 });
+
+// Method to get a member entry
+workspaceSchema.methods.getMember = function(userId) {
+  if (!userId) return null;
+  return this.members.find(m => (m.userId._id || m.userId).toString() === userId.toString()) || null;
+};
+
+// Method to get a user's role (null if not a member)
+workspaceSchema.methods.getRole = function(userId) {
+  const member = this.getMember(userId);
+  return member ? member.role : null;
+};
+
+// Method to check if a user has at least a role
+workspaceSchema.methods.hasRole = function(userId, minRole = 'guest') {
+  const role = this.getRole(userId);
+  return role !== null && WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minRole);
+};
+
+// Method to check if a user is a member
+workspaceSchema.methods.isMember = function(userId) {
+  return this.getMember(userId) !== null;
+};
+
+// Method to get member user IDs
+workspaceSchema.methods.getMemberIds = function() {
+  return this.members.map(m => (m.userId._id || m.userId).toString());
+};
+
+// Static method to compare roles
+workspaceSchema.statics.compareRoles = function(a, b) {
+  return WORKSPACE_ROLES.indexOf(a) - WORKSPACE_ROLES.indexOf(b);
+};
+
+// Static method to find an active workspace
+workspaceSchema.statics.findActiveById = function(workspaceId) {
+  return this.findOne({ _id: workspaceId, isDeleted: false });
+};
+
+// Static method to find workspaces a user belongs to
+workspaceSchema.statics.findForUser = function(userId) {
+  return this.find({ 'members.userId': userId, isDeleted: false });
+};
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+module.exports = Workspace;
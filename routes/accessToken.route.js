@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createAccessToken,
+  getAccessTokens,
+  revokeAccessToken
+} = require('../controllers/accessToken.controller');
+const { authenticate, requireSession } = require('../middlewares/auth.middleware');
+const {
+  validateAccessTokenId,
+  validateAccessTokenCreate
+} = require('../middlewares/accessToken.validator');
+
+// ============ Personal Access Token Routes ============
+// Tokens can only be managed from a signed-in session, never with another token
+
+/**
+ * @route   POST /api/users/me/tokens
+ * @desc    Create a personal access token
+ * @access  Private (session only)
+ * @body    { name: string, scopes: [string], expiresInDays?: number|null }
+ */
+router.post('/users/me/tokens', authenticate, requireSession, validateAccessTokenCreate, createAccessToken);
+
+/**
+ * @route   GET /api/users/me/tokens
+ * @desc    Get personal access tokens
+ * @access  Private (session only)
+ */
+router.get('/users/me/tokens', authenticate, requireSession, getAccessTokens);
+
+/**
+ * @route   DELETE /api/users/me/tokens/:tokenId
+ * @desc    Revoke a personal access token
+ * @access  Private (session only)
+ */
+router.delete('/users/me/tokens/:tokenId', authenticate, requireSession, validateAccessTokenId, revokeAccessToken);
+
+module.exports = router;
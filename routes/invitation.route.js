@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTodoInvitations,
+  resendInvitation,
+  revokeInvitation,
+  previewInvitation,
+  acceptInvitationByToken
+} = require('../controllers/invitation.controller');
+const { authenticate, requireScope, requireSession } = require('../middlewares/auth.middleware');
+const {
+  validateInvitationId,
+  validateInvitationQuery,
+  validateInvitationTokenQuery,
+  validateInvitationTokenBody
+} = require('../middlewares/invitation.validator');
+
+// ============ Invitation Routes ============
+// Invitations are created by sharing a todo with an email address (POST /api/todos/:todoId/share)
+
+/**
+ * @route   GET /api/invitations/preview
+ * @desc    Preview an invitation before signing up or in
+ * @access  Public
+ * @query   token
+ */
+router.get('/invitations/preview', validateInvitationTokenQuery, previewInvitation);
+
+/**
+ * @route   POST /api/invitations/accept
+ * @desc    Accept an invitation with the signed-in account (must have the invited, verified email)
+ * @access  Private
+ * @body    { token: string }
+ */
+router.post('/invitations/accept', authenticate, requireSession, validateInvitationTokenBody, acceptInvitationByToken);
+
+/**
+ * @route   GET /api/invitations
+ * @desc    Get pending invitations for a todo
+ * @access  Private (todo owner or admin)
+ * @scope   todos:read
+ * @query   todoId
+ */
+router.get('/invitations', authenticate, requireScope('todos:read'), validateInvitationQuery, getTodoInvitations);
+
+/**
+ * @route   POST /api/invitations/:invitationId/resend
+ * @desc    Resend an invitation (new link, expiry extended)
+ * @access  Private (todo owner or admin)
+ * @scope   todos:write
+ */
+router.post('/invitations/:invitationId/resend', authenticate, requireScope('todos:write'), validateInvitationId, resendInvitation);
+
+/**
+ * @route   DELETE /api/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Private (todo owner or admin)
+ * @scope   todos:write
+ */
+router.delete('/invitations/:invitationId', authenticate, requireScope('todos:write'), validateInvitationId, revokeInvitation);
+
+module.exports = router;
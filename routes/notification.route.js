@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification
+} = require('../controllers/notification.controller');
+const { authenticate, requireSession } = require('../middlewares/auth.middleware');
+const {
+  validateNotificationId,
+  validateNotificationQuery
+} = require('../middlewares/notification.validator');
+
+// ============ Notification Routes ============
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get notifications (paginated, filterable by type and unread)
+ * @access  Private
+ * @query   page, limit, type (comma-separated), unread=true
+ */
+router.get('/notifications', authenticate, requireSession, validateNotificationQuery, getNotifications);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get number of unread notifications
+ * @access  Private
+ */
+router.get('/notifications/unread-count', authenticate, requireSession, getUnreadCount);
+
+/**
+ * @route   PATCH /api/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.patch('/notifications/read-all', authenticate, requireSession, markAllNotificationsRead);
+
+/**
+ * @route   PATCH /api/notifications/:notificationId/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.patch('/notifications/:notificationId/read', authenticate, requireSession, validateNotificationId, markNotificationRead);
+
+/**
+ * @route   DELETE /api/notifications/:notificationId
+ * @desc    Delete a notification
+ * @access  Private
+ */
+router.delete('/notifications/:notificationId', authenticate, requireSession, validateNotificationId, deleteNotification);
+
+module.exports = router;
@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createProject,
+  getProjects,
+  getProjectById,
+  updateProject,
+  deleteProject,
+  getProjectTodos,
+  getProjectStatsById,
+  migrateCategories,
+  createSection,
+  updateSection,
+  deleteSection,
+  getProjectBoard,
+  updateProjectBoard,
+  moveTodoOnBoard,
+  moveTodoToProject,
+  moveTodoToSection
+} = require('../controllers/project.controller');
+const { authenticate, requireScope } = require('../middlewares/auth.middleware');
+const { authorizeTodo } = require('../middlewares/permission.middleware');
+const { validatePagination } = require('../middlewares/todo.validator');
+const {
+  validateProjectId,
+  validateProjectCreate,
+  validateProjectUpdate,
+  validateProjectTodosQuery,
+  validateSectionCreate,
+  validateSectionUpdate,
+  validateSectionId,
+  validateBoardUpdate,
+  validateBoardMove,
+  validateMoveToProject,
+  validateMoveToSection
+} = require('../middlewares/project.validator');
+
+// ============ Project Routes ============
+// Personal projects belong to their creator; workspace projects are readable by all members,
+// editable by members and archived or deleted by admins (and always by their creator)
+
+/**
+ * @route   POST /api/projects
+ * @desc    Create a project
+ * @access  Private (workspace members for workspace projects)
+ * @scope   todos:write
+ * @body    { name, description?, color?, icon?, workspaceId?, sections?: [string] }
+ */
+router.post('/projects', authenticate, requireScope('todos:write'), validateProjectCreate, createProject);
+
+/**
+ * @route   GET /api/projects
+ * @desc    Get personal projects and the projects of the user's workspaces, with todo counts
+ * @access  Private
+ * @scope   todos:read
+ * @query   workspaceId?, archived?
+ */
+router.get('/projects', authenticate, requireScope('todos:read'), getProjects);
+
+/**
+ * @route   POST /api/projects/migrate-categories
+ * @desc    Convert the categories of the user's personal todos into projects
+ * @access  Private
+ * @scope   todos:write
+ */
+router.post('/projects/migrate-categories', authenticate, requireScope('todos:write'), migrateCategories);
+
+/**
+ * @route   GET /api/projects/:projectId
+ * @desc    Get a project with its sections
+ * @access  Private
+ * @scope   todos:read
+ */
+router.get('/projects/:projectId', authenticate, requireScope('todos:read'), validateProjectId, getProjectById);
+
+/**
+ * @route   PATCH /api/projects/:projectId
+ * @desc    Update a project (archiving needs admin access)
+ * @access  Private
+ * @scope   todos:write
+ * @body    { name?, description?, color?, icon?, isArchived? }
+ */
+router.patch('/projects/:projectId', authenticate, requireScope('todos:write'), validateProjectUpdate, updateProject);
+
+/**
+ * @route   DELETE /api/projects/:projectId
+ * @desc    Delete a project (its todos are kept outside any project)
+ * @access  Private (creator or workspace admin)
+ * @scope   todos:write
+ */
+router.delete('/projects/:projectId', authenticate, requireScope('todos:write'), validateProjectId, deleteProject);
+
+/**
+ * @route   GET /api/projects/:projectId/todos
+ * @desc    Get a project's todos
+ * @access  Private
+ * @scope   todos:read
+ * @query   sectionId? (or "none"), cursor | page, limit
+ */
+router.get('/projects/:projectId/todos', authenticate, requireScope('todos:read'), validateProjectTodosQuery, validatePagination, getProjectTodos);
+
+/**
+ * @route   GET /api/projects/:projectId/stats
+ * @desc    Get todo counts by status and section, overdue count and time totals
+ * @access  Private
+ * @scope   todos:read
+ */
+router.get('/projects/:projectId/stats', authenticate, requireScope('todos:read'), validateProjectId, getProjectStatsById);
+
+// ============ Section Routes ============
+
+/**
+ * @route   POST /api/projects/:projectId/sections
+ * @desc    Add a section (at the end, or at position)
+ * @access  Private
+ * @scope   todos:write
+ * @body    { name: string, position?: number }
+ */
+router.post('/projects/:projectId/sections', authenticate, requireScope('todos:write'), validateSectionCreate, createSection);
+
+/**
+ * @route   PATCH /api/projects/:projectId/sections/:sectionId
+ * @desc    Rename a section or move it to another position
+ * @access  Private
+ * @scope   todos:write
+ * @body    { name?, position? }
+ */
+router.patch('/projects/:projectId/sections/:sectionId', authenticate, requireScope('todos:write'), validateSectionUpdate, updateSection);
+
+/**
+ * @route   DELETE /api/projects/:projectId/sections/:sectionId
+ * @desc    Delete a section (its todos stay in the project)
+ * @access  Private
+ * @scope   todos:write
+ */
+router.delete('/projects/:projectId/sections/:sectionId', authenticate, requireScope('todos:write'), validateSectionId, deleteSection);
+
+// ============ Board Routes ============
+// Without configured columns a board has one column per status, with the status as column ID
+
+/**
+ * @route   GET /api/projects/:projectId/board
+ * @desc    Get the project's board: columns with their todos in board order, WIP counts and unmapped todos
+ * @access  Private
+ * @scope   todos:read
+ */
+router.get('/projects/:projectId/board', authenticate, requireScope('todos:read'), validateProjectId, getProjectBoard);
+
+/**
+ * @route   PUT /api/projects/:projectId/board
+ * @desc    Replace the board's columns ([] restores the default board); columns sent with _id keep their todos
+ * @access  Private
+ * @scope   todos:write
+ * @body    { columns: [{ _id?, name, status, wipLimit?: number | null, wipPolicy?: 'reject' | 'warn' }] }
+ */
+router.put('/projects/:projectId/board', authenticate, requireScope('todos:write'), validateBoardUpdate, updateProjectBoard);
+
+/**
+ * @route   PUT /api/todos/:todoId/board
+ * @desc    Move a todo to a board column (setting its status) at a position
+ * @access  Private
+ * @scope   todos:write
+ * @permission todo:update
+ * @query   force? (complete despite open blockers)
+ * @body    { columnId: string, position?: number }
+ */
+router.put('/todos/:todoId/board', authenticate, requireScope('todos:write'), validateBoardMove, authorizeTodo('todo:update'), moveTodoOnBoard);
+
+// ============ Moving Todos ============
+
+/**
+ * @route   PUT /api/todos/:todoId/project
+ * @desc    Move a todo to a project (null removes it from its project)
+ * @access  Private
+ * @scope   todos:write
+ * @permission todo:update
+ * @body    { projectId: string | null, sectionId?: string }
+ */
+router.put('/todos/:todoId/project', authenticate, requireScope('todos:write'), validateMoveToProject, authorizeTodo('todo:update'), moveTodoToProject);
+
+/**
+ * @route   PUT /api/todos/:todoId/section
+ * @desc    Move a todo to another section of its project (null removes it from its section)
+ * @access  Private
+ * @scope   todos:write
+ * @permission todo:update
+ * @body    { sectionId: string | null }
+ */
+router.put('/todos/:todoId/section', authenticate, requireScope('todos:write'), validateMoveToSection, authorizeTodo('todo:update'), moveTodoToSection);
+
+module.exports = router;
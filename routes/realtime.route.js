@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { streamEvents } = require('../controllers/realtime.controller');
+const { authenticate, requireScope } = require('../middlewares/auth.middleware');
+
+// ============ Real-time Routes ============
+
+/**
+ * @route   GET /api/events
+ * @desc    Stream todo create/update/delete/comment events (Server-Sent Events)
+ * @access  Private
+ * @scope   todos:read
+ * @header  Last-Event-ID - resume after this event (set automatically by EventSource)
+ */
+router.get('/events', authenticate, requireScope('todos:read'), streamEvents);
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createView,
+  getViews,
+  getViewById,
+  updateView,
+  deleteView,
+  shareView,
+  revokeViewShare,
+  pinView,
+  unpinView,
+  getViewTodos
+} = require('../controllers/savedView.controller');
+const { authenticate, requireScope, requireSession } = require('../middlewares/auth.middleware');
+const { validatePagination } = require('../middlewares/todo.validator');
+const {
+  validateViewId,
+  validateViewCreate,
+  validateViewUpdate,
+  validateViewShare,
+  validateViewShareRevoke
+} = require('../middlewares/savedView.validator');
+
+// ============ Saved View Routes ============
+// Views can be read and run with a todos:read token; changing them needs a signed-in session
+
+/**
+ * @route   POST /api/views
+ * @desc    Create a saved view
+ * @access  Private (session only)
+ * @body    { name, filter?, scope?, workspaceId?, sortBy?, groupBy?, columns?, pinned? }
+ */
+router.post('/views', authenticate, requireSession, validateViewCreate, createView);
+
+/**
+ * @route   GET /api/views
+ * @desc    Get own and shared views, pinned first
+ * @access  Private
+ * @scope   todos:read
+ */
+router.get('/views', authenticate, requireScope('todos:read'), getViews);
+
+/**
+ * @route   GET /api/views/:viewId
+ * @desc    Get a saved view
+ * @access  Private
+ * @scope   todos:read
+ */
+router.get('/views/:viewId', authenticate, requireScope('todos:read'), validateViewId, getViewById);
+
+/**
+ * @route   GET /api/views/:viewId/todos
+ * @desc    Run a saved view (same listing as GET /api/todos), with the page grouped by the view's groupBy
+ *          ({ data, pagination, view: { groupBy, columns }, groups: [{ key, label, count, todoIds }] })
+ * @access  Private
+ * @scope   todos:read
+ * @query   cursor | page, limit
+ */
+router.get('/views/:viewId/todos', authenticate, requireScope('todos:read'), validateViewId, validatePagination, getViewTodos);
+
+/**
+ * @route   PATCH /api/views/:viewId
+ * @desc    Update a saved view
+ * @access  Private (session only, owner or edit permission)
+ * @body    { name?, filter?, scope?, workspaceId?, sortBy?, groupBy?, columns? }
+ */
+router.patch('/views/:viewId', authenticate, requireSession, validateViewUpdate, updateView);
+
+/**
+ * @route   DELETE /api/views/:viewId
+ * @desc    Delete a saved view
+ * @access  Private (session only, owner)
+ */
+router.delete('/views/:viewId', authenticate, requireSession, validateViewId, deleteView);
+
+/**
+ * @route   POST /api/views/:viewId/share
+ * @desc    Share a view with a user or change their permissions
+ * @access  Private (session only, owner)
+ * @body    { userId: string, permissions?: 'view' | 'edit' }
+ */
+router.post('/views/:viewId/share', authenticate, requireSession, validateViewShare, shareView);
+
+/**
+ * @route   DELETE /api/views/:viewId/share/:shareWithUserId
+ * @desc    Stop sharing a view with a user (sharees can remove themselves)
+ * @access  Private (session only)
+ */
+router.delete('/views/:viewId/share/:shareWithUserId', authenticate, requireSession, validateViewShareRevoke, revokeViewShare);
+
+/**
+ * @route   PUT /api/views/:viewId/pin
+ * @desc    Pin a view
+ * @access  Private (session only)
+ */
+router.put('/views/:viewId/pin', authenticate, requireSession, validateViewId, pinView);
+
+/**
+ * @route   DELETE /api/views/:viewId/pin
+ * @desc    Unpin a view
+ * @access  Private (session only)
+ */
+router.delete('/views/:viewId/pin', authenticate, requireSession, validateViewId, unpinView);
+
+module.exports = router;
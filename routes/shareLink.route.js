@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+  getShareLinkAccessLog,
+  viewSharedTodo,
+  unlockSharedTodo
+} = require('../controllers/shareLink.controller');
+const { authenticate, requireScope, rateLimitPublic } = require('../middlewares/auth.middleware');
+const { authorizeTodo } = require('../middlewares/permission.middleware');
+const {
+  validateShareLinkCreate,
+  validateShareLinkTodoId,
+  validateShareLinkId,
+  validateShareLinkAccessQuery,
+  validateShareLinkToken,
+  validateShareLinkUnlock
+} = require('../middlewares/shareLink.validator');
+
+// ============ Public Share Link Routes ============
+// Anyone with the link gets a read-only view; every request is logged and rate limited per IP
+
+/**
+ * @route   GET /api/public/share-links/:token
+ * @desc    View a shared todo
+ * @access  Public
+ */
+router.get('/public/share-links/:token', rateLimitPublic(), validateShareLinkToken, viewSharedTodo);
+
+/**
+ * @route   POST /api/public/share-links/:token
+ * @desc    View a password-protected shared todo
+ * @access  Public
+ * @body    { password: string }
+ */
+router.post('/public/share-links/:token', rateLimitPublic(10), validateShareLinkUnlock, unlockSharedTodo);
+
+// ============ Share Link Management Routes ============
+
+/**
+ * @route   POST /api/todos/:todoId/share-links
+ * @desc    Create a public share link
+ * @access  Private
+ * @scope   todos:write
+ * @permission share:manage
+ * @body    { expiresInDays?: number|null, password?: string, hiddenFields?: ['comments' | 'watchers' | 'attachments'] }
+ */
+router.post('/todos/:todoId/share-links', authenticate, requireScope('todos:write'), validateShareLinkCreate, authorizeTodo('share:manage'), createShareLink);
+
+/**
+ * @route   GET /api/todos/:todoId/share-links
+ * @desc    Get a todo's share links
+ * @access  Private
+ * @scope   todos:read
+ * @permission share:manage
+ */
+router.get('/todos/:todoId/share-links', authenticate, requireScope('todos:read'), validateShareLinkTodoId, authorizeTodo('share:manage'), getShareLinks);
+
+/**
+ * @route   DELETE /api/todos/:todoId/share-links/:linkId
+ * @desc    Revoke a share link
+ * @access  Private
+ * @scope   todos:write
+ * @permission share:manage
+ */
+router.delete('/todos/:todoId/share-links/:linkId', authenticate, requireScope('todos:write'), validateShareLinkId, authorizeTodo('share:manage'), revokeShareLink);
+
+/**
+ * @route   GET /api/todos/:todoId/share-links/:linkId/access
+ * @desc    Get the access log of a share link (paginated)
+ * @access  Private
+ * @scope   todos:read
+ * @permission share:manage
+ * @query   page, limit
+ */
+router.get('/todos/:todoId/share-links/:linkId/access', authenticate, requireScope('todos:read'), validateShareLinkAccessQuery, authorizeTodo('share:manage'), getShareLinkAccessLog);
+
+module.exports = router;
@@ -4,6 +4,9 @@ const {
   createTodo,
   addSubtask,
   getAllTodos,
+  getSharedTodos,
+  getAssignedTodos,
+  getWatchingTodos,
   getTodoById,
   getTodosByStatus,
   getOverdueTodos,
@@ -30,19 +33,30 @@ const {
   getTodosByTag,
   getAllTags,
   searchTodos,
+  getTimeline,
   bulkUpdateTodos,
   bulkDeleteTodos,
   assignTodo,
   unassignTodo,
   addWatcher,
   removeWatcher,
+  getTodoLinks,
+  addTodoLink,
+  removeTodoLink,
   getActivityLog,
   duplicateTodo
 } = require('../controllers/todo.controller');
-const { authenticate } = require('../middlewares/auth.middleware');
-const { validateTodo, validateSubtask } = require('../middlewares/todo.validator');
+const { authenticate, requireScope } = require('../middlewares/auth.middleware');
+const { validateTodo, validateSubtask, validatePagination, validateSearch, validateTodoLink, validateBulkUpdate, validateBulkDelete } = require('../middlewares/todo.validator');
+const { authorizeTodo } = require('../middlewares/permission.middleware');
 
 // ============ ALL ROUTES ARE PROTECTED WITH authenticate() ============
+// Personal access tokens must also carry the scope named by requireScope()
+// Listings accept ?scope=own|shared|assigned|watching|all and return each todo with the caller's access.role
+// Listings are paginated: ?limit (default 20, max 100) with ?cursor from pagination.nextCursor/prevCursor,
+// or ?page for numbered pages with totals
+// Routes for a single todo check the caller's role on it with authorizeTodo();
+// the role/action matrix lives in services/permission.service.js
 
 // ============ TODO CRUD ROUTES ============
 
@@ -50,36 +64,144 @@ const { validateTodo, validateSubtask } = require('../middlewares/todo.validator
  * @route   POST /api/todos
  * @desc    Create a new todo
  * @access  Private
+ * @scope   todos:write
  */
-router.post('/', authenticate, validateTodo, createTodo);
+router.post('/', authenticate, requireScope('todos:write'), validateTodo, createTodo);
 
 /**
  * @route   GET /api/todos
  * @desc    Get all todos for user (with filtering and sorting)
  * @access  Private
+ * @scope   todos:read
+ * @query   cursor | page, limit, scope: own (default) | shared | assigned | watching | all, workspaceId, status, priority, category, sortBy
+ * @query   q: filter expression, e.g. priority:high,urgent due:<7d tag:backend -status:completed (see services/todoFilter.service.js)
  */
-router.get('/', authenticate, getAllTodos);
+router.get('/', authenticate, requireScope('todos:read'), validatePagination, getAllTodos);
+
+// ============ RELATION VIEWS ============
+// Registered before /:todoId so the paths are not taken for todo IDs
+
+/**
+ * @route   GET /api/todos/shared
+ * @desc    Get todos shared with the user
+ * @access  Private
+ * @scope   todos:read
+ * @query   cursor | page, limit
+ */
+router.get('/shared', authenticate, requireScope('todos:read'), validatePagination, getSharedTodos);
+
+/**
+ * @route   GET /api/todos/assigned
+ * @desc    Get todos assigned to the user
+ * @access  Private
+ * @scope   todos:read
+ * @query   cursor | page, limit
+ */
+router.get('/assigned', authenticate, requireScope('todos:read'), validatePagination, getAssignedTodos);
+
+/**
+ * @route   GET /api/todos/watching
+ * @desc    Get todos the user is watching
+ * @access  Private
+ * @scope   todos:read
+ * @query   cursor | page, limit
+ */
+router.get('/watching', authenticate, requireScope('todos:read'), validatePagination, getWatchingTodos);
+
+/**
+ * @route   GET /api/todos/search
+ * @desc    Full-text search over titles, tags, descriptions, subtasks and comments, ranked by relevance
+ *          q supports words, "exact phrases", prefix* and field:term (title, tag, description, subtask, comment)
+ * @access  Private
+ * @scope   todos:read
+ * @query   q, scope?, workspaceId?, cursor | page, limit
+ */
+router.get('/search', authenticate, requireScope('todos:read'), validateSearch, validatePagination, searchTodos);
+
+/**
+ * @route   GET /api/todos/timeline
+ * @desc    Timeline bars (todos and nested subtasks) with dependency edges, slack and the critical path;
+ *          flags todos that finish after their due date because of their blockers
+ * @access  Private
+ * @scope   todos:read
+ * @query   scope?, workspaceId?, q?, includeCompleted? (default true)
+ */
+router.get('/timeline', authenticate, requireScope('todos:read'), getTimeline);
+
+// ============ COLLECTION VIEWS ============
+// Also registered before /:todoId
+
+/**
+ * @route   GET /api/todos/overdue
+ * @desc    Get all overdue todos
+ * @access  Private
+ * @scope   todos:read
+ * @query   scope?, workspaceId?, cursor | page, limit
+ */
+router.get('/overdue', authenticate, requireScope('todos:read'), validatePagination, getOverdueTodos);
+
+/**
+ * @route   GET /api/todos/archived
+ * @desc    Get all archived todos
+ * @access  Private
+ * @scope   todos:read
+ * @query   scope?, workspaceId?, cursor | page, limit
+ */
+router.get('/archived', authenticate, requireScope('todos:read'), validatePagination, getArchivedTodos);
+
+/**
+ * @route   GET /api/todos/all-tags
+ * @desc    Get all tags for user
+ * @access  Private
+ * @scope   todos:read
+ * @query   scope?, workspaceId?
+ */
+router.get('/all-tags', authenticate, requireScope('todos:read'), getAllTags);
+
+/**
+ * @route   GET /api/todos/stats
+ * @desc    Get todo statistics for user
+ * @access  Private
+ * @scope   todos:read
+ * @query   scope?, workspaceId?
+ */
+router.get('/stats', authenticate, requireScope('todos:read'), getTodoStats);
+
+/**
+ * @route   GET /api/todos/today
+ * @desc    Get today's todos
+ * @access  Private
+ * @scope   todos:read
+ * @query   scope?, workspaceId?, cursor | page, limit
+ */
+router.get('/today', authenticate, requireScope('todos:read'), validatePagination, getTodayTodos);
 
 /**
  * @route   GET /api/todos/:todoId
  * @desc    Get a single todo by ID
  * @access  Private
+ * @scope   todos:read
+ * @permission todo:view
  */
-router.get('/:todoId', authenticate, getTodoById);
+router.get('/:todoId', authenticate, requireScope('todos:read'), authorizeTodo('todo:view'), getTodoById);
 
 /**
  * @route   PATCH /api/todos/:todoId
  * @desc    Update a todo
  * @access  Private
+ * @scope   todos:write
+ * @permission todo:update
  */
-router.patch('/:todoId', authenticate, validateTodo, updateTodo);
+router.patch('/:todoId', authenticate, requireScope('todos:write'), validateTodo, authorizeTodo('todo:update'), updateTodo);
 
 /**
  * @route   DELETE /api/todos/:todoId
  * @desc    Soft delete a todo
  * @access  Private
+ * @scope   todos:write
+ * @permission todo:delete
  */
-router.delete('/:todoId', authenticate, deleteTodo);
+router.delete('/:todoId', authenticate, requireScope('todos:write'), authorizeTodo('todo:delete'), deleteTodo);
 
 // ============ SUBTASK ROUTES ============
 
@@ -87,45 +209,58 @@ router.delete('/:todoId', authenticate, deleteTodo);
  * @route   POST /api/todos/:todoId/subtasks
  * @desc    Add a subtask to a todo
  * @access  Private
+ * @scope   todos:write
+ * @permission subtask:write
  */
-router.post('/:todoId/subtasks', authenticate, validateSubtask, addSubtask);
+router.post('/:todoId/subtasks', authenticate, requireScope('todos:write'), validateSubtask, authorizeTodo('subtask:write'), addSubtask);
 
 /**
  * @route   PATCH /api/todos/:todoId/subtasks/:subtaskId
  * @desc    Update a subtask
  * @access  Private
+ * @scope   todos:write
+ * @permission subtask:write
  */
-router.patch('/:todoId/subtasks/:subtaskId', authenticate, validateSubtask, updateSubtask);
+router.patch('/:todoId/subtasks/:subtaskId', authenticate, requireScope('todos:write'), validateSubtask, authorizeTodo('subtask:write'), updateSubtask);
 
 /**
  * @route   DELETE /api/todos/:todoId/subtasks/:subtaskId
  * @desc    Delete a subtask
  * @access  Private
+ * @scope   todos:write
+ * @permission subtask:write
  */
-router.delete('/:todoId/subtasks/:subtaskId', authenticate, deleteSubtask);
+router.delete('/:todoId/subtasks/:subtaskId', authenticate, requireScope('todos:write'), authorizeTodo('subtask:write'), deleteSubtask);
 
 // ============ STATUS & COMPLETION ROUTES ============
 
 /**
  * @route   PATCH /api/todos/:todoId/complete
- * @desc    Mark todo as completed
+ * @desc    Mark todo as completed (409 while blockers are open, unless ?force=true)
  * @access  Private
+ * @scope   todos:write
+ * @permission todo:status
+ * @query   force?
  */
-router.patch('/:todoId/complete', authenticate, completeTodo);
+router.patch('/:todoId/complete', authenticate, requireScope('todos:write'), authorizeTodo('todo:status'), completeTodo);
 
 /**
  * @route   PATCH /api/todos/:todoId/incomplete
  * @desc    Mark todo as incomplete
  * @access  Private
+ * @scope   todos:write
+ * @permission todo:status
  */
-router.patch('/:todoId/incomplete', authenticate, incompleteTodo);
+router.patch('/:todoId/incomplete', authenticate, requireScope('todos:write'), authorizeTodo('todo:status'), incompleteTodo);
 
 /**
  * @route   GET /api/todos/status/:status
  * @desc    Get todos by status (todo, in-progress, completed, blocked, on-hold)
  * @access  Private
+ * @scope   todos:read
+ * @query   cursor | page, limit
  */
-router.get('/status/:status', authenticate, getTodosByStatus);
+router.get('/status/:status', authenticate, requireScope('todos:read'), validatePagination, getTodosByStatus);
 
 // ============ PRIORITY & OVERDUE ROUTES ============
 
@@ -133,15 +268,10 @@ router.get('/status/:status', authenticate, getTodosByStatus);
  * @route   GET /api/todos/priority/:priority
  * @desc    Get todos by priority (low, medium, high, urgent)
  * @access  Private
+ * @scope   todos:read
+ * @query   cursor | page, limit
  */
-router.get('/priority/:priority', authenticate, getTodosByPriority);
-
-/**
- * @route   GET /api/todos/overdue
- * @desc    Get all overdue todos
- * @access  Private
- */
-router.get('/overdue', authenticate, getOverdueTodos);
+router.get('/priority/:priority', authenticate, requireScope('todos:read'), validatePagination, getTodosByPriority);
 
 // ============ TIME TRACKING ROUTES ============
 
@@ -149,9 +279,11 @@ router.get('/overdue', authenticate, getOverdueTodos);
  * @route   POST /api/todos/:todoId/time-tracking
  * @desc    Log time spent on a todo
  * @access  Private
+ * @scope   todos:write
+ * @permission time:log
  * @body    { timeSpent: number } - time in minutes
  */
-router.post('/:todoId/time-tracking', authenticate, logTimeSpent);
+router.post('/:todoId/time-tracking', authenticate, requireScope('todos:write'), authorizeTodo('time:log'), logTimeSpent);
 
 // ============ COMMENT ROUTES ============
 
@@ -159,24 +291,30 @@ router.post('/:todoId/time-tracking', authenticate, logTimeSpent);
  * @route   POST /api/todos/:todoId/comments
  * @desc    Add a comment to a todo
  * @access  Private
+ * @scope   comments:write
+ * @permission comment:write
  * @body    { text: string, mentions: [userId] }
  */
-router.post('/:todoId/comments', authenticate, addComment);
+router.post('/:todoId/comments', authenticate, requireScope('comments:write'), authorizeTodo('comment:write'), addComment);
 
 /**
  * @route   PATCH /api/todos/:todoId/comments/:commentId
  * @desc    Update a comment
  * @access  Private
+ * @scope   comments:write
+ * @permission comment:write
  * @body    { text: string }
  */
-router.patch('/:todoId/comments/:commentId', authenticate, updateComment);
+router.patch('/:todoId/comments/:commentId', authenticate, requireScope('comments:write'), authorizeTodo('comment:write'), updateComment);
 
 /**
  * @route   DELETE /api/todos/:todoId/comments/:commentId
  * @desc    Delete a comment
  * @access  Private
+ * @scope   comments:write
+ * @permission comment:write
  */
-router.delete('/:todoId/comments/:commentId', authenticate, deleteComment);
+router.delete('/:todoId/comments/:commentId', authenticate, requireScope('comments:write'), authorizeTodo('comment:write'), deleteComment);
 
 // ============ ATTACHMENT ROUTES ============
 
@@ -184,33 +322,41 @@ router.delete('/:todoId/comments/:commentId', authenticate, deleteComment);
  * @route   POST /api/todos/:todoId/attachments
  * @desc    Add attachment to todo
  * @access  Private
+ * @scope   todos:write
+ * @permission attachment:write
  * @body    { url: string, fileName: string, fileType: string, fileSize: number }
  */
-router.post('/:todoId/attachments', authenticate, addAttachment);
+router.post('/:todoId/attachments', authenticate, requireScope('todos:write'), authorizeTodo('attachment:write'), addAttachment);
 
 /**
  * @route   DELETE /api/todos/:todoId/attachments/:attachmentId
  * @desc    Delete attachment from todo
  * @access  Private
+ * @scope   todos:write
+ * @permission attachment:write
  */
-router.delete('/:todoId/attachments/:attachmentId', authenticate, deleteAttachment);
+router.delete('/:todoId/attachments/:attachmentId', authenticate, requireScope('todos:write'), authorizeTodo('attachment:write'), deleteAttachment);
 
 // ============ SHARING ROUTES ============
 
 /**
  * @route   POST /api/todos/:todoId/share
- * @desc    Share todo with another user
+ * @desc    Share todo with another user, or invite someone without an account by email
  * @access  Private
- * @body    { userId: string, permissions: 'view' | 'edit' | 'admin' }
+ * @scope   todos:write
+ * @permission share:manage
+ * @body    { userId?: string, email?: string, permissions: 'view' | 'edit' | 'admin' }
  */
-router.post('/:todoId/share', authenticate, shareTodo);
+router.post('/:todoId/share', authenticate, requireScope('todos:write'), authorizeTodo('share:manage'), shareTodo);
 
 /**
  * @route   DELETE /api/todos/:todoId/share/:shareWithUserId
  * @desc    Revoke todo sharing
  * @access  Private
+ * @scope   todos:write
+ * @permission share:manage
  */
-router.delete('/:todoId/share/:shareWithUserId', authenticate, revokeTodoShare);
+router.delete('/:todoId/share/:shareWithUserId', authenticate, requireScope('todos:write'), authorizeTodo('share:manage'), revokeTodoShare);
 
 // ============ ARCHIVE ROUTES ============
 
@@ -218,22 +364,19 @@ router.delete('/:todoId/share/:shareWithUserId', authenticate, revokeTodoShare);
  * @route   PATCH /api/todos/:todoId/archive
  * @desc    Archive a todo
  * @access  Private
+ * @scope   todos:write
+ * @permission todo:archive
  */
-router.patch('/:todoId/archive', authenticate, archiveTodo);
+router.patch('/:todoId/archive', authenticate, requireScope('todos:write'), authorizeTodo('todo:archive'), archiveTodo);
 
 /**
  * @route   PATCH /api/todos/:todoId/unarchive
  * @desc    Unarchive a todo
  * @access  Private
+ * @scope   todos:write
+ * @permission todo:archive
  */
-router.patch('/:todoId/unarchive', authenticate, unarchiveTodo);
-
-/**
- * @route   GET /api/todos/archived
- * @desc    Get all archived todos
- * @access  Private
- */
-router.get('/archived', authenticate, getArchivedTodos);
+router.patch('/:todoId/unarchive', authenticate, requireScope('todos:write'), authorizeTodo('todo:archive'), unarchiveTodo);
 
 // ============ TAG ROUTES ============
 
@@ -241,24 +384,10 @@ router.get('/archived', authenticate, getArchivedTodos);
  * @route   GET /api/todos/tags/:tag
  * @desc    Get todos by tag
  * @access  Private
+ * @scope   todos:read
+ * @query   cursor | page, limit
  */
-router.get('/tags/:tag', authenticate, getTodosByTag);
-
-/**
- * @route   GET /api/todos/all-tags
- * @desc    Get all tags for user
- * @access  Private
- */
-router.get('/all-tags', authenticate, getAllTags);
-
-// ============ SEARCH ROUTES ============
-
-/**
- * @route   GET /api/todos/search/:query
- * @desc    Search todos by title, description, or tags
- * @access  Private
- */
-router.get('/search/:query', authenticate, searchTodos);
+router.get('/tags/:tag', authenticate, requireScope('todos:read'), validatePagination, getTodosByTag);
 
 // ============ ASSIGNMENT ROUTES ============
 
@@ -266,16 +395,20 @@ router.get('/search/:query', authenticate, searchTodos);
  * @route   PATCH /api/todos/:todoId/assign
  * @desc    Assign todo to a user
  * @access  Private
+ * @scope   todos:write
+ * @permission todo:assign
  * @body    { assigneeId: string }
  */
-router.patch('/:todoId/assign', authenticate, assignTodo);
+router.patch('/:todoId/assign', authenticate, requireScope('todos:write'), authorizeTodo('todo:assign'), assignTodo);
 
 /**
  * @route   PATCH /api/todos/:todoId/unassign
  * @desc    Unassign todo
  * @access  Private
+ * @scope   todos:write
+ * @permission todo:assign
  */
-router.patch('/:todoId/unassign', authenticate, unassignTodo);
+router.patch('/:todoId/unassign', authenticate, requireScope('todos:write'), authorizeTodo('todo:assign'), unassignTodo);
 
 // ============ WATCHER ROUTES ============
 
@@ -283,41 +416,62 @@ router.patch('/:todoId/unassign', authenticate, unassignTodo);
  * @route   POST /api/todos/:todoId/watchers
  * @desc    Add watcher to todo
  * @access  Private
+ * @scope   todos:write
+ * @permission watcher:self (watcher:manage for other users)
  * @body    { watcherId: string }
  */
-router.post('/:todoId/watchers', authenticate, addWatcher);
+router.post('/:todoId/watchers', authenticate, requireScope('todos:write'), authorizeTodo('watcher:self'), addWatcher);
 
 /**
  * @route   DELETE /api/todos/:todoId/watchers/:watcherId
  * @desc    Remove watcher from todo
  * @access  Private
+ * @scope   todos:write
+ * @permission watcher:self (watcher:manage for other users)
  */
-router.delete('/:todoId/watchers/:watcherId', authenticate, removeWatcher);
+router.delete('/:todoId/watchers/:watcherId', authenticate, requireScope('todos:write'), authorizeTodo('watcher:self'), removeWatcher);
 
-// ============ ACTIVITY LOG ROUTES ============
+// ============ LINK ROUTES ============
+// "A blocks B" keeps B blocked while A is open; see services/dependency.service.js
 
 /**
- * @route   GET /api/todos/:todoId/activity
- * @desc    Get activity log for a todo
+ * @route   GET /api/todos/:todoId/links
+ * @desc    Get a todo's links to other todos
  * @access  Private
+ * @scope   todos:read
+ * @permission todo:view
  */
-router.get('/:todoId/activity', authenticate, getActivityLog);
+router.get('/:todoId/links', authenticate, requireScope('todos:read'), authorizeTodo('todo:view'), getTodoLinks);
 
-// ============ STATISTICS ROUTES ============
+/**
+ * @route   POST /api/todos/:todoId/links
+ * @desc    Link a todo to another todo (links that would form a cycle are refused)
+ * @access  Private
+ * @scope   todos:write
+ * @permission todo:link (on both todos)
+ * @body    { todoId: string, type: 'blocks' | 'blocked-by' | 'duplicates' | 'duplicated-by' | 'relates-to' }
+ */
+router.post('/:todoId/links', authenticate, requireScope('todos:write'), validateTodoLink, authorizeTodo('todo:link'), addTodoLink);
 
 /**
- * @route   GET /api/todos/stats
- * @desc    Get todo statistics for user
+ * @route   DELETE /api/todos/:todoId/links/:linkedTodoId
+ * @desc    Remove the link between two todos
  * @access  Private
+ * @scope   todos:write
+ * @permission todo:link (on both todos)
  */
-router.get('/stats', authenticate, getTodoStats);
+router.delete('/:todoId/links/:linkedTodoId', authenticate, requireScope('todos:write'), authorizeTodo('todo:link'), removeTodoLink);
+
+// ============ ACTIVITY LOG ROUTES ============
 
 /**
- * @route   GET /api/todos/today
- * @desc    Get today's todos
+ * @route   GET /api/todos/:todoId/activity
+ * @desc    Get activity log for a todo
  * @access  Private
+ * @scope   todos:read
+ * @permission todo:view
  */
-router.get('/today', authenticate, getTodayTodos);
+router.get('/:todoId/activity', authenticate, requireScope('todos:read'), authorizeTodo('todo:view'), getActivityLog);
 
 // ============ BULK OPERATION ROUTES ============
 
@@ -325,17 +479,21 @@ router.get('/today', authenticate, getTodayTodos);
  * @route   PATCH /api/todos/bulk/update
  * @desc    Bulk update todos
  * @access  Private
- * @body    { todoIds: [string], updates: object }
+ * @scope   todos:write
+ * @permission todo:update (on every todo)
+ * @body    { todoIds: [string], updates: { title?, description?, priority?, category?, tags?, dueDate?, label? } }
  */
-router.patch('/bulk/update', authenticate, bulkUpdateTodos);
+router.patch('/bulk/update', authenticate, requireScope('todos:write'), validateBulkUpdate, bulkUpdateTodos);
 
 /**
  * @route   DELETE /api/todos/bulk/delete
  * @desc    Bulk delete todos
  * @access  Private
+ * @scope   todos:write
+ * @permission todo:delete (on every todo)
  * @body    { todoIds: [string] }
  */
-router.delete('/bulk/delete', authenticate, bulkDeleteTodos);
+router.delete('/bulk/delete', authenticate, requireScope('todos:write'), validateBulkDelete, bulkDeleteTodos);
 
 // ============ UTILITY ROUTES ============
 
@@ -343,7 +501,9 @@ router.delete('/bulk/delete', authenticate, bulkDeleteTodos);
  * @route   POST /api/todos/:todoId/duplicate
  * @desc    Duplicate a todo
  * @access  Private
+ * @scope   todos:write
+ * @permission todo:view
  */
-router.post('/:todoId/duplicate', authenticate, duplicateTodo);
+router.post('/:todoId/duplicate', authenticate, requireScope('todos:write'), authorizeTodo('todo:view'), duplicateTodo);
 
 module.exports = router;
\ No newline at end of file
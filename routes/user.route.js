@@ -3,16 +3,48 @@ const router = express.Router();
 const {
   initiateGoogleLogin,
   handleGoogleCallback,
+  initiateGitHubLogin,
+  handleGitHubCallback,
+  register,
+  login,
+  verifyTwoFactorLogin,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   refreshAccessToken,
   logout,
   getCurrentUser,
   updateUserProfile,
-  deleteUserAccount
+  deleteUserAccount,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  adminResetTwoFactor,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getUserSecurityEvents,
+  getLinkedIdentities,
+  linkIdentity,
+  unlinkIdentity
 } = require('../controllers/user.controller');
-const { authenticate, rateLimitAuth } = require('../middlewares/auth.middleware');
+const { authenticate, requireSession, requireAdmin, rateLimitAuth } = require('../middlewares/auth.middleware');
 const {
   validateRefreshToken,
-  validateProfileUpdate
+  validateRegister,
+  validateLogin,
+  validateVerificationToken,
+  validatePasswordReset,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateTwoFactorReauth,
+  validateUserId,
+  validateEmail,
+  validateProfileUpdate,
+  validateSessionId,
+  validateProvider
 } = require('../middlewares/user.validator');
 
 // ============ Authentication Routes ============
@@ -31,6 +63,76 @@ router.get('/auth/google', rateLimitAuth(), initiateGoogleLogin);
  */
 router.get('/auth/google/callback', handleGoogleCallback);
 
+/**
+ * @route   GET /api/auth/github
+ * @desc    Initiate GitHub OAuth login
+ * @access  Public
+ */
+router.get('/auth/github', rateLimitAuth(), initiateGitHubLogin);
+
+/**
+ * @route   GET /api/auth/github/callback
+ * @desc    Handle GitHub OAuth redirect (from GitHub)
+ * @access  Public
+ */
+router.get('/auth/github/callback', handleGitHubCallback);
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Register with email and password (sends a verification email)
+ * @access  Public
+ * @body    { email: string, password: string, name: string }
+ */
+router.post('/auth/register', rateLimitAuth(), validateRegister, register);
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Login with email and password
+ * @access  Public
+ * @body    { email: string, password: string }
+ */
+router.post('/auth/login', rateLimitAuth(), validateLogin, login);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete sign-in with a two-factor code or recovery code
+ * @access  Public (requires the challenge from login or the OAuth callback)
+ * @body    { code: string, challengeToken?: string }
+ */
+router.post('/auth/2fa/verify', rateLimitAuth(), validateTwoFactorLogin, verifyTwoFactorLogin);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify email address
+ * @access  Public
+ * @body    { token: string }
+ */
+router.post('/auth/verify-email', validateVerificationToken, verifyEmail);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Resend the email verification link
+ * @access  Public
+ * @body    { email: string }
+ */
+router.post('/auth/resend-verification', rateLimitAuth(), validateEmail, resendVerification);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Send a password reset link
+ * @access  Public
+ * @body    { email: string }
+ */
+router.post('/auth/forgot-password', rateLimitAuth(), validateEmail, forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Reset password with a reset token
+ * @access  Public
+ * @body    { token: string, password: string }
+ */
+router.post('/auth/reset-password', rateLimitAuth(), validatePasswordReset, resetPassword);
+
 /**
  * @route   POST /api/auth/refresh
  * @desc    Refresh access token
@@ -43,7 +145,7 @@ router.post('/auth/refresh', validateRefreshToken, refreshAccessToken);
  * @desc    Logout user
  * @access  Private
  */
-router.post('/auth/logout', authenticate, logout);
+router.post('/auth/logout', authenticate, requireSession, logout);
 
 // ============ User Profile Routes ============
 
@@ -52,20 +154,113 @@ router.post('/auth/logout', authenticate, logout);
  * @desc    Get current user profile
  * @access  Private
  */
-router.get('/users/me', authenticate, getCurrentUser);
+router.get('/users/me', authenticate, requireSession, getCurrentUser);
 
 /**
  * @route   PATCH /api/users/me
  * @desc    Update user profile
  * @access  Private
  */
-router.patch('/users/me', authenticate, validateProfileUpdate, updateUserProfile);
+router.patch('/users/me', authenticate, requireSession, validateProfileUpdate, updateUserProfile);
 
 /**
  * @route   DELETE /api/users/me
  * @desc    Delete user account (soft delete)
  * @access  Private
  */
-router.delete('/users/me', authenticate, deleteUserAccount);
+router.delete('/users/me', authenticate, requireSession, deleteUserAccount);
+
+// ============ Two-Factor Authentication Routes ============
+
+/**
+ * @route   POST /api/users/me/two-factor/setup
+ * @desc    Start two-factor enrollment (returns secret and otpauth URI)
+ * @access  Private
+ */
+router.post('/users/me/two-factor/setup', authenticate, requireSession, setupTwoFactor);
+
+/**
+ * @route   POST /api/users/me/two-factor/confirm
+ * @desc    Confirm enrollment and get recovery codes
+ * @access  Private
+ * @body    { code: string }
+ */
+router.post('/users/me/two-factor/confirm', authenticate, requireSession, validateTwoFactorCode, confirmTwoFactor);
+
+/**
+ * @route   POST /api/users/me/two-factor/recovery-codes
+ * @desc    Regenerate recovery codes
+ * @access  Private
+ * @body    { code: string, password?: string }
+ */
+router.post('/users/me/two-factor/recovery-codes', authenticate, requireSession, validateTwoFactorReauth, regenerateRecoveryCodes);
+
+/**
+ * @route   DELETE /api/users/me/two-factor
+ * @desc    Disable two-factor authentication
+ * @access  Private
+ * @body    { code: string, password?: string }
+ */
+router.delete('/users/me/two-factor', authenticate, requireSession, validateTwoFactorReauth, disableTwoFactor);
+
+/**
+ * @route   DELETE /api/users/:userId/two-factor
+ * @desc    Reset a user's two-factor authentication
+ * @access  Admin
+ */
+router.delete('/users/:userId/two-factor', authenticate, requireSession, requireAdmin, validateUserId, adminResetTwoFactor);
+
+// ============ Session Routes ============
+
+/**
+ * @route   GET /api/users/me/sessions
+ * @desc    Get active sessions (signed-in devices)
+ * @access  Private
+ */
+router.get('/users/me/sessions', authenticate, requireSession, getSessions);
+
+/**
+ * @route   DELETE /api/users/me/sessions
+ * @desc    Revoke all sessions except the current one
+ * @access  Private
+ */
+router.delete('/users/me/sessions', authenticate, requireSession, revokeOtherSessions);
+
+/**
+ * @route   DELETE /api/users/me/sessions/:sessionId
+ * @desc    Revoke a session
+ * @access  Private
+ */
+router.delete('/users/me/sessions/:sessionId', authenticate, requireSession, validateSessionId, revokeSession);
+
+/**
+ * @route   GET /api/users/me/security-events
+ * @desc    Get recent security events (e.g. detected refresh token reuse)
+ * @access  Private
+ */
+router.get('/users/me/security-events', authenticate, requireSession, getUserSecurityEvents);
+
+// ============ Linked Identity Routes ============
+
+/**
+ * @route   GET /api/users/me/identities
+ * @desc    Get linked identity providers
+ * @access  Private
+ */
+router.get('/users/me/identities', authenticate, requireSession, getLinkedIdentities);
+
+/**
+ * @route   POST /api/users/me/identities/:provider
+ * @desc    Start linking an identity provider (returns the provider's OAuth URL)
+ * @access  Private
+ */
+router.post('/users/me/identities/:provider', authenticate, requireSession, validateProvider, linkIdentity);
+
+/**
+ * @route   DELETE /api/users/me/identities/:provider
+ * @desc    Unlink an identity provider
+ * @access  Private
+ */
+router.delete('/users/me/identities/:provider', authenticate, requireSession, validateProvider, unlinkIdentity);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createWebhook,
+  getWebhooks,
+  getWebhookById,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  testWebhook,
+  getWebhookDeliveries
+} = require('../controllers/webhook.controller');
+const { authenticate, requireSession } = require('../middlewares/auth.middleware');
+const {
+  validateWebhookId,
+  validateWebhookCreate,
+  validateWebhookUpdate,
+  validateDeliveryQuery
+} = require('../middlewares/webhook.validator');
+
+// ============ Webhook Routes ============
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Create a webhook subscription
+ * @access  Private
+ * @body    { url: string, events: [string], description?: string }
+ */
+router.post('/webhooks', authenticate, requireSession, validateWebhookCreate, createWebhook);
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    Get all webhooks for user
+ * @access  Private
+ */
+router.get('/webhooks', authenticate, requireSession, getWebhooks);
+
+/**
+ * @route   GET /api/webhooks/:webhookId
+ * @desc    Get a webhook by ID
+ * @access  Private
+ */
+router.get('/webhooks/:webhookId', authenticate, requireSession, validateWebhookId, getWebhookById);
+
+/**
+ * @route   PATCH /api/webhooks/:webhookId
+ * @desc    Update a webhook
+ * @access  Private
+ * @body    { url?, events?, description?, isActive? }
+ */
+router.patch('/webhooks/:webhookId', authenticate, requireSession, validateWebhookUpdate, updateWebhook);
+
+/**
+ * @route   DELETE /api/webhooks/:webhookId
+ * @desc    Delete a webhook and its delivery logs
+ * @access  Private
+ */
+router.delete('/webhooks/:webhookId', authenticate, requireSession, validateWebhookId, deleteWebhook);
+
+/**
+ * @route   POST /api/webhooks/:webhookId/rotate-secret
+ * @desc    Generate a new signing secret
+ * @access  Private
+ */
+router.post('/webhooks/:webhookId/rotate-secret', authenticate, requireSession, validateWebhookId, rotateWebhookSecret);
+
+/**
+ * @route   POST /api/webhooks/:webhookId/test
+ * @desc    Send a test event
+ * @access  Private
+ */
+router.post('/webhooks/:webhookId/test', authenticate, requireSession, validateWebhookId, testWebhook);
+
+/**
+ * @route   GET /api/webhooks/:webhookId/deliveries
+ * @desc    Get delivery logs (paginated)
+ * @access  Private
+ * @query   page, limit, status
+ */
+router.get('/webhooks/:webhookId/deliveries', authenticate, requireSession, validateDeliveryQuery, getWebhookDeliveries);
+
+module.exports = router;
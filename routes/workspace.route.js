@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createWorkspace,
+  getWorkspaces,
+  getWorkspaceById,
+  updateWorkspace,
+  deleteWorkspace,
+  inviteMember,
+  updateMemberRole,
+  removeMember
+} = require('../controllers/workspace.controller');
+const { authenticate, requireSession } = require('../middlewares/auth.middleware');
+const {
+  validateWorkspaceId,
+  validateWorkspaceCreate,
+  validateWorkspaceUpdate,
+  validateMemberInvite,
+  validateMemberRoleUpdate,
+  validateMemberId
+} = require('../middlewares/workspace.validator');
+
+// ============ Workspace Routes ============
+
+/**
+ * @route   POST /api/workspaces
+ * @desc    Create a workspace (creator becomes owner)
+ * @access  Private
+ * @body    { name: string, description?: string }
+ */
+router.post('/workspaces', authenticate, requireSession, validateWorkspaceCreate, createWorkspace);
+
+/**
+ * @route   GET /api/workspaces
+ * @desc    Get workspaces the user belongs to
+ * @access  Private
+ */
+router.get('/workspaces', authenticate, requireSession, getWorkspaces);
+
+/**
+ * @route   GET /api/workspaces/:workspaceId
+ * @desc    Get a workspace with its members
+ * @access  Private (members)
+ */
+router.get('/workspaces/:workspaceId', authenticate, requireSession, validateWorkspaceId, getWorkspaceById);
+
+/**
+ * @route   PATCH /api/workspaces/:workspaceId
+ * @desc    Update a workspace
+ * @access  Private (admin)
+ * @body    { name?, description? }
+ */
+router.patch('/workspaces/:workspaceId', authenticate, requireSession, validateWorkspaceUpdate, updateWorkspace);
+
+/**
+ * @route   DELETE /api/workspaces/:workspaceId
+ * @desc    Delete a workspace (its todos become personal todos)
+ * @access  Private (owner)
+ */
+router.delete('/workspaces/:workspaceId', authenticate, requireSession, validateWorkspaceId, deleteWorkspace);
+
+// ============ Member Routes ============
+
+/**
+ * @route   POST /api/workspaces/:workspaceId/members
+ * @desc    Invite a user by email
+ * @access  Private (admin)
+ * @body    { email: string, role?: 'admin'|'member'|'guest' }
+ */
+router.post('/workspaces/:workspaceId/members', authenticate, requireSession, validateMemberInvite, inviteMember);
+
+/**
+ * @route   PATCH /api/workspaces/:workspaceId/members/:memberId
+ * @desc    Change a member's role
+ * @access  Private (admin; owner for admins)
+ * @body    { role: 'admin'|'member'|'guest' }
+ */
+router.patch('/workspaces/:workspaceId/members/:memberId', authenticate, requireSession, validateMemberRoleUpdate, updateMemberRole);
+
+/**
+ * @route   DELETE /api/workspaces/:workspaceId/members/:memberId
+ * @desc    Remove a member, or leave the workspace with your own ID
+ * @access  Private (admin, or the member themselves)
+ */
+router.delete('/workspaces/:workspaceId/members/:memberId', authenticate, requireSession, validateMemberId, removeMember);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+/**
+ * One-off migration: convert todo categories into projects
+ * Safe to re-run; todos already in a project are left alone
+ * Usage: npm run migrate:categories
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../configs/db.config');
+const { migrateCategoriesToProjects } = require('../services/project.service');
+
+const run = async () => {
+  await connectDB();
+
+  const results = await migrateCategoriesToProjects();
+  const todoCount = results.reduce((sum, result) => sum + result.todoCount, 0);
+
+  results.forEach(({ name, todoCount: count }) => console.log(`📁 ${name}: ${count} todos`));
+  console.log(`✅ Moved ${todoCount} todos into ${results.length} projects`);
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Category migration failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
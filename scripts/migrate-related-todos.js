@@ -0,0 +1,25 @@
+/**
+ * One-off migration: convert the old relatedTodos lists into "relates-to" links on both todos
+ * Safe to re-run; converted todos no longer have relatedTodos
+ * Usage: npm run migrate:related-todos
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../configs/db.config');
+const { migrateRelatedTodos } = require('../services/dependency.service');
+
+const run = async () => {
+  await connectDB();
+
+  const { todoCount, linkCount } = await migrateRelatedTodos();
+
+  console.log(`✅ Converted related todos of ${todoCount} todos into ${linkCount} links`);
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Related todos migration failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
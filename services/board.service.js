@@ -0,0 +1,262 @@
+const Todo = require('../models/todo.model');
+const Project = require('../models/project.model');
+const { ApiError } = require('../middlewares/api.error');
+
+/**
+ * Kanban boards
+ *
+ * A project's board is a list of columns, each showing the todos of one status.
+ * Without configured columns the board has one column per status, identified by the status.
+ * When several columns share a status, a todo shows in the column it was moved to
+ * (boardColumnId), or in the first column of its status.
+ * Cards are ordered by boardPosition; todos without a position come last, oldest first.
+ */
+
+// Gap between positions when a column is renumbered
+const POSITION_STEP = 1024;
+
+// Below this gap between neighbours the column is renumbered before inserting
+const MIN_POSITION_GAP = 1e-6;
+
+// Upper bound on todos loaded for a board
+const MAX_BOARD_TODOS = 1000;
+
+/**
+ * Whether the project has its own board columns
+ */
+const hasConfiguredBoard = (project) => Boolean(project.board && project.board.columns.length > 0);
+
+/**
+ * Get the columns of a project's board
+ * @param {Object} project - Project document
+ * @returns {Array} [{ id, name, status, wipLimit, wipPolicy }]
+ */
+const getBoardColumns = (project) => {
+  if (!hasConfiguredBoard(project)) {
+    return Todo.schema.path('status').enumValues.map(status => ({
+      id: status,
+      name: status,
+      status,
+      wipLimit: null,
+      wipPolicy: 'warn'
+    }));
+  }
+
+  return project.board.columns.map(column => ({
+    id: column._id.toString(),
+    name: column.name,
+    status: column.status,
+    wipLimit: column.wipLimit,
+    wipPolicy: column.wipPolicy
+  }));
+};
+
+/**
+ * Find a column of a project's board
+ * @param {Object} project - Project document
+ * @param {String} columnId - Column ID, or a status on boards without configured columns
+ * @throws {ApiError} 404 when the board has no such column
+ */
+const findBoardColumn = (project, columnId) => {
+  const column = getBoardColumns(project).find(c => c.id === String(columnId));
+
+  if (!column) {
+    throw new ApiError(404, 'Board column not found');
+  }
+
+  return column;
+};
+
+/**
+ * Get the column a todo shows in
+ * @param {Array} columns - Board columns
+ * @param {Object} todo - Todo document or plain object
+ * @returns {Object|null} The column, or null when no column shows the todo's status
+ */
+const resolveBoardColumn = (columns, todo) => {
+  const candidates = columns.filter(column => column.status === todo.status);
+  const columnId = todo.boardColumnId ? todo.boardColumnId.toString() : null;
+
+  return candidates.find(column => column.id === columnId) || candidates[0] || null;
+};
+
+/**
+ * Query for the todos showing in a column
+ * The first column of a status also holds todos whose boardColumnId is not one of the
+ * status's other columns (unset, or a column that was removed)
+ */
+const getColumnFilter = (project, column) => {
+  const filter = { projectId: project._id, isDeleted: false, isArchived: false, parentId: null, status: column.status };
+
+  if (!hasConfiguredBoard(project)) {
+    return filter;
+  }
+
+  const sameStatus = getBoardColumns(project).filter(c => c.status === column.status);
+
+  if (sameStatus[0].id === column.id) {
+    filter.boardColumnId = { $nin: sameStatus.slice(1).map(c => c.id) };
+  } else {
+    filter.boardColumnId = column.id;
+  }
+
+  return filter;
+};
+
+/**
+ * Check whether a todo entering a column takes it over its WIP limit
+ * @param {Object} project - Project document
+ * @param {Object} column - Target column
+ * @param {Object} todo - Todo entering the column
+ * @returns {String|null} Warning when the column is over its limit under the "warn" policy
+ * @throws {ApiError} 409 when the column is full under the "reject" policy
+ */
+const checkWipLimit = async (project, column, todo) => {
+  if (!column.wipLimit) return null;
+
+  const count = await Todo.countDocuments({ ...getColumnFilter(project, column), _id: { $ne: todo._id } });
+  if (count < column.wipLimit) return null;
+
+  if (column.wipPolicy === 'reject') {
+    const error = new ApiError(
+      409,
+      `Column "${column.name}" is at its WIP limit of ${column.wipLimit}. Finish or move a todo out of it first`
+    );
+    error.errors = [{ columnId: column.id, wipLimit: column.wipLimit, count }];
+    throw error;
+  }
+
+  return `column "${column.name}" is over its WIP limit (${count + 1}/${column.wipLimit})`;
+};
+
+/**
+ * Put a todo whose status just changed into a column of its new status, checking the column's WIP limit
+ * It goes after the cards that have a position in that column
+ * Every status change outside board moves goes through here
+ * @param {Object} todo - Todo document, with its new status set
+ * @param {Object} options - enforceLimit: false reports a full "reject" column as a warning instead
+ *                           (for automatic changes such as dependency blocking, which cannot be refused)
+ * @returns {String|null} WIP limit warning (see checkWipLimit)
+ */
+const placeInStatusColumn = async (todo, { enforceLimit = true } = {}) => {
+  todo.boardColumnId = null;
+  todo.boardPosition = null;
+
+  const project = todo.projectId && await Project.findById(todo.projectId);
+  if (!project || !hasConfiguredBoard(project)) return null;
+
+  const column = resolveBoardColumn(getBoardColumns(project), todo);
+  if (!column) return null;
+
+  todo.boardColumnId = column.id;
+
+  if (enforceLimit) {
+    return checkWipLimit(project, column, todo);
+  }
+
+  return checkWipLimit(project, { ...column, wipPolicy: 'warn' }, todo);
+};
+
+/**
+ * Sort todos in board order: by position, then todos without a position, oldest first
+ */
+const compareBoardOrder = (a, b) => {
+  if (a.boardPosition !== b.boardPosition) {
+    if (a.boardPosition === null || a.boardPosition === undefined) return 1;
+    if (b.boardPosition === null || b.boardPosition === undefined) return -1;
+    return a.boardPosition - b.boardPosition;
+  }
+
+  return new Date(a.createdAt) - new Date(b.createdAt);
+};
+
+/**
+ * Get the position that places a todo at an index of a column
+ * Uses the midpoint between the neighbours; the column is renumbered first when
+ * the neighbours have no position or are too close together
+ * @param {Object} project - Project document
+ * @param {Object} column - Target column
+ * @param {Object} todo - Todo being placed (left out of the column's current order)
+ * @param {Number} index - Zero-based index (default: end of the column)
+ * @returns {Number} boardPosition for the todo
+ */
+const getBoardPosition = async (project, column, todo, index) => {
+  const todos = (await Todo.find({ ...getColumnFilter(project, column), _id: { $ne: todo._id } })
+    .select('boardPosition createdAt')
+    .limit(MAX_BOARD_TODOS)
+    .lean())
+    .sort(compareBoardOrder);
+
+  const at = index === undefined ? todos.length : Math.min(index, todos.length);
+  const before = todos[at - 1];
+  const after = todos[at];
+
+  const hasPosition = (t) => t.boardPosition !== null && t.boardPosition !== undefined;
+  const low = before ? before.boardPosition : 0;
+  const high = after && hasPosition(after) ? after.boardPosition : null;
+
+  if ((!before || hasPosition(before)) && (high === null || high - low > MIN_POSITION_GAP)) {
+    return high === null ? low + POSITION_STEP : (low + high) / 2;
+  }
+
+  await Todo.bulkWrite(todos.map((t, i) => ({
+    updateOne: {
+      filter: { _id: t._id },
+      update: { $set: { boardPosition: (i + 1) * POSITION_STEP } }
+    }
+  })));
+
+  return at * POSITION_STEP + POSITION_STEP / 2;
+};
+
+/**
+ * Get a project's board: its todos grouped by column, in board order
+ * @param {Object} project - Project document
+ * @returns {Object} { projectId, configured, columns, unmapped }
+ */
+const getBoard = async (project) => {
+  const columns = getBoardColumns(project);
+
+  const todos = await Todo.find({ projectId: project._id, isDeleted: false, isArchived: false, parentId: null })
+    .populate('assignee', 'name email profilePicture')
+    .sort({ createdAt: 1 })
+    .limit(MAX_BOARD_TODOS)
+    .lean();
+
+  const byColumn = new Map(columns.map(column => [column.id, []]));
+  const unmapped = [];
+
+  todos.forEach(todo => {
+    const column = resolveBoardColumn(columns, todo);
+    (column ? byColumn.get(column.id) : unmapped).push(todo);
+  });
+
+  return {
+    projectId: project._id,
+    configured: hasConfiguredBoard(project),
+    columns: columns.map(column => {
+      const cards = byColumn.get(column.id).sort(compareBoardOrder);
+
+      return {
+        ...column,
+        count: cards.length,
+        overLimit: Boolean(column.wipLimit) && cards.length > column.wipLimit,
+        todos: cards
+      };
+    }),
+    // Todos whose status no column shows
+    unmapped: unmapped.sort(compareBoardOrder)
+  };
+};
+
+module.exports = {
+  MAX_BOARD_TODOS,
+  hasConfiguredBoard,
+  getBoardColumns,
+  findBoardColumn,
+  resolveBoardColumn,
+  checkWipLimit,
+  placeInStatusColumn,
+  getBoardPosition,
+  getBoard
+};
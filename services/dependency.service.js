@@ -0,0 +1,320 @@
+const Todo = require('../models/todo.model');
+const { ApiError } = require('../middlewares/api.error');
+const { todoEvents, emitTodoEvent } = require('./event.service');
+const { dispatchNotification } = require('./notification.service');
+const { placeInStatusColumn } = require('./board.service');
+
+/**
+ * Todo links
+ *
+ *   A blocks B        B cannot be completed until A is; B is "blocked" while A is open
+ *   A duplicates B    A is a duplicate of B
+ *   A relates-to B    no semantics
+ *
+ * A link is stored on both todos: "A blocks B" is { todoId: B, type: 'blocks' } on A
+ * and { todoId: A, type: 'blocked-by' } on B
+ */
+const INVERSE_LINK_TYPES = {
+  'blocks': 'blocked-by',
+  'blocked-by': 'blocks',
+  'duplicates': 'duplicated-by',
+  'duplicated-by': 'duplicates',
+  'relates-to': 'relates-to'
+};
+
+const LINK_TYPES = Object.keys(INVERSE_LINK_TYPES);
+
+// Statuses that become "blocked" while a blocker is open
+const BLOCKABLE_STATUSES = ['todo', 'in-progress'];
+
+// Upper bound on todos visited when checking a new link for cycles
+const MAX_GRAPH_SIZE = 1000;
+
+const getLinkedIds = (todo, type) => (todo.links || [])
+  .filter(link => link.type === type)
+  .map(link => link.todoId);
+
+/**
+ * Check whether adding "from -[type]-> to" would close a cycle,
+ * i.e. "to" already reaches "from" through links of the same type
+ * @param {String} fromId - Source todo ID
+ * @param {String} toId - Target todo ID
+ * @param {String} type - 'blocks' or 'duplicates'
+ * @returns {Boolean}
+ */
+const createsCycle = async (fromId, toId, type) => {
+  const visited = new Set([toId.toString()]);
+  let frontier = [toId];
+
+  while (frontier.length > 0) {
+    const todos = await Todo.find({ _id: { $in: frontier }, isDeleted: false }).select('links');
+    frontier = [];
+
+    for (const todo of todos) {
+      for (const nextId of getLinkedIds(todo, type)) {
+        const id = nextId.toString();
+
+        if (id === fromId.toString()) return true;
+        if (visited.has(id)) continue;
+
+        visited.add(id);
+        frontier.push(nextId);
+      }
+    }
+
+    if (visited.size > MAX_GRAPH_SIZE) {
+      throw new ApiError(400, 'Too many linked todos to check this link for cycles');
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Link two todos
+ * "blocked-by" and "duplicated-by" are stored as the inverse link from the other todo,
+ * so cycle checks always run in the blocks/duplicates direction
+ * @param {Object} todo - Todo document the link is added from
+ * @param {Object} target - Todo document the link points to
+ * @param {String} type - Link type
+ * @param {String} userId - User creating the link
+ */
+const linkTodos = async (todo, target, type, userId) => {
+  if (todo._id.equals(target._id)) {
+    throw new ApiError(400, 'A todo cannot be linked to itself');
+  }
+
+  if (todo.links.some(link => link.todoId.equals(target._id))) {
+    throw new ApiError(409, 'These todos are already linked; remove the existing link first');
+  }
+
+  const [from, to, directedType] = ['blocked-by', 'duplicated-by'].includes(type)
+    ? [target, todo, INVERSE_LINK_TYPES[type]]
+    : [todo, target, type];
+
+  if (directedType !== 'relates-to' && await createsCycle(from._id, to._id, directedType)) {
+    throw new ApiError(400, `Cannot link: "${to.title}" already ${directedType} "${from.title}" (directly or indirectly)`);
+  }
+
+  const createdAt = new Date();
+  from.links.push({ todoId: to._id, type: directedType, createdBy: userId, createdAt });
+  to.links.push({ todoId: from._id, type: INVERSE_LINK_TYPES[directedType], createdBy: userId, createdAt });
+
+  await Promise.all([from.save(), to.save()]);
+
+  if (directedType === 'blocks') {
+    await syncBlockedStatus(to, userId);
+  }
+};
+
+/**
+ * Remove the link between two todos (from both sides)
+ * @param {Object} todo - Todo document
+ * @param {Object} target - Linked todo document, or null if it no longer exists
+ * @param {String} targetId - Linked todo ID
+ * @param {String} userId - User removing the link
+ * @returns {Object} The removed link, as stored on todo
+ */
+const unlinkTodos = async (todo, target, targetId, userId) => {
+  const link = todo.links.find(l => l.todoId.equals(targetId));
+  if (!link) {
+    throw new ApiError(404, 'These todos are not linked');
+  }
+
+  todo.links.pull(link._id);
+  await todo.save();
+
+  if (target) {
+    target.links = target.links.filter(l => !l.todoId.equals(todo._id));
+    await target.save();
+  }
+
+  // The todo that was blocked may be free now
+  if (link.type === 'blocked-by') {
+    await syncBlockedStatus(todo, userId);
+  } else if (link.type === 'blocks' && target) {
+    await syncBlockedStatus(target, userId);
+  }
+
+  return link;
+};
+
+/**
+ * Get the blockers of a todo that are not completed yet
+ * @param {Object} todo - Todo document
+ * @returns {Array} Todo documents (title, status)
+ */
+const getOpenBlockers = (todo) => {
+  const blockerIds = getLinkedIds(todo, 'blocked-by');
+  if (blockerIds.length === 0) return Promise.resolve([]);
+
+  return Todo.find({
+    _id: { $in: blockerIds },
+    completed: false,
+    status: { $ne: 'completed' },
+    isDeleted: false
+  }).select('title status');
+};
+
+/**
+ * Refuse to complete a todo while its blockers are open, unless forced
+ * @param {Object} todo - Todo document
+ * @param {Boolean} force - Complete anyway (?force=true)
+ * @returns {Array} The open blockers (completion was forced when not empty)
+ */
+const checkOpenBlockers = async (todo, force = false) => {
+  const blockers = await getOpenBlockers(todo);
+
+  if (blockers.length > 0 && !force) {
+    const error = new ApiError(
+      409,
+      `Todo is blocked by ${blockers.length} open todo(s). Complete them first or pass ?force=true`
+    );
+    error.errors = blockers.map(blocker => ({ todoId: blocker._id, title: blocker.title, status: blocker.status }));
+    throw error;
+  }
+
+  return blockers;
+};
+
+/**
+ * Move a todo to "blocked" while it has open blockers, and back to "todo" once they are all completed
+ * Completed, on-hold and manually blocked todos are left alone
+ * @param {Object} todo - Todo document
+ * @param {String} actorId - User whose change triggered the sync
+ * @returns {Boolean} Whether the status changed
+ */
+const syncBlockedStatus = async (todo, actorId) => {
+  if (todo.completed || todo.isDeleted) return false;
+
+  const blockers = await getOpenBlockers(todo);
+  const previousStatus = todo.status;
+
+  if (blockers.length > 0 && BLOCKABLE_STATUSES.includes(todo.status)) {
+    todo.status = 'blocked';
+    todo.blockedByDependencies = true;
+  } else if (blockers.length === 0 && todo.status === 'blocked' && todo.blockedByDependencies) {
+    todo.status = 'todo';
+    todo.blockedByDependencies = false;
+  } else {
+    return false;
+  }
+
+  const changes = { status: { old: previousStatus, new: todo.status } };
+
+  // Blocking follows the dependencies even when the target board column is full
+  const wipWarning = await placeInStatusColumn(todo, { enforceLimit: false });
+
+  todo.activityLog.push({
+    action: 'status-changed',
+    userId: actorId,
+    changes: { ...changes, reason: 'dependencies', ...(wipWarning && { wipWarning }) },
+    timestamp: new Date()
+  });
+
+  await todo.save();
+
+  emitTodoEvent('todo.updated', todo, actorId, { changes });
+
+  dispatchNotification({
+    type: 'todo.status-changed',
+    todo,
+    actorId,
+    data: { from: previousStatus, to: todo.status }
+  });
+
+  return true;
+};
+
+/**
+ * Re-check the todos a todo blocks after it was completed, reopened or deleted
+ * @param {Object} todo - Todo (document or plain object) that changed
+ * @param {String} actorId - User who changed it
+ */
+const syncBlockedTodos = async (todo, actorId) => {
+  const blockedIds = getLinkedIds(todo, 'blocks');
+  if (blockedIds.length === 0) return;
+
+  const blockedTodos = await Todo.find({ _id: { $in: blockedIds }, isDeleted: false });
+
+  for (const blockedTodo of blockedTodos) {
+    await syncBlockedStatus(blockedTodo, actorId);
+  }
+};
+
+/**
+ * Whether an event can change whether the todos a todo blocks are blocked
+ */
+const affectsBlockedTodos = ({ type, data }) => {
+  if (type === 'todo.completed' || type === 'todo.deleted') return true;
+
+  const status = type === 'todo.updated' && data.changes && data.changes.status;
+  return Boolean(status) && (status.old === 'completed' || status.new === 'completed');
+};
+
+todoEvents.on('event', (event) => {
+  if (!affectsBlockedTodos(event)) return;
+
+  syncBlockedTodos(event.todo, event.actorId).catch(error => {
+    console.error('Failed to update blocked todos:', error);
+  });
+});
+
+// ============ RELATED TODOS MIGRATION ============
+
+/**
+ * Add a link to a todo unless it is already linked to the target
+ * @returns {Boolean} Whether the link was added
+ */
+const addLinkIfMissing = async (todoId, targetId, type, createdBy, createdAt) => {
+  const result = await Todo.updateOne(
+    { _id: todoId, 'links.todoId': { $ne: targetId } },
+    { $push: { links: { todoId: targetId, type, createdBy, createdAt } } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Convert the old untyped relatedTodos lists into "relates-to" links on both todos
+ * Todos already linked in either direction keep their existing link; the old field is removed
+ * once converted, so re-running only picks up what is left
+ * @returns {Object} { todoCount, linkCount }
+ */
+const migrateRelatedTodos = async () => {
+  // relatedTodos is no longer in the schema, so read the raw documents
+  const cursor = Todo.collection.find(
+    { relatedTodos: { $exists: true } },
+    { projection: { userId: 1, relatedTodos: 1, createdAt: 1 } }
+  );
+
+  let todoCount = 0;
+  let linkCount = 0;
+
+  for await (const todo of cursor) {
+    const relatedIds = (todo.relatedTodos || []).filter(id => id && !id.equals(todo._id));
+    const existing = await Todo.find({ _id: { $in: relatedIds } }).select('_id');
+    const createdAt = todo.createdAt || new Date();
+
+    for (const { _id: relatedId } of existing) {
+      if (await addLinkIfMissing(todo._id, relatedId, 'relates-to', todo.userId, createdAt)) linkCount += 1;
+      if (await addLinkIfMissing(relatedId, todo._id, INVERSE_LINK_TYPES['relates-to'], todo.userId, createdAt)) linkCount += 1;
+    }
+
+    await Todo.collection.updateOne({ _id: todo._id }, { $unset: { relatedTodos: '' } });
+    todoCount += 1;
+  }
+
+  return { todoCount, linkCount };
+};
+
+module.exports = {
+  LINK_TYPES,
+  INVERSE_LINK_TYPES,
+  linkTodos,
+  unlinkTodos,
+  getOpenBlockers,
+  checkOpenBlockers,
+  syncBlockedStatus,
+  migrateRelatedTodos
+};
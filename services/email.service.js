@@ -13,6 +13,19 @@ const createTransporter = () => {
   });
 };
 
+/**
+ * Escape a value for HTML email bodies
+ * Names, todo titles and comments are written by other users, so they are never trusted as markup
+ * @param {*} value - Value to interpolate
+ * @returns {String} HTML-safe text
+ */
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * Send email
  * @param {Object} options - Email options
@@ -79,7 +92,7 @@ const sendWelcomeEmail = async (email, name) => {
           <h1>Welcome to Todo App! 🎉</h1>
         </div>
         <div class="content">
-          <p>Hi <strong>${name}</strong>,</p>
+          <p>Hi <strong>${escapeHtml(name)}</strong>,</p>
           <p>We're thrilled to have you join our community! Your account has been successfully created.</p>
           <p>With Todo App, you can:</p>
           <ul>
@@ -142,8 +155,221 @@ const sendPasswordResetEmail = async (email, resetToken) => {
   return sendEmail({ to: email, subject, text, html });
 };
 
+/**
+ * Send email address verification email
+ * @param {String} email - User email
+ * @param {String} name - User name
+ * @param {String} verificationToken - Email verification token
+ */
+const sendVerificationEmail = async (email, name, verificationToken) => {
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+
+  const subject = 'Verify your email address';
+
+  const text = `
+    Hi ${name},
+
+    Please confirm your email address to finish setting up your Todo App account:
+    ${verifyUrl}
+
+    This link will expire in 24 hours.
+
+    If you didn't create an account, please ignore this email.
+  `;
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2>Verify your email address</h2>
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Please confirm your email address to finish setting up your Todo App account:</p>
+        <a href="${verifyUrl}" style="display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0;">Verify Email</a>
+        <p>This link will expire in 24 hours.</p>
+        <p>If you didn't create an account, please ignore this email.</p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail({ to: email, subject, text, html });
+};
+
+/**
+ * Send todo invitation email to someone without an account
+ * @param {String} email - Invitee email
+ * @param {Object} invitation - { inviterName, todoTitle, permissions, token, expiresAt }
+ */
+const sendInvitationEmail = async (email, invitation) => {
+  const acceptUrl = `${process.env.FRONTEND_URL}/invitations/accept?token=${invitation.token}`;
+  const expiresAt = new Date(invitation.expiresAt).toUTCString();
+
+  const subject = `${invitation.inviterName} shared "${invitation.todoTitle}" with you`;
+
+  const text = `
+    Hi,
+
+    ${invitation.inviterName} shared the todo "${invitation.todoTitle}" with you (${invitation.permissions} access) on Todo App.
+
+    Create an account or sign in with this email address to open it:
+    ${acceptUrl}
+
+    This invitation expires on ${expiresAt}.
+  `;
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2>You've been invited to a todo</h2>
+        <p><strong>${escapeHtml(invitation.inviterName)}</strong> shared <strong>"${escapeHtml(invitation.todoTitle)}"</strong> with you (${escapeHtml(invitation.permissions)} access) on Todo App.</p>
+        <p>Create an account or sign in with this email address to open it:</p>
+        <a href="${acceptUrl}" style="display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0;">Accept Invitation</a>
+        <p>This invitation expires on ${expiresAt}.</p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail({ to: email, subject, text, html });
+};
+
+/**
+ * Send security alert email
+ * @param {String} email - User email
+ * @param {String} name - User name
+ * @param {Object} alert - { message, ip, deviceLabel, occurredAt }
+ */
+const sendSecurityAlertEmail = async (email, name, alert) => {
+  const sessionsUrl = `${process.env.FRONTEND_URL}/app/settings/security`;
+  const occurredAt = new Date(alert.occurredAt).toUTCString();
+
+  const subject = 'Security alert for your Todo App account';
+
+  const text = `
+    Hi ${name},
+
+    ${alert.message}
+
+    When: ${occurredAt}
+    Device: ${alert.deviceLabel}
+    IP address: ${alert.ip}
+
+    If this wasn't you, review your active sessions and sign out of any you don't recognize:
+    ${sessionsUrl}
+  `;
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2>🚨 Security alert</h2>
+        <p>Hi <strong>${escapeHtml(name)}</strong>,</p>
+        <p>${escapeHtml(alert.message)}</p>
+        <ul>
+          <li><strong>When:</strong> ${occurredAt}</li>
+          <li><strong>Device:</strong> ${escapeHtml(alert.deviceLabel)}</li>
+          <li><strong>IP address:</strong> ${escapeHtml(alert.ip)}</li>
+        </ul>
+        <p>If this wasn't you, review your active sessions and sign out of any you don't recognize.</p>
+        <a href="${sessionsUrl}" style="display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0;">Review Sessions</a>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail({ to: email, subject, text, html });
+};
+
+/**
+ * Send todo/subtask reminder email
+ * @param {String} email - Recipient email
+ * @param {String} name - Recipient name
+ * @param {Object} reminder - { title, parentTitle, dueDate, todoId }
+ */
+const sendReminderEmail = async (email, name, reminder) => {
+  const todoUrl = `${process.env.FRONTEND_URL}/app/todos/${reminder.todoId}`;
+  const taskLabel = reminder.parentTitle
+    ? `${reminder.title} (subtask of ${reminder.parentTitle})`
+    : reminder.title;
+  const dueText = reminder.dueDate
+    ? `It is due on ${new Date(reminder.dueDate).toUTCString()}.`
+    : '';
+
+  const subject = `Reminder: ${reminder.title}`;
+
+  const text = `
+    Hi ${name},
+    
+    This is your reminder for: ${taskLabel}
+    ${dueText}
+    
+    View it here: ${todoUrl}
+  `;
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2>🔔 Reminder</h2>
+        <p>Hi <strong>${escapeHtml(name)}</strong>,</p>
+        <p>This is your reminder for: <strong>${escapeHtml(taskLabel)}</strong></p>
+        ${dueText ? `<p>${escapeHtml(dueText)}</p>` : ''}
+        <a href="${todoUrl}" style="display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0;">View Todo</a>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail({ to: email, subject, text, html });
+};
+
+/**
+ * Send todo activity notification email
+ * @param {String} email - Recipient email
+ * @param {String} name - Recipient name
+ * @param {Object} notification - { subject, message, todoId }
+ */
+const sendNotificationEmail = async (email, name, notification) => {
+  const todoUrl = `${process.env.FRONTEND_URL}/app/todos/${notification.todoId}`;
+
+  const text = `
+    Hi ${name},
+    
+    ${notification.message}
+    
+    View it here: ${todoUrl}
+  `;
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2>${escapeHtml(notification.subject)}</h2>
+        <p>Hi <strong>${escapeHtml(name)}</strong>,</p>
+        <p>${escapeHtml(notification.message)}</p>
+        <a href="${todoUrl}" style="display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0;">View Todo</a>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return sendEmail({ to: email, subject: notification.subject, text, html });
+};
+
 module.exports = {
+  escapeHtml,
   sendEmail,
   sendWelcomeEmail,
-  sendPasswordResetEmail
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendSecurityAlertEmail,
+  sendInvitationEmail,
+  sendReminderEmail,
+  sendNotificationEmail
 };
\ No newline at end of file
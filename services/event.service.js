@@ -0,0 +1,30 @@
+const EventEmitter = require('events');
+
+/**
+ * In-process hub for todo events
+ * Controllers emit events here; delivery services (real-time stream, ...) subscribe to 'event'
+ */
+const todoEvents = new EventEmitter();
+todoEvents.setMaxListeners(0);
+
+/**
+ * Emit a todo event
+ * @param {String} type - e.g. todo.created, todo.updated, todo.completed, todo.deleted, todo.assigned, comment.added
+ * @param {Object} todo - Todo document after the change
+ * @param {String} actorId - User who made the change
+ * @param {Object} data - Extra event data (e.g. the new comment)
+ */
+const emitTodoEvent = (type, todo, actorId, data = {}) => {
+  todoEvents.emit('event', {
+    type,
+    todo,
+    actorId: actorId ? actorId.toString() : null,
+    data,
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  todoEvents,
+  emitTodoEvent
+};
@@ -0,0 +1,141 @@
+const Invitation = require('../models/invitation.model');
+const Todo = require('../models/todo.model');
+const User = require('../models/user.model');
+const { generateInvitationToken } = require('../configs/jwt.config');
+const { sendInvitationEmail } = require('./email.service');
+const { dispatchNotification } = require('./notification.service');
+const { hashToken } = require('../utils/token.util');
+
+const INVITATION_TTL_SECONDS = (parseInt(process.env.INVITATION_TTL_DAYS) || 7) * 24 * 60 * 60;
+
+/**
+ * Issue a fresh token for an invitation and email it
+ * Extends the expiry and invalidates previously sent tokens
+ * Email failures are logged so the invitation is still saved
+ * @param {Object} invitation - Invitation document
+ * @param {Object} todo - Todo the invitation is for
+ * @returns {Object} Saved invitation
+ */
+const sendInvitation = async (invitation, todo) => {
+  const token = generateInvitationToken(
+    { id: invitation._id.toString(), email: invitation.email },
+    INVITATION_TTL_SECONDS
+  );
+
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_SECONDS * 1000);
+  invitation.sentCount += 1;
+  invitation.lastSentAt = new Date();
+  await invitation.save();
+
+  try {
+    const inviter = await User.findById(invitation.invitedBy).select('name');
+
+    await sendInvitationEmail(invitation.email, {
+      inviterName: inviter ? inviter.name : 'Someone',
+      todoTitle: todo.title,
+      permissions: invitation.permissions,
+      token,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    console.error('Failed to send invitation email:', error);
+  }
+
+  return invitation;
+};
+
+/**
+ * Create and send an invitation for an email address without an account
+ * @param {Object} todo - Todo document
+ * @param {String} email - Invitee email
+ * @param {String} permissions - view | edit | admin
+ * @param {String} invitedBy - Inviting user ID
+ * @returns {Object} Invitation document
+ */
+const createInvitation = (todo, email, permissions, invitedBy) => {
+  const invitation = new Invitation({
+    todoId: todo._id,
+    invitedBy,
+    email,
+    permissions,
+    tokenHash: 'pending',
+    expiresAt: new Date()
+  });
+
+  return sendInvitation(invitation, todo);
+};
+
+/**
+ * Accept an invitation for a user, adding them to the todo's sharedWith
+ * Claims the invitation atomically so it is only applied once
+ * @param {Object} invitation - Invitation document
+ * @param {Object} user - Accepting user document
+ * @returns {Boolean} Whether the invitation was accepted
+ */
+const acceptInvitation = async (invitation, user) => {
+  const claimed = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, status: 'pending', expiresAt: { $gt: new Date() } },
+    { status: 'accepted', acceptedBy: user._id, acceptedAt: new Date() },
+    { new: true }
+  );
+
+  if (!claimed) return false;
+
+  const todo = await Todo.findOneAndUpdate(
+    {
+      _id: claimed.todoId,
+      isDeleted: false,
+      userId: { $ne: user._id },
+      'sharedWith.userId': { $ne: user._id }
+    },
+    { $push: { sharedWith: { userId: user._id, permissions: claimed.permissions, sharedAt: new Date() } } },
+    { new: true }
+  );
+
+  if (todo) {
+    dispatchNotification({
+      type: 'todo.shared',
+      todo,
+      actorId: claimed.invitedBy,
+      recipientIds: [user._id.toString()],
+      data: { permissions: claimed.permissions }
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Accept every pending invitation sent to a user's email address
+ * Called when a user signs in; only verified addresses qualify
+ * Never throws: sign-in must not fail because of an invitation
+ * @param {Object} user - User document
+ * @returns {Number} Number of invitations accepted
+ */
+const acceptPendingInvitations = async (user) => {
+  if (!user.isEmailVerified) return 0;
+
+  try {
+    const invitations = await Invitation.findPendingByEmail(user.email);
+    let accepted = 0;
+
+    for (const invitation of invitations) {
+      if (await acceptInvitation(invitation, user)) {
+        accepted += 1;
+      }
+    }
+
+    return accepted;
+  } catch (error) {
+    console.error('Failed to accept pending invitations:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  createInvitation,
+  sendInvitation,
+  acceptInvitation,
+  acceptPendingInvitations
+};
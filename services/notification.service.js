@@ -0,0 +1,245 @@
+const Todo = require('../models/todo.model');
+const User = require('../models/user.model');
+const Notification = require('../models/notification.model');
+const { sendNotificationEmail } = require('./email.service');
+
+// Comma-separated list of delivery channels, e.g. "in-app,email,console"
+const NOTIFICATION_CHANNELS = (process.env.NOTIFICATION_CHANNELS || 'in-app,email')
+  .split(',')
+  .map(channel => channel.trim())
+  .filter(Boolean);
+
+const DUE_DATE_CHECK_INTERVAL_MS = parseInt(process.env.DUE_DATE_CHECK_INTERVAL_MS) || 5 * 60 * 1000; // 5 minutes
+const DUE_SOON_WINDOW_MS = (parseInt(process.env.DUE_SOON_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * notificationSettings flag that controls each event type
+ * Event types without a flag are always delivered
+ */
+const SETTINGS_BY_TYPE = {
+  'todo.due-soon': 'notifyOnDueDate',
+  'todo.overdue': 'notifyOnDueDate',
+  'todo.status-changed': 'notifyOnStatusChange',
+  'comment.added': 'notifyOnComment'
+};
+
+/**
+ * Build the subject and message for an event
+ * @param {Object} event - { type, todo, actor, data }
+ * @returns {Object} { subject, message }
+ */
+const buildMessage = ({ type, todo, actor, data = {} }) => {
+  const actorName = actor ? actor.name : 'Someone';
+
+  switch (type) {
+    case 'todo.due-soon':
+      return {
+        subject: `Due soon: ${todo.title}`,
+        message: `"${todo.title}" is due on ${todo.dueDate.toUTCString()}.`
+      };
+    case 'todo.overdue':
+      return {
+        subject: `Overdue: ${todo.title}`,
+        message: `"${todo.title}" was due on ${todo.dueDate.toUTCString()} and is not completed yet.`
+      };
+    case 'todo.status-changed':
+      return {
+        subject: `Status changed: ${todo.title}`,
+        message: `${actorName} changed the status of "${todo.title}" from ${data.from} to ${data.to}.`
+      };
+    case 'comment.added':
+      return {
+        subject: `New comment on ${todo.title}`,
+        message: `${actorName} commented on "${todo.title}": ${data.text}`
+      };
+    case 'comment.mentioned':
+      return {
+        subject: `${actorName} mentioned you`,
+        message: `${actorName} mentioned you in a comment on "${todo.title}": ${data.text}`
+      };
+    case 'todo.assigned':
+      return {
+        subject: `Assigned to you: ${todo.title}`,
+        message: `${actorName} assigned "${todo.title}" to you.`
+      };
+    case 'todo.shared':
+      return {
+        subject: `${actorName} shared a todo with you`,
+        message: `${actorName} shared "${todo.title}" with you (${data.permissions} access).`
+      };
+    case 'todo.watching':
+      return {
+        subject: `You are now watching ${todo.title}`,
+        message: `${actorName} added you as a watcher of "${todo.title}".`
+      };
+    default:
+      return {
+        subject: `Update on ${todo.title}`,
+        message: `"${todo.title}" was updated.`
+      };
+  }
+};
+
+// ============ DELIVERY CHANNELS ============
+
+/**
+ * Delivery channels
+ * Each handler receives { type, todo, actor, recipients, subject, message, data }
+ */
+const channels = {
+  email: async ({ recipients, todo, subject, message }) => {
+    await Promise.all(recipients.map(recipient => sendNotificationEmail(recipient.email, recipient.name, {
+      subject,
+      message,
+      todoId: todo._id
+    })));
+  },
+
+  // Stored in the Notification collection for the in-app inbox
+  'in-app': async ({ type, todo, actor, recipients, subject, message, data }) => {
+    await Notification.insertMany(recipients.map(recipient => ({
+      userId: recipient._id,
+      actorId: actor ? actor._id : null,
+      type,
+      todoId: todo._id,
+      title: subject,
+      message,
+      data
+    })));
+  },
+
+  console: async ({ recipients, subject }) => {
+    console.log(`📣 ${subject} -> ${recipients.map(r => r.email).join(', ')}`);
+  }
+};
+
+/**
+ * Register an additional delivery channel
+ * @param {String} name - Channel name (enable it via NOTIFICATION_CHANNELS)
+ * @param {Function} handler - async (notification) => void
+ */
+const registerNotificationChannel = (name, handler) => {
+  channels[name] = handler;
+};
+
+// ============ DISPATCH ============
+
+/**
+ * Default audience for todo events: owner, assignee and watchers
+ */
+const getTodoAudience = (todo) => {
+  return [todo.userId, todo.assignee, ...(todo.watchers || [])]
+    .filter(Boolean)
+    .map(id => (id._id || id).toString());
+};
+
+/**
+ * Send a notification about a todo to everyone involved
+ * Honors the todo's notificationSettings and never notifies the actor about their own action
+ * Never rejects: delivery errors are logged
+ * @param {Object} event - { type, todo, actorId, recipientIds, data }
+ */
+const dispatchNotification = async ({ type, todo, actorId = null, recipientIds, data = {} }) => {
+  try {
+    const setting = SETTINGS_BY_TYPE[type];
+    if (setting && todo.notificationSettings && todo.notificationSettings[setting] === false) {
+      return;
+    }
+
+    const ids = [...new Set((recipientIds || getTodoAudience(todo)).map(id => id.toString()))]
+      .filter(id => id !== String(actorId));
+
+    if (ids.length === 0) return;
+
+    const [recipients, actor] = await Promise.all([
+      User.find({ _id: { $in: ids }, isActive: true }).select('name email'),
+      actorId ? User.findById(actorId).select('name email profilePicture') : null
+    ]);
+
+    if (recipients.length === 0) return;
+
+    const notification = { type, todo, actor, recipients, data, ...buildMessage({ type, todo, actor, data }) };
+
+    for (const name of NOTIFICATION_CHANNELS) {
+      if (!channels[name]) {
+        console.warn(`⚠️  Unknown notification channel "${name}"`);
+        continue;
+      }
+
+      try {
+        await channels[name](notification);
+      } catch (error) {
+        console.error(`Failed to deliver ${type} notification via ${name}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error(`Failed to dispatch ${type} notification:`, error);
+  }
+};
+
+// ============ DUE DATE MONITOR ============
+
+/**
+ * Send due-soon and overdue notifications for todos that crossed those thresholds
+ * Each todo is claimed atomically so a notification is only sent once per due date
+ */
+const checkDueDates = async () => {
+  const now = new Date();
+  const baseQuery = {
+    isDeleted: false,
+    isArchived: false,
+    completed: false,
+    'notificationSettings.notifyOnDueDate': { $ne: false }
+  };
+
+  const transitions = [
+    {
+      type: 'todo.due-soon',
+      field: 'dueNotifications.dueSoonSentAt',
+      query: { dueDate: { $gt: now, $lte: new Date(now.getTime() + DUE_SOON_WINDOW_MS) } }
+    },
+    {
+      type: 'todo.overdue',
+      field: 'dueNotifications.overdueSentAt',
+      query: { dueDate: { $lte: now } }
+    }
+  ];
+
+  for (const { type, field, query } of transitions) {
+    const todos = await Todo.find({ ...baseQuery, ...query, [field]: null });
+
+    for (const todo of todos) {
+      const claimed = await Todo.updateOne(
+        { _id: todo._id, [field]: null },
+        { $set: { [field]: now } }
+      );
+
+      if (claimed.modifiedCount === 1) {
+        await dispatchNotification({ type, todo });
+      }
+    }
+  }
+};
+
+/**
+ * Start checking due dates periodically
+ * @returns {Object} Interval timer
+ */
+const startDueDateMonitor = () => {
+  const run = () => checkDueDates().catch(error => console.error('Due date check failed:', error));
+
+  run();
+  const timer = setInterval(run, DUE_DATE_CHECK_INTERVAL_MS);
+  timer.unref();
+
+  console.log(`📅 Due date monitor started (every ${DUE_DATE_CHECK_INTERVAL_MS / 1000}s)`);
+  return timer;
+};
+
+module.exports = {
+  getTodoAudience,
+  dispatchNotification,
+  registerNotificationChannel,
+  checkDueDates,
+  startDueDateMonitor
+};
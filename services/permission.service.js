@@ -0,0 +1,171 @@
+const Workspace = require('../models/workspace.model');
+const { ApiError } = require('../middlewares/api.error');
+
+/**
+ * Todo authorization policy
+ *
+ * A user's roles on a todo come from every relationship they have with it:
+ *   owner    - created the todo (todo.userId)
+ *   admin    - shared with "admin" permission, or workspace owner/admin
+ *   editor   - shared with "edit" permission, or workspace member
+ *   assignee - todo.assignee
+ *   viewer   - shared with "view" permission, or workspace guest
+ *   watcher  - listed in todo.watchers
+ *
+ * An action is allowed when any of the user's roles allows it:
+ *
+ *   Action            viewer watcher assignee editor admin owner
+ *   todo:view           ✓      ✓       ✓       ✓      ✓     ✓    read the todo, its activity log; duplicate it
+ *   watcher:self        ✓      ✓       ✓       ✓      ✓     ✓    watch / unwatch yourself
+ *   todo:status                        ✓       ✓      ✓     ✓    complete / incomplete
+ *   subtask:write                      ✓       ✓      ✓     ✓    add, update, delete subtasks
+ *   comment:write                      ✓       ✓      ✓     ✓    add comments, edit/delete your own
+ *   time:log                           ✓       ✓      ✓     ✓
+ *   attachment:write                   ✓       ✓      ✓     ✓
+ *   todo:update                                ✓      ✓     ✓    edit fields (PATCH, bulk update)
+ *   todo:assign                                ✓      ✓     ✓    assign / unassign
+ *   watcher:manage                             ✓      ✓     ✓    add / remove other watchers
+ *   todo:link                                  ✓      ✓     ✓    add / remove links (needed on both todos)
+ *   comment:moderate                                  ✓     ✓    delete anyone's comment
+ *   share:manage                                      ✓     ✓    share, revoke, invitations, change workspace; assign / add as watcher
+ *                                                                users who cannot view the todo yet
+ *   todo:archive                                      ✓     ✓    archive / unarchive
+ *   todo:delete                                             ✓    delete (single and bulk)
+ */
+const TODO_ROLES = ['viewer', 'watcher', 'assignee', 'editor', 'admin', 'owner'];
+
+const TODO_POLICY = {
+  'todo:view': ['viewer', 'watcher', 'assignee', 'editor', 'admin', 'owner'],
+  'watcher:self': ['viewer', 'watcher', 'assignee', 'editor', 'admin', 'owner'],
+  'todo:status': ['assignee', 'editor', 'admin', 'owner'],
+  'subtask:write': ['assignee', 'editor', 'admin', 'owner'],
+  'comment:write': ['assignee', 'editor', 'admin', 'owner'],
+  'time:log': ['assignee', 'editor', 'admin', 'owner'],
+  'attachment:write': ['assignee', 'editor', 'admin', 'owner'],
+  'todo:update': ['editor', 'admin', 'owner'],
+  'todo:assign': ['editor', 'admin', 'owner'],
+  'watcher:manage': ['editor', 'admin', 'owner'],
+  'todo:link': ['editor', 'admin', 'owner'],
+  'comment:moderate': ['admin', 'owner'],
+  'share:manage': ['admin', 'owner'],
+  'todo:archive': ['admin', 'owner'],
+  'todo:delete': ['owner']
+};
+
+const SHARE_PERMISSION_ROLES = { view: 'viewer', edit: 'editor', admin: 'admin' };
+const WORKSPACE_ROLE_ROLES = { guest: 'viewer', member: 'editor', admin: 'admin', owner: 'admin' };
+
+/**
+ * Get the ID of a reference that may be populated
+ */
+const toId = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+/**
+ * Resolve a user's access to a todo
+ * @param {Object} todo - Todo document (references may be populated)
+ * @param {String} userId - User ID
+ * @param {Map} workspaces - Optional cache of workspace lookups, shared across calls for a listing
+ * @returns {Object} { roles: Set, role: highest role or null }
+ */
+const getTodoAccess = async (todo, userId, workspaces = new Map()) => {
+  const roles = new Set();
+
+  if (toId(todo.userId) === userId) {
+    roles.add('owner');
+  }
+
+  const share = (todo.sharedWith || []).find(s => toId(s.userId) === userId);
+  if (share) {
+    roles.add(SHARE_PERMISSION_ROLES[share.permissions]);
+  }
+
+  if (todo.assignee && toId(todo.assignee) === userId) {
+    roles.add('assignee');
+  }
+
+  if ((todo.watchers || []).some(w => toId(w) === userId)) {
+    roles.add('watcher');
+  }
+
+  if (todo.workspaceId) {
+    const workspaceId = toId(todo.workspaceId);
+    if (!workspaces.has(workspaceId)) {
+      workspaces.set(workspaceId, Workspace.findActiveById(workspaceId));
+    }
+
+    const workspace = await workspaces.get(workspaceId);
+    const workspaceRole = workspace && workspace.getRole(userId);
+
+    if (workspaceRole) {
+      roles.add(WORKSPACE_ROLE_ROLES[workspaceRole]);
+    }
+  }
+
+  const role = [...TODO_ROLES].reverse().find(r => roles.has(r)) || null;
+
+  return { roles, role };
+};
+
+/**
+ * Check if an access grants an action
+ * @param {Object} access - Result of getTodoAccess
+ * @param {String} action - Policy action, e.g. 'todo:update'
+ * @returns {Boolean}
+ */
+const can = (access, action) => {
+  const allowed = TODO_POLICY[action];
+
+  if (!allowed) {
+    throw new Error(`Unknown todo action: ${action}`);
+  }
+
+  return allowed.some(role => access.roles.has(role));
+};
+
+/**
+ * Throw 403 unless an access grants an action
+ * Users with no access at all get 404 so todo IDs cannot be probed
+ * @param {Object} access - Result of getTodoAccess
+ * @param {String} action - Policy action
+ */
+const assertCan = (access, action) => {
+  if (access.roles.size === 0) {
+    throw new ApiError(404, 'Todo not found');
+  }
+
+  if (!can(access, action)) {
+    throw new ApiError(403, 'Permission denied');
+  }
+};
+
+/**
+ * List the actions an access grants (for clients deciding what to show)
+ * @param {Object} access - Result of getTodoAccess
+ * @returns {Array} Action names
+ */
+const getAllowedActions = (access) => Object.keys(TODO_POLICY).filter(action => can(access, action));
+
+/**
+ * Attach the user's role to each todo in a listing
+ * @param {Array} todos - Todo documents or plain todo objects
+ * @param {String} userId - User ID
+ * @returns {Array} Plain todo objects with access: { role }
+ */
+const withTodoRoles = async (todos, userId) => {
+  const workspaces = new Map();
+
+  return Promise.all(todos.map(async (todo) => {
+    const access = await getTodoAccess(todo, userId, workspaces);
+    const data = typeof todo.toObject === 'function' ? todo.toObject() : todo;
+    return { ...data, access: { role: access.role } };
+  }));
+};
+
+module.exports = {
+  TODO_POLICY,
+  getTodoAccess,
+  can,
+  assertCan,
+  getAllowedActions,
+  withTodoRoles
+};
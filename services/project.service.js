@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const Project = require('../models/project.model');
+const Todo = require('../models/todo.model');
+const Workspace = require('../models/workspace.model');
+const { ApiError } = require('../middlewares/api.error');
+
+// Minimum workspace role for each level of access to a workspace project
+// The project's creator always has full access
+const PROJECT_ACCESS_ROLES = {
+  view: 'guest',
+  edit: 'member',
+  manage: 'admin'
+};
+
+// Todos in this category are uncategorized, so the migration leaves them out of projects
+const DEFAULT_CATEGORY = 'general';
+
+// Case-insensitive string comparison for category names
+const CATEGORY_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Find a project the user may access
+ * Users outside the project get 404 so IDs cannot be probed
+ * @param {String} projectId - Project ID
+ * @param {String} userId - User ID
+ * @param {String} access - view (read), edit (todos and sections) or manage (archive, delete)
+ * @returns {Object} Project document
+ */
+const findProjectForUser = async (projectId, userId, access = 'view') => {
+  if (!mongoose.isValidObjectId(projectId)) {
+    throw new ApiError(400, 'Invalid project ID format');
+  }
+
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new ApiError(404, 'Project not found');
+  }
+
+  if (project.userId.toString() === userId.toString()) {
+    return project;
+  }
+
+  const workspace = project.workspaceId && await Workspace.findActiveById(project.workspaceId);
+  if (!workspace || !workspace.isMember(userId)) {
+    throw new ApiError(404, 'Project not found');
+  }
+
+  if (!workspace.hasRole(userId, PROJECT_ACCESS_ROLES[access])) {
+    throw new ApiError(403, 'Permission denied');
+  }
+
+  return project;
+};
+
+/**
+ * Check a todo may be filed under a project
+ * Workspace projects hold that workspace's todos; personal projects hold their owner's personal todos
+ */
+const assertTodoFitsProject = (todo, project) => {
+  if (String(todo.workspaceId || '') !== String(project.workspaceId || '')) {
+    throw new ApiError(400, project.workspaceId
+      ? 'Only todos in the project\'s workspace can be added to it'
+      : 'Workspace todos cannot be added to a personal project');
+  }
+
+  if (!project.workspaceId && todo.userId.toString() !== project.userId.toString()) {
+    throw new ApiError(400, 'Only the project owner\'s todos can be added to a personal project');
+  }
+};
+
+/**
+ * Get todo counts for a project, overall and per section
+ * @param {Object} project - Project document
+ * @returns {Object} Stats
+ */
+const getProjectStats = async (project) => {
+  const base = { projectId: project._id, isDeleted: false, parentId: null };
+
+  const [groups, overdueCount] = await Promise.all([
+    Todo.aggregate([
+      { $match: base },
+      {
+        $group: {
+          _id: { sectionId: '$sectionId', status: '$status' },
+          count: { $sum: 1 },
+          estimatedTime: { $sum: '$estimatedTime' },
+          actualTime: { $sum: '$actualTime' }
+        }
+      }
+    ]),
+    Todo.countDocuments({ ...base, dueDate: { $lt: new Date() }, completed: false })
+  ]);
+
+  const byStatus = Object.fromEntries(Todo.schema.path('status').enumValues.map(status => [status, 0]));
+  const bySection = new Map();
+  let estimatedTime = 0;
+  let actualTime = 0;
+
+  groups.forEach(({ _id, count, estimatedTime: estimated, actualTime: actual }) => {
+    byStatus[_id.status] = (byStatus[_id.status] || 0) + count;
+    estimatedTime += estimated;
+    actualTime += actual;
+
+    const key = _id.sectionId ? _id.sectionId.toString() : null;
+    const section = bySection.get(key) || { totalTodos: 0, completedTodos: 0 };
+    section.totalTodos += count;
+    if (_id.status === 'completed') section.completedTodos += count;
+    bySection.set(key, section);
+  });
+
+  const totalTodos = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+  const sectionStats = (sectionId, name) => ({
+    sectionId,
+    name,
+    ...(bySection.get(sectionId ? sectionId.toString() : null) || { totalTodos: 0, completedTodos: 0 })
+  });
+
+  return {
+    totalTodos,
+    byStatus,
+    completionPercentage: totalTodos === 0 ? 0 : Math.round((byStatus.completed / totalTodos) * 100),
+    overdueCount,
+    estimatedTime,
+    actualTime,
+    sections: [
+      ...project.sections.map(section => sectionStats(section._id, section.name)),
+      sectionStats(null, null)
+    ]
+  };
+};
+
+/**
+ * Count open and completed todos for each of a list of projects
+ * @param {Array} projectIds - Project IDs
+ * @returns {Map} projectId -> { todoCount, completedCount }
+ */
+const countProjectTodos = async (projectIds) => {
+  const counts = await Todo.aggregate([
+    { $match: { projectId: { $in: projectIds }, isDeleted: false, parentId: null } },
+    {
+      $group: {
+        _id: '$projectId',
+        todoCount: { $sum: 1 },
+        completedCount: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return new Map(counts.map(({ _id, todoCount, completedCount }) => [
+    _id.toString(),
+    { todoCount, completedCount }
+  ]));
+};
+
+// ============ CATEGORY MIGRATION ============
+
+/**
+ * File todos of one category into a project, creating it if needed
+ * Re-running finds the project created last time, so the migration is idempotent
+ */
+const migrateCategory = async ({ ownerId, workspaceId, category, todoFilter }) => {
+  let project = await Project.findOne({
+    userId: ownerId,
+    workspaceId,
+    $or: [{ migratedFromCategory: category }, { name: category }]
+  }).collation(CATEGORY_COLLATION);
+
+  if (!project) {
+    project = await Project.create({
+      userId: ownerId,
+      workspaceId,
+      name: category,
+      migratedFromCategory: category
+    });
+  }
+
+  const result = await Todo.updateMany(
+    { ...todoFilter, category, projectId: null, isDeleted: false },
+    { $set: { projectId: project._id, sectionId: null } },
+    { collation: CATEGORY_COLLATION }
+  );
+
+  return { projectId: project._id, name: project.name, category, todoCount: result.modifiedCount };
+};
+
+/**
+ * Convert todo categories into projects
+ * Personal todos become projects of their owner; workspace todos become projects of the workspace,
+ * owned by the workspace owner. Categories differing only in case share a project.
+ * Todos already in a project and todos in the default category are left alone.
+ * @param {Object} options - userId: only migrate this user's personal todos
+ * @returns {Array} [{ projectId, name, category, todoCount }]
+ */
+const migrateCategoriesToProjects = async ({ userId } = {}) => {
+  const match = {
+    projectId: null,
+    isDeleted: false,
+    category: { $nin: [null, '', DEFAULT_CATEGORY] }
+  };
+
+  if (userId) {
+    match.userId = new mongoose.Types.ObjectId(userId);
+    match.workspaceId = null;
+  }
+
+  const groups = await Todo.aggregate([
+    { $match: match },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: {
+          ownerId: { $cond: [{ $ifNull: ['$workspaceId', false] }, null, '$userId'] },
+          workspaceId: '$workspaceId',
+          category: { $toLower: '$category' }
+        },
+        // The spelling used first becomes the project name
+        category: { $first: '$category' }
+      }
+    }
+  ]);
+
+  const results = [];
+
+  for (const { _id, category } of groups) {
+    if (_id.workspaceId) {
+      const workspace = await Workspace.findActiveById(_id.workspaceId);
+      if (!workspace) continue;
+
+      results.push(await migrateCategory({
+        ownerId: workspace.ownerId,
+        workspaceId: workspace._id,
+        category,
+        todoFilter: { workspaceId: workspace._id }
+      }));
+    } else {
+      results.push(await migrateCategory({
+        ownerId: _id.ownerId,
+        workspaceId: null,
+        category,
+        todoFilter: { userId: _id.ownerId, workspaceId: null }
+      }));
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  findProjectForUser,
+  assertTodoFitsProject,
+  getProjectStats,
+  countProjectTodos,
+  migrateCategoriesToProjects
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const Workspace = require('../models/workspace.model');
+const { todoEvents } = require('./event.service');
+
+// Number of recent events kept for clients reconnecting with Last-Event-ID
+const BUFFER_SIZE = parseInt(process.env.REALTIME_BUFFER_SIZE) || 1000;
+
+// Event IDs are only meaningful within one server process
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+
+let sequence = 0;
+const buffer = [];
+const subscribers = new Map(); // userId -> Set of listeners
+
+/**
+ * Users who should receive events about a todo:
+ * owner, sharedWith users, assignee, watchers and, for workspace todos, the workspace's members
+ */
+const getTodoRecipients = async (todo) => {
+  const ids = [
+    todo.userId,
+    todo.assignee,
+    ...(todo.watchers || []),
+    ...(todo.sharedWith || []).map(s => s.userId)
+  ];
+
+  if (todo.workspaceId) {
+    const workspace = await Workspace.findActiveById(todo.workspaceId._id || todo.workspaceId);
+    if (workspace) {
+      ids.push(...workspace.getMemberIds());
+    }
+  }
+
+  return [...new Set(ids.filter(Boolean).map(id => (id._id || id).toString()))];
+};
+
+/**
+ * Build the event record for a todo event
+ * Taken when the event is emitted, before the todo changes again
+ */
+const createEvent = ({ type, todo, actorId, data, timestamp }) => {
+  sequence++;
+
+  return {
+    id: `${BOOT_ID}-${sequence}`,
+    sequence,
+    type,
+    recipients: [],
+    payload: {
+      type,
+      todoId: todo._id.toString(),
+      actorId,
+      todo: typeof todo.toJSON === 'function' ? todo.toJSON() : todo,
+      ...data,
+      timestamp
+    }
+  };
+};
+
+/**
+ * Record an event and push it to connected recipients
+ */
+const publish = (event, recipients) => {
+  event.recipients = recipients;
+
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) {
+    buffer.shift();
+  }
+
+  event.recipients.forEach(userId => {
+    (subscribers.get(userId) || []).forEach(listener => listener(event));
+  });
+};
+
+// Events are published one at a time, so the buffer stays in sequence order
+// while workspace members are looked up
+let publishing = Promise.resolve();
+
+todoEvents.on('event', (event) => {
+  let record;
+  try {
+    record = createEvent(event);
+  } catch (error) {
+    console.error('Failed to publish real-time event:', error);
+    return;
+  }
+
+  publishing = publishing
+    .then(() => getTodoRecipients(record.payload.todo))
+    .then(recipients => publish(record, recipients))
+    .catch(error => console.error('Failed to publish real-time event:', error));
+});
+
+/**
+ * Subscribe to events for a user
+ * @param {String} userId - User ID
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe function
+ */
+const subscribe = (userId, listener) => {
+  if (!subscribers.has(userId)) {
+    subscribers.set(userId, new Set());
+  }
+  subscribers.get(userId).add(listener);
+
+  return () => {
+    const listeners = subscribers.get(userId);
+    if (!listeners) return;
+
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      subscribers.delete(userId);
+    }
+  };
+};
+
+/**
+ * Get events a user missed since a given event ID
+ * @param {String} userId - User ID
+ * @param {String} lastEventId - Last event ID the client received
+ * @returns {Array|null} Missed events, or null if they can no longer be replayed
+ *                       (server restarted or the events fell out of the buffer)
+ */
+const getMissedEvents = (userId, lastEventId) => {
+  const [bootId, lastSequence] = String(lastEventId).split('-');
+  const since = Number(lastSequence);
+
+  if (bootId !== BOOT_ID || !Number.isInteger(since)) {
+    return null;
+  }
+
+  if (buffer.length > 0 && since < buffer[0].sequence - 1) {
+    return null;
+  }
+
+  return buffer.filter(event => event.sequence > since && event.recipients.includes(userId));
+};
+
+module.exports = {
+  subscribe,
+  getMissedEvents,
+  getTodoRecipients
+};
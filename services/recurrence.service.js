@@ -0,0 +1,480 @@
+const Todo = require('../models/todo.model');
+const { placeInStatusColumn } = require('./board.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const BUSINESS_DAYS = [1, 2, 3, 4, 5];
+const RRULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Upper bound on days scanned when searching for the next occurrence
+const MAX_LOOKAHEAD_DAYS = 5 * 366;
+
+/**
+ * Build an empty rule object
+ * @param {String} freq - DAILY, WEEKLY, MONTHLY or YEARLY
+ * @param {Object} overrides - Rule properties to set
+ * @returns {Object} Rule
+ */
+const createRule = (freq, overrides = {}) => ({
+  freq,
+  interval: 1,
+  byDay: [],
+  byMonthDay: [],
+  bySetPos: null,
+  count: null,
+  until: null,
+  ...overrides
+});
+
+/**
+ * Parse a positive integer RRULE value
+ * @param {String} key - RRULE part name (for error messages)
+ * @param {String} value - Raw value
+ * @returns {Number} Parsed integer
+ */
+const parsePositiveInt = (key, value) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${key} must be a positive integer`);
+  }
+  return number;
+};
+
+/**
+ * Parse an RRULE UNTIL value (YYYYMMDD or YYYYMMDDTHHMMSSZ)
+ * @param {String} value - Raw value
+ * @returns {Date} Parsed date
+ */
+const parseUntil = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!match) {
+    throw new Error('UNTIL must be formatted as YYYYMMDD or YYYYMMDDTHHMMSSZ');
+  }
+
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
+
+/**
+ * Parse an RRULE string (RFC 5545 subset)
+ * Supports FREQ, INTERVAL, BYDAY, BYMONTHDAY, BYSETPOS, COUNT, UNTIL and WKST
+ * @param {String} rrule - e.g. "FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1"
+ * @returns {Object} Normalized rule
+ */
+const parseRRule = (rrule) => {
+  if (typeof rrule !== 'string' || rrule.trim().length === 0) {
+    throw new Error('RRULE must be a non-empty string');
+  }
+
+  const rule = createRule(null);
+  const parts = rrule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  parts.forEach(part => {
+    const [rawKey, value] = part.split('=');
+    const key = rawKey.toUpperCase();
+
+    if (!value) {
+      throw new Error(`RRULE part "${part}" is missing a value`);
+    }
+
+    switch (key) {
+      case 'FREQ':
+        if (!RRULE_FREQUENCIES.includes(value.toUpperCase())) {
+          throw new Error(`FREQ must be one of: ${RRULE_FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+
+      case 'INTERVAL':
+        rule.interval = parsePositiveInt(key, value);
+        break;
+
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map(entry => {
+          const match = entry.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match || Number(match[1]) === 0) {
+            throw new Error(`Invalid BYDAY value "${entry}"`);
+          }
+          return {
+            weekday: WEEKDAY_CODES.indexOf(match[2]),
+            ordinal: match[1] ? Number(match[1]) : null
+          };
+        });
+        break;
+
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(entry => {
+          const day = Number(entry);
+          if (!Number.isInteger(day) || day === 0 || day < -31 || day > 31) {
+            throw new Error(`Invalid BYMONTHDAY value "${entry}"`);
+          }
+          return day;
+        });
+        break;
+
+      case 'BYSETPOS': {
+        const position = Number(value);
+        if (!Number.isInteger(position) || position === 0) {
+          throw new Error('BYSETPOS must be a non-zero integer');
+        }
+        rule.bySetPos = position;
+        break;
+      }
+
+      case 'COUNT':
+        rule.count = parsePositiveInt(key, value);
+        break;
+
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+
+      case 'WKST':
+        // Weeks always start on Sunday, accepted for compatibility
+        break;
+
+      default:
+        throw new Error(`Unsupported RRULE part "${key}"`);
+    }
+  });
+
+  if (!rule.freq) {
+    throw new Error('RRULE must specify FREQ');
+  }
+
+  if (rule.count && rule.until) {
+    throw new Error('RRULE cannot specify both COUNT and UNTIL');
+  }
+
+  return rule;
+};
+
+/**
+ * Build a rule from a todo's recurring settings
+ * @param {Object} recurring - todo.recurring
+ * @returns {Object|null} Rule, or null if the todo does not recur
+ */
+const buildRule = (recurring) => {
+  if (!recurring || !recurring.isRecurring) return null;
+
+  if (recurring.rrule) {
+    return parseRRule(recurring.rrule);
+  }
+
+  const interval = recurring.interval || 1;
+  const byDay = (recurring.daysOfWeek || []).map(weekday => ({ weekday, ordinal: null }));
+
+  switch (recurring.frequency) {
+    case 'daily':
+      return createRule('DAILY', { interval, byDay });
+    case 'weekly':
+      return createRule('WEEKLY', { interval, byDay });
+    case 'bi-weekly':
+      return createRule('WEEKLY', { interval: 2 * interval, byDay });
+    case 'monthly':
+      if (recurring.monthlyMode === 'last-business-day') {
+        return createRule('MONTHLY', {
+          interval,
+          byDay: BUSINESS_DAYS.map(weekday => ({ weekday, ordinal: null })),
+          bySetPos: -1
+        });
+      }
+      return createRule('MONTHLY', { interval });
+    case 'yearly':
+      return createRule('YEARLY', { interval });
+    default:
+      return null;
+  }
+};
+
+// ============ DATE MATCHING ============
+
+const startOfUTCDay = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Resolve the days of a month selected by BYDAY (with ordinals) and BYSETPOS
+ * @returns {Number[]} Sorted days of month
+ */
+const resolveMonthWeekdays = (year, month, rule) => {
+  const total = daysInMonth(year, month);
+  const byWeekday = {};
+
+  for (let day = 1; day <= total; day++) {
+    const weekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+    (byWeekday[weekday] = byWeekday[weekday] || []).push(day);
+  }
+
+  const selected = new Set();
+  rule.byDay.forEach(({ weekday, ordinal }) => {
+    const days = byWeekday[weekday] || [];
+    if (ordinal === null) {
+      days.forEach(day => selected.add(day));
+    } else {
+      const day = ordinal > 0 ? days[ordinal - 1] : days[days.length + ordinal];
+      if (day) selected.add(day);
+    }
+  });
+
+  const days = [...selected].sort((a, b) => a - b);
+
+  if (rule.bySetPos !== null) {
+    const day = rule.bySetPos > 0 ? days[rule.bySetPos - 1] : days[days.length + rule.bySetPos];
+    return day ? [day] : [];
+  }
+
+  return days;
+};
+
+/**
+ * Check whether a date falls on a day selected within its month
+ */
+const matchesDayInMonth = (date, rule, anchor) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+  const total = daysInMonth(year, month);
+
+  if (rule.byMonthDay.length > 0) {
+    return rule.byMonthDay.some(d => (d > 0 ? d : total + d + 1) === day);
+  }
+
+  if (rule.byDay.length > 0) {
+    return resolveMonthWeekdays(year, month, rule).includes(day);
+  }
+
+  // Default to the anchor's day of month, clamped for shorter months
+  return day === Math.min(anchor.getUTCDate(), total);
+};
+
+/**
+ * Check whether a date is an occurrence of a rule
+ * @param {Date} date - Candidate date
+ * @param {Object} rule - Parsed rule
+ * @param {Date} anchor - Date the series is aligned to
+ * @returns {Boolean}
+ */
+const matchesRule = (date, rule, anchor) => {
+  const dayDiff = Math.round((startOfUTCDay(date) - startOfUTCDay(anchor)) / DAY_MS);
+  if (dayDiff < 0) return false;
+
+  const weekday = date.getUTCDay();
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return dayDiff % rule.interval === 0 &&
+        (rule.byDay.length === 0 || rule.byDay.some(d => d.weekday === weekday));
+
+    case 'WEEKLY': {
+      // Weeks start on Sunday
+      const weekDiff = Math.floor((dayDiff + anchor.getUTCDay()) / 7);
+      if (weekDiff % rule.interval !== 0) return false;
+
+      const weekdays = rule.byDay.length > 0
+        ? rule.byDay.map(d => d.weekday)
+        : [anchor.getUTCDay()];
+      return weekdays.includes(weekday);
+    }
+
+    case 'MONTHLY': {
+      const monthDiff = (date.getUTCFullYear() - anchor.getUTCFullYear()) * 12 +
+        date.getUTCMonth() - anchor.getUTCMonth();
+      if (monthDiff % rule.interval !== 0) return false;
+      return matchesDayInMonth(date, rule, anchor);
+    }
+
+    case 'YEARLY': {
+      const yearDiff = date.getUTCFullYear() - anchor.getUTCFullYear();
+      if (yearDiff % rule.interval !== 0) return false;
+      if (date.getUTCMonth() !== anchor.getUTCMonth()) return false;
+      return matchesDayInMonth(date, rule, anchor);
+    }
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Find the first occurrence of a rule strictly after a date
+ * Occurrences keep the anchor's time of day
+ * @param {Object} rule - Parsed rule
+ * @param {Date} anchor - Date the series is aligned to
+ * @param {Date} after - Search start (exclusive)
+ * @returns {Date|null} Next occurrence, or null if none within the lookahead window
+ */
+const getNextOccurrence = (rule, anchor, after) => {
+  for (let i = 0; i <= MAX_LOOKAHEAD_DAYS; i++) {
+    const candidate = new Date(startOfUTCDay(after) + i * DAY_MS);
+    candidate.setUTCHours(
+      anchor.getUTCHours(),
+      anchor.getUTCMinutes(),
+      anchor.getUTCSeconds(),
+      anchor.getUTCMilliseconds()
+    );
+
+    if (candidate <= after) continue;
+
+    if (matchesRule(candidate, rule, anchor)) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+// ============ SERIES GENERATION ============
+
+/**
+ * Normalize a recurrence definition from a request body
+ * Only keys present in the input are returned so it can be used for partial updates
+ * @param {Object} input - Recurrence definition
+ * @returns {Object} Fields to set on todo.recurring
+ */
+const normalizeRecurrence = (input) => {
+  const recurring = {};
+
+  if (input.isRecurring !== undefined) recurring.isRecurring = input.isRecurring;
+  if (input.frequency !== undefined) recurring.frequency = input.frequency;
+  if (input.interval !== undefined) recurring.interval = input.interval;
+  if (input.daysOfWeek !== undefined) recurring.daysOfWeek = input.daysOfWeek;
+  if (input.monthlyMode !== undefined) recurring.monthlyMode = input.monthlyMode;
+  if (input.rrule !== undefined) recurring.rrule = input.rrule ? input.rrule.trim().replace(/^RRULE:/i, '') : null;
+  if (input.endDate !== undefined) recurring.endDate = input.endDate ? new Date(input.endDate) : null;
+  if (input.occurrences !== undefined) recurring.occurrences = input.occurrences;
+
+  // Defining a rule implies the todo recurs
+  if (recurring.isRecurring === undefined && (recurring.frequency || recurring.rrule)) {
+    recurring.isRecurring = true;
+  }
+
+  return recurring;
+};
+
+/**
+ * Reset nested subtasks for a new occurrence
+ * @param {Array} subtasks - Subtasks to copy
+ * @returns {Array} Fresh, incomplete copies
+ */
+const resetSubtasks = (subtasks = []) => {
+  return subtasks.map(subtask => ({
+    title: subtask.title,
+    description: subtask.description,
+    priority: subtask.priority,
+    status: 'todo',
+    completed: false,
+    completedAt: null,
+    estimatedTime: subtask.estimatedTime,
+    tags: subtask.tags,
+    assignee: subtask.assignee,
+    order: subtask.order,
+    subtasks: resetSubtasks(subtask.subtasks)
+  }));
+};
+
+/**
+ * Generate the next occurrence of a recurring todo
+ * Does nothing if the todo does not recur, the series has ended,
+ * or the next occurrence was already generated
+ * @param {Object} todo - Completed todo document
+ * @param {String} userId - User who triggered the generation
+ * @returns {Object|null} Newly created todo
+ */
+const spawnNextOccurrence = async (todo, userId) => {
+  const recurring = todo.recurring;
+
+  if (!recurring || !recurring.isRecurring || recurring.nextOccurrence) {
+    return null;
+  }
+
+  const rule = buildRule(recurring);
+  if (!rule) return null;
+
+  const occurrenceNumber = recurring.occurrenceNumber || 1;
+  const cap = rule.count || recurring.occurrences;
+  if (cap && occurrenceNumber >= cap) return null;
+
+  const now = new Date();
+  const baseDate = todo.dueDate || todo.startDate || todo.completedAt || now;
+  const anchor = recurring.anchorDate || baseDate;
+
+  // Never generate occurrences that are already in the past
+  const nextDate = getNextOccurrence(rule, anchor, baseDate > now ? baseDate : now);
+  if (!nextDate) return null;
+
+  const endDates = [recurring.endDate, rule.until].filter(Boolean);
+  if (endDates.some(endDate => nextDate > endDate)) return null;
+
+  const shift = nextDate.getTime() - baseDate.getTime();
+  const shiftDate = (date) => (date ? new Date(date.getTime() + shift) : null);
+  const seriesId = recurring.seriesId || todo._id;
+
+  const nextTodo = new Todo({
+    userId: todo.userId,
+    workspaceId: todo.workspaceId,
+    projectId: todo.projectId,
+    sectionId: todo.sectionId,
+    title: todo.title,
+    description: todo.description,
+    priority: todo.priority,
+    category: todo.category,
+    tags: todo.tags,
+    label: todo.label,
+    estimatedTime: todo.estimatedTime,
+    dueDate: nextDate,
+    startDate: shiftDate(todo.startDate),
+    reminder: shiftDate(todo.reminder),
+    assignee: todo.assignee,
+    watchers: todo.watchers,
+    sharedWith: todo.sharedWith.map(s => ({ userId: s.userId, permissions: s.permissions })),
+    customFields: todo.customFields,
+    notificationSettings: todo.notificationSettings,
+    subtasks: resetSubtasks(todo.subtasks),
+    status: 'todo',
+    recurring: {
+      isRecurring: true,
+      frequency: recurring.frequency,
+      interval: recurring.interval,
+      daysOfWeek: recurring.daysOfWeek,
+      monthlyMode: recurring.monthlyMode,
+      rrule: recurring.rrule,
+      endDate: recurring.endDate,
+      occurrences: recurring.occurrences,
+      occurrenceNumber: occurrenceNumber + 1,
+      anchorDate: anchor,
+      seriesId
+    },
+    activityLog: [
+      {
+        action: 'created',
+        userId,
+        changes: { recurrenceOf: todo._id },
+        timestamp: new Date()
+      }
+    ]
+  });
+
+  // The occurrence joins the project board in its status column; a full column does not stop the series
+  const wipWarning = await placeInStatusColumn(nextTodo, { enforceLimit: false });
+  if (wipWarning) {
+    nextTodo.activityLog[0].changes = { recurrenceOf: todo._id, wipWarning };
+  }
+
+  await nextTodo.save();
+
+  todo.recurring.nextOccurrence = nextTodo._id;
+  todo.recurring.anchorDate = anchor;
+  todo.recurring.seriesId = seriesId;
+  await todo.save();
+
+  return nextTodo;
+};
+
+module.exports = {
+  parseRRule,
+  buildRule,
+  getNextOccurrence,
+  normalizeRecurrence,
+  spawnNextOccurrence
+};
\ No newline at end of file
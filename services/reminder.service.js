@@ -0,0 +1,275 @@
+const Todo = require('../models/todo.model');
+const User = require('../models/user.model');
+const Reminder = require('../models/reminder.model');
+const { createQueue } = require('../configs/queue.config');
+const { sendReminderEmail } = require('./email.service');
+
+const reminderQueue = createQueue('reminders');
+
+// Comma-separated list of delivery channels, e.g. "email,console"
+const REMINDER_CHANNELS = (process.env.REMINDER_CHANNELS || 'email')
+  .split(',')
+  .map(channel => channel.trim())
+  .filter(Boolean);
+
+const JOB_OPTIONS = {
+  attempts: 3,
+  backoff: { type: 'exponential', delay: 60 * 1000 },
+  removeOnComplete: true
+};
+
+// ============ DELIVERY CHANNELS ============
+
+/**
+ * Delivery channels
+ * Each handler receives { recipients, todo, subtask, reminder }
+ */
+const channels = {
+  email: async ({ recipients, todo, subtask }) => {
+    await Promise.all(recipients.map(recipient => sendReminderEmail(recipient.email, recipient.name, {
+      title: subtask ? subtask.title : todo.title,
+      parentTitle: subtask ? todo.title : null,
+      dueDate: subtask ? subtask.dueDate : todo.dueDate,
+      todoId: todo._id
+    })));
+  },
+
+  console: async ({ recipients, todo, subtask }) => {
+    const title = subtask ? subtask.title : todo.title;
+    console.log(`🔔 Reminder for "${title}" sent to ${recipients.map(r => r.email).join(', ')}`);
+  }
+};
+
+/**
+ * Register an additional delivery channel
+ * @param {String} name - Channel name (enable it via REMINDER_CHANNELS)
+ * @param {Function} handler - async ({ recipients, todo, subtask, reminder }) => void
+ */
+const registerReminderChannel = (name, handler) => {
+  channels[name] = handler;
+};
+
+// ============ SCHEDULING ============
+
+/**
+ * Find a subtask anywhere in a todo's subtask tree
+ */
+const findSubtask = (todo, subtaskId) => {
+  return todo.getAllSubtasks().find(s => s._id.toString() === subtaskId.toString());
+};
+
+/**
+ * List the reminders a todo should currently have scheduled
+ * @param {Object} todo - Todo document
+ * @returns {Array} [{ subtaskId, remindAt }]
+ */
+const getDesiredReminders = (todo) => {
+  if (todo.isDeleted || todo.isArchived || todo.completed) {
+    return [];
+  }
+
+  const desired = [];
+
+  if (todo.reminder) {
+    desired.push({ subtaskId: null, remindAt: todo.reminder });
+  }
+
+  todo.getAllSubtasks().forEach(subtask => {
+    if (subtask.reminder && !subtask.completed && !subtask.isArchived) {
+      desired.push({ subtaskId: subtask._id, remindAt: subtask.reminder });
+    }
+  });
+
+  return desired;
+};
+
+const isSameReminder = (reminder, desired) => {
+  return String(reminder.subtaskId || '') === String(desired.subtaskId || '') &&
+    reminder.remindAt.getTime() === new Date(desired.remindAt).getTime();
+};
+
+/**
+ * Add a reminder's delivery job to the queue
+ */
+const enqueueReminder = async (reminder) => {
+  await reminderQueue.add(
+    { reminderId: reminder._id.toString() },
+    {
+      ...JOB_OPTIONS,
+      jobId: reminder.getJobId(),
+      delay: Math.max(0, reminder.remindAt.getTime() - Date.now())
+    }
+  );
+};
+
+/**
+ * Cancel a pending reminder and remove its queued job
+ */
+const cancelReminder = async (reminder) => {
+  reminder.status = 'cancelled';
+  await reminder.save();
+
+  const job = await reminderQueue.getJob(reminder.getJobId());
+  if (job) {
+    await job.remove();
+  }
+};
+
+/**
+ * Bring a todo's scheduled reminders in line with its current state
+ * Call after saving a todo whose reminders, completion, archive or deletion state changed
+ * Errors are logged rather than thrown so they never fail the request that triggered them
+ * @param {Object} todo - Saved todo document
+ */
+const syncTodoReminders = async (todo) => {
+  try {
+    const pending = await Reminder.findPendingByTodo(todo._id);
+    const desired = getDesiredReminders(todo);
+
+    for (const reminder of pending) {
+      if (!desired.some(d => isSameReminder(reminder, d))) {
+        await cancelReminder(reminder);
+      }
+    }
+
+    for (const item of desired) {
+      const alreadyScheduled = pending.some(r => isSameReminder(r, item));
+
+      // New reminders are only scheduled for the future
+      if (!alreadyScheduled && new Date(item.remindAt) > new Date()) {
+        const reminder = await Reminder.create({
+          todoId: todo._id,
+          subtaskId: item.subtaskId,
+          userId: todo.userId,
+          remindAt: item.remindAt
+        });
+        await enqueueReminder(reminder);
+      }
+    }
+  } catch (error) {
+    console.error('Failed to sync reminders for todo', todo._id.toString(), error);
+  }
+};
+
+/**
+ * Cancel all pending reminders for todos
+ * @param {Array|String} todoIds - Todo ID or IDs
+ */
+const cancelTodoReminders = async (todoIds) => {
+  try {
+    const ids = Array.isArray(todoIds) ? todoIds : [todoIds];
+    const pending = await Reminder.find({ todoId: { $in: ids }, status: 'pending' });
+
+    for (const reminder of pending) {
+      await cancelReminder(reminder);
+    }
+  } catch (error) {
+    console.error('Failed to cancel reminders:', error);
+  }
+};
+
+// ============ PROCESSING ============
+
+/**
+ * Deliver a reminder
+ * Skips reminders whose todo/subtask changed after the job was queued
+ * @param {Object} job - Queue job with data.reminderId
+ */
+const processReminder = async (job) => {
+  const reminder = await Reminder.findById(job.data.reminderId);
+
+  if (!reminder || reminder.status !== 'pending') {
+    return { skipped: true };
+  }
+
+  const todo = await Todo.findById(reminder.todoId);
+  const subtask = todo && reminder.subtaskId ? findSubtask(todo, reminder.subtaskId) : null;
+  const stillDesired = todo && getDesiredReminders(todo).some(d => isSameReminder(reminder, d));
+
+  if (!stillDesired) {
+    reminder.status = 'cancelled';
+    await reminder.save();
+    return { skipped: true };
+  }
+
+  // Notify the owner and whoever the item is assigned to
+  const assignee = subtask ? subtask.assignee : todo.assignee;
+  const recipientIds = [todo.userId, assignee].filter(Boolean).map(id => id.toString());
+  const recipients = await User.find({
+    _id: { $in: [...new Set(recipientIds)] },
+    isActive: true
+  }).select('name email');
+
+  const deliveredVia = [];
+  const errors = [];
+
+  for (const name of REMINDER_CHANNELS) {
+    if (!channels[name]) {
+      console.warn(`⚠️  Unknown reminder channel "${name}"`);
+      continue;
+    }
+
+    try {
+      await channels[name]({ recipients, todo, subtask, reminder });
+      deliveredVia.push(name);
+    } catch (error) {
+      console.error(`Failed to deliver reminder via ${name}:`, error);
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  // Retry only if nothing got through
+  if (deliveredVia.length === 0 && errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  reminder.status = 'sent';
+  reminder.sentAt = new Date();
+  reminder.deliveredVia = deliveredVia;
+  reminder.error = errors.length > 0 ? errors.join('; ') : null;
+  await reminder.save();
+
+  return { deliveredVia };
+};
+
+/**
+ * Mark a reminder as failed once the queue has given up retrying
+ */
+const handleFailedJob = async (job, error) => {
+  if (job.attemptsMade < (job.opts.attempts || 1)) return;
+
+  try {
+    await Reminder.findByIdAndUpdate(job.data.reminderId, {
+      status: 'failed',
+      error: error.message
+    });
+  } catch (updateError) {
+    console.error('Failed to mark reminder as failed:', updateError);
+  }
+};
+
+/**
+ * Start processing reminder jobs and re-queue pending reminders from MongoDB
+ * Reminders that fell due while the server was down are delivered immediately
+ */
+const startReminderScheduler = async () => {
+  reminderQueue.process(processReminder);
+  reminderQueue.on('failed', handleFailedJob);
+
+  const pending = await Reminder.find({ status: 'pending' });
+
+  for (const reminder of pending) {
+    await enqueueReminder(reminder);
+  }
+
+  console.log(`⏰ Reminder scheduler started (${pending.length} pending reminders)`);
+};
+
+module.exports = {
+  reminderQueue,
+  registerReminderChannel,
+  syncTodoReminders,
+  cancelTodoReminders,
+  processReminder,
+  startReminderScheduler
+};
\ No newline at end of file
@@ -0,0 +1,286 @@
+const Todo = require('../models/todo.model');
+const { ApiError } = require('../middlewares/api.error');
+
+// Candidates ranked per search; results beyond this are not returned
+const MAX_SEARCH_RESULTS = 200;
+const MAX_SEARCH_TERMS = 20;
+const SNIPPET_CONTEXT = 40;
+const MAX_HIGHLIGHTS = 5;
+
+/**
+ * Searchable fields, keyed by the qualifier used in queries (title:report)
+ * Weights match the text index in todo.model and rank prefix and field-qualified matches
+ */
+const SEARCH_FIELDS = {
+  title: { path: 'title', weight: 10 },
+  tag: { path: 'tags', weight: 6 },
+  description: { path: 'description', weight: 4 },
+  subtask: { path: 'subtaskTitles', weight: 3 },
+  comment: { path: 'comments.text', weight: 2 }
+};
+
+const FIELD_ALIASES = {
+  tags: 'tag',
+  desc: 'description',
+  subtasks: 'subtask',
+  comments: 'comment'
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ============ PARSING ============
+
+/**
+ * Parse a search query into terms
+ *   report            word (stemmed, via the text index)
+ *   "quarterly report" exact phrase
+ *   rep*              prefix
+ *   title:report      any of the above restricted to a field (title, tag, description, subtask, comment)
+ * @param {String} query - Search query
+ * @returns {Array} Terms: { field, type: 'word' | 'phrase' | 'prefix', value }
+ */
+const parseSearchQuery = (query) => {
+  const terms = [];
+  const pattern = /(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    let [, qualifier, phrase, word] = match;
+    let field = null;
+
+    if (qualifier) {
+      const name = qualifier.toLowerCase();
+      field = Object.hasOwn(SEARCH_FIELDS, name) ? name : FIELD_ALIASES[name];
+
+      // Unknown qualifiers such as "re:" are ordinary text
+      if (!field) {
+        field = null;
+        if (phrase === undefined) word = `${qualifier}:${word}`;
+      }
+    }
+
+    if (phrase !== undefined) {
+      const value = phrase.trim().replace(/\s+/g, ' ');
+      if (value) terms.push({ field, type: 'phrase', value });
+      continue;
+    }
+
+    // Leading dashes would negate terms in $text
+    const value = word.replace(/^-+/, '');
+    if (value.length > 1 && value.endsWith('*')) {
+      const prefix = value.replace(/\*+$/, '');
+      if (prefix.length < 2) {
+        throw new ApiError(400, `Prefix "${value}" needs at least 2 characters`);
+      }
+      terms.push({ field, type: 'prefix', value: prefix });
+    } else if (value.replace(/\*+$/, '')) {
+      terms.push({ field, type: 'word', value: value.replace(/\*+$/, '') });
+    }
+  }
+
+  if (!terms.length) {
+    throw new ApiError(400, 'Search query has no searchable terms');
+  }
+
+  if (terms.length > MAX_SEARCH_TERMS) {
+    throw new ApiError(400, `Search query cannot have more than ${MAX_SEARCH_TERMS} terms`);
+  }
+
+  return terms;
+};
+
+/**
+ * Regex matching a term inside a field value
+ * Words match at word starts so highlights cover stemmed forms ("report" in "reporting")
+ */
+const termRegex = ({ type, value }, flags = 'i') => {
+  if (type === 'phrase') {
+    return new RegExp(value.split(' ').map(escapeRegex).join('\\s+'), flags);
+  }
+
+  return new RegExp(`\\b${escapeRegex(value)}`, flags);
+};
+
+/**
+ * Terms that go through the text index: unqualified words and phrases
+ */
+const isTextTerm = (term) => !term.field && term.type !== 'prefix';
+
+/**
+ * Build the Mongo filter for parsed terms
+ * Unqualified words and phrases use the text index (any word, every phrase);
+ * prefixes and field-qualified terms must all match
+ * @param {Array} terms - Parsed terms
+ * @returns {Object} { filter, usesTextIndex }
+ */
+const buildSearchFilter = (terms) => {
+  const conditions = [];
+
+  const textTerms = terms.filter(isTextTerm);
+  if (textTerms.length) {
+    const search = textTerms
+      .map(term => (term.type === 'phrase' ? `"${term.value}"` : term.value))
+      .join(' ');
+    conditions.push({ $text: { $search: search } });
+  }
+
+  terms.filter(term => !isTextTerm(term)).forEach(term => {
+    const regex = term.type === 'word' ? new RegExp(`\\b${escapeRegex(term.value)}\\b`, 'i') : termRegex(term);
+    const fields = term.field ? [SEARCH_FIELDS[term.field]] : Object.values(SEARCH_FIELDS);
+
+    conditions.push({ $or: fields.map(({ path }) => ({ [path]: regex })) });
+  });
+
+  return {
+    filter: conditions.length === 1 ? conditions[0] : { $and: conditions },
+    usesTextIndex: textTerms.length > 0
+  };
+};
+
+// ============ RANKING AND HIGHLIGHTING ============
+
+/**
+ * Field values of a todo for highlighting, as [field, text] pairs
+ */
+const getFieldValues = (todo) => [
+  ['title', todo.title],
+  ['description', todo.description],
+  ...(todo.tags || []).map(tag => ['tag', tag]),
+  ...(todo.subtaskTitles || []).map(title => ['subtask', title]),
+  ...(todo.comments || []).map(comment => ['comment', comment.text])
+].filter(([, text]) => typeof text === 'string' && text);
+
+/**
+ * Cut a snippet around the matches in a text
+ * @returns {Object} { field, snippet, matches: [[start, end]] } with offsets into the snippet
+ */
+const buildHighlight = (field, text, ranges) => {
+  const from = Math.max(ranges[0][0] - SNIPPET_CONTEXT, 0);
+  const to = Math.min(ranges[0][1] + SNIPPET_CONTEXT * 2, text.length);
+  const prefix = from > 0 ? '…' : '';
+  const suffix = to < text.length ? '…' : '';
+
+  return {
+    field,
+    snippet: `${prefix}${text.slice(from, to)}${suffix}`,
+    matches: ranges
+      .filter(([start, end]) => start >= from && end <= to)
+      .map(([start, end]) => [start - from + prefix.length, end - from + prefix.length])
+  };
+};
+
+/**
+ * Find highlights for a todo: the matched fields with snippets and match offsets
+ * Offsets are returned rather than markup so clients can escape the text safely
+ */
+const getHighlights = (todo, terms) => {
+  const highlights = [];
+
+  for (const [field, text] of getFieldValues(todo)) {
+    const ranges = [];
+
+    terms
+      .filter(term => !term.field || term.field === field)
+      .forEach(term => {
+        for (const match of text.matchAll(termRegex(term, 'gi'))) {
+          const end = term.type === 'phrase'
+            ? match.index + match[0].length
+            : match.index + (text.slice(match.index).match(/^[\p{L}\p{N}_]+/u) || match)[0].length;
+          ranges.push([match.index, end]);
+        }
+      });
+
+    if (ranges.length) {
+      // Merge overlapping matches, e.g. a word inside a matched phrase
+      const merged = ranges
+        .sort((a, b) => a[0] - b[0])
+        .reduce((result, range) => {
+          const last = result[result.length - 1];
+          if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+          } else {
+            result.push([...range]);
+          }
+          return result;
+        }, []);
+
+      highlights.push(buildHighlight(field, text, merged));
+    }
+
+    if (highlights.length >= MAX_HIGHLIGHTS) break;
+  }
+
+  return highlights;
+};
+
+/**
+ * Relevance of a todo: the text index score plus the weight of the best field
+ * each prefix or field-qualified term matched, with a bonus for exact title matches
+ */
+const scoreTodo = (todo, terms, textScore) => {
+  let score = textScore || 0;
+
+  terms.filter(term => !isTextTerm(term)).forEach(term => {
+    const regex = termRegex(term);
+    const fields = term.field ? [term.field] : Object.keys(SEARCH_FIELDS);
+    const values = getFieldValues(todo);
+
+    const weights = fields
+      .filter(field => values.some(([name, text]) => name === field && regex.test(text)))
+      .map(field => SEARCH_FIELDS[field].weight);
+
+    score += weights.length ? Math.max(...weights) : 0;
+  });
+
+  const query = terms.map(term => term.value).join(' ').toLowerCase();
+  if (todo.title && todo.title.toLowerCase() === query) {
+    score += SEARCH_FIELDS.title.weight;
+  }
+
+  return Math.round(score * 1000) / 1000;
+};
+
+// ============ SEARCH ============
+
+/**
+ * Search todos within a base filter, ranked by relevance
+ * @param {Object} scope - Base filter, e.g. from getTodoScope()
+ * @param {String} query - Search query (see parseSearchQuery)
+ * @returns {Array} Plain todos with score and highlights, best first
+ */
+const searchTodos = async (scope, query) => {
+  const terms = parseSearchQuery(query);
+  const { filter, usesTextIndex } = buildSearchFilter(terms);
+
+  let candidates = Todo.find({ $and: [scope, { isDeleted: false }, filter] })
+    .select('+subtaskTitles')
+    .populate('assignee', 'name email profilePicture')
+    .limit(MAX_SEARCH_RESULTS);
+
+  candidates = usesTextIndex
+    ? candidates.select({ textScore: { $meta: 'textScore' } }).sort({ textScore: { $meta: 'textScore' } })
+    : candidates.sort({ updatedAt: -1 });
+
+  const todos = await candidates;
+
+  return todos
+    .map(todo => {
+      const data = todo.toObject();
+      const score = scoreTodo(data, terms, data.textScore);
+      const highlights = getHighlights(data, terms);
+
+      delete data.subtaskTitles;
+      delete data.textScore;
+
+      return { ...data, score, highlights };
+    })
+    .sort((a, b) => b.score - a.score || b._id.toString().localeCompare(a._id.toString()));
+};
+
+module.exports = {
+  MAX_SEARCH_RESULTS,
+  SEARCH_FIELDS,
+  parseSearchQuery,
+  buildSearchFilter,
+  searchTodos
+};
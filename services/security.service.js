@@ -0,0 +1,72 @@
+const SecurityEvent = require('../models/securityEvent.model');
+const { sendSecurityAlertEmail } = require('./email.service');
+const { getClientInfo } = require('../utils/device.util');
+
+// Email users about suspicious activity unless SECURITY_ALERT_EMAILS=false
+const SECURITY_ALERT_EMAILS = process.env.SECURITY_ALERT_EMAILS !== 'false';
+
+const ALERT_MESSAGES = {
+  'refresh-token-reuse': 'A previously used sign-in token was presented again, which can mean it was stolen. We signed out the affected device as a precaution.',
+  'two-factor-enabled': 'Two-factor authentication was turned on for your account.',
+  'two-factor-disabled': 'Two-factor authentication was turned off for your account.',
+  'two-factor-reset': 'An administrator reset two-factor authentication for your account. Set it up again from your security settings.'
+};
+
+/**
+ * Record a security event for a user and alert them by email
+ * Never throws: failures are logged so they cannot block the request that triggered them
+ * @param {Object} user - User document
+ * @param {String} type - Event type
+ * @param {Object} req - Express request the event came from
+ * @param {Object} options - { sessionId, details, notify }
+ * @returns {Object|null} SecurityEvent document
+ */
+const recordSecurityEvent = async (user, type, req, { sessionId = null, details = {}, notify = true } = {}) => {
+  const clientInfo = getClientInfo(req);
+
+  console.warn(`🚨 Security event ${type} for user ${user._id} from ${clientInfo.ip} (${clientInfo.deviceLabel})`);
+
+  let event = null;
+
+  try {
+    event = await SecurityEvent.create({
+      userId: user._id,
+      type,
+      sessionId,
+      ...clientInfo,
+      details
+    });
+  } catch (error) {
+    console.error(`Failed to record security event ${type}:`, error);
+  }
+
+  if (notify && SECURITY_ALERT_EMAILS) {
+    try {
+      await sendSecurityAlertEmail(user.email, user.name, {
+        message: ALERT_MESSAGES[type],
+        ip: clientInfo.ip,
+        deviceLabel: clientInfo.deviceLabel,
+        occurredAt: event ? event.createdAt : new Date()
+      });
+    } catch (error) {
+      console.error('Failed to send security alert email:', error);
+    }
+  }
+
+  return event;
+};
+
+/**
+ * Get a user's recent security events
+ * @param {String} userId - User ID
+ * @param {Number} limit - Maximum number of events
+ * @returns {Array} SecurityEvent documents, newest first
+ */
+const getSecurityEvents = (userId, limit = 50) => {
+  return SecurityEvent.find({ userId }).sort({ createdAt: -1 }).limit(limit);
+};
+
+module.exports = {
+  recordSecurityEvent,
+  getSecurityEvents
+};
@@ -0,0 +1,135 @@
+const ShareLink = require('../models/shareLink.model');
+const ShareLinkAccess = require('../models/shareLinkAccess.model');
+const Todo = require('../models/todo.model');
+const { getClientInfo } = require('../utils/device.util');
+
+/**
+ * Build the URL a share link token is opened at
+ * @param {String} token - Raw share link token
+ * @returns {String} URL
+ */
+const getShareLinkUrl = (token) => `${process.env.FRONTEND_URL}/shared/${token}`;
+
+/**
+ * Keep todo.isPublic in step with whether the todo has a usable (unrevoked, unexpired) share link
+ * @param {String} todoId - Todo ID
+ */
+const syncTodoVisibility = async (todoId) => {
+  const activeLinks = await ShareLink.countDocuments({
+    todoId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+  await Todo.updateOne({ _id: todoId }, { isPublic: activeLinks > 0 });
+};
+
+/**
+ * Record a request made with a share link (fire-and-forget)
+ * @param {Object} shareLink - ShareLink document
+ * @param {Object} req - Express request
+ * @param {String} outcome - viewed | password-required | wrong-password
+ */
+const logShareLinkAccess = (shareLink, req, outcome) => {
+  const { ip, userAgent, deviceLabel } = getClientInfo(req);
+
+  const writes = [
+    ShareLinkAccess.create({
+      shareLinkId: shareLink._id,
+      todoId: shareLink.todoId,
+      outcome,
+      ip,
+      userAgent,
+      deviceLabel
+    })
+  ];
+
+  if (outcome === 'viewed') {
+    writes.push(ShareLink.updateOne(
+      { _id: shareLink._id },
+      { $inc: { accessCount: 1 }, lastAccessedAt: new Date() }
+    ));
+  }
+
+  Promise.all(writes).catch(error => console.error('Failed to log share link access:', error));
+};
+
+/**
+ * Read-only copy of a subtask tree
+ */
+const toPublicSubtask = (subtask) => ({
+  title: subtask.title,
+  description: subtask.description,
+  status: subtask.status,
+  priority: subtask.priority,
+  completed: subtask.completed,
+  completedAt: subtask.completedAt,
+  dueDate: subtask.dueDate,
+  subtasks: (subtask.subtasks || []).map(toPublicSubtask)
+});
+
+/**
+ * Build the read-only view of a todo shown through a share link
+ * Only names are exposed for people; emails and IDs never leave the API
+ * @param {Object} todo - Todo document
+ * @param {Object} shareLink - ShareLink document
+ * @returns {Object} Public view
+ */
+const buildPublicTodoView = async (todo, shareLink) => {
+  const hidden = new Set(shareLink.hiddenFields);
+
+  await todo.populate([
+    { path: 'userId', select: 'name' },
+    ...(hidden.has('watchers') ? [] : [{ path: 'watchers', select: 'name' }]),
+    ...(hidden.has('comments') ? [] : [{ path: 'comments.userId', select: 'name profilePicture' }])
+  ]);
+
+  const view = {
+    title: todo.title,
+    description: todo.description,
+    status: todo.status,
+    priority: todo.priority,
+    completed: todo.completed,
+    completedAt: todo.completedAt,
+    startDate: todo.startDate,
+    dueDate: todo.dueDate,
+    isOverdue: todo.isOverdue,
+    category: todo.category,
+    tags: todo.tags,
+    owner: { name: todo.userId ? todo.userId.name : null },
+    subtasks: todo.subtasks.map(toPublicSubtask),
+    updatedAt: todo.updatedAt
+  };
+
+  if (!hidden.has('comments')) {
+    view.comments = todo.comments.map(comment => ({
+      text: comment.text,
+      author: comment.userId
+        ? { name: comment.userId.name, profilePicture: comment.userId.profilePicture }
+        : null,
+      createdAt: comment.createdAt
+    }));
+  }
+
+  if (!hidden.has('watchers')) {
+    view.watchers = todo.watchers.map(watcher => ({ name: watcher.name }));
+  }
+
+  if (!hidden.has('attachments')) {
+    view.attachments = todo.attachments.map(attachment => ({
+      url: attachment.url,
+      fileName: attachment.fileName,
+      fileType: attachment.fileType,
+      fileSize: attachment.fileSize,
+      uploadedAt: attachment.uploadedAt
+    }));
+  }
+
+  return view;
+};
+
+module.exports = {
+  getShareLinkUrl,
+  syncTodoVisibility,
+  logShareLinkAccess,
+  buildPublicTodoView
+};
@@ -0,0 +1,246 @@
+const { ApiError } = require('../middlewares/api.error');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Timeline (Gantt) scheduling
+ *
+ * Each todo is a bar scheduled as early as its dependencies allow (critical path method):
+ *   duration       estimatedTime in minutes, or dueDate - startDate when there is no estimate;
+ *                  in-progress todos only count the time not logged yet
+ *   earliest start the latest of now, its startDate and the earliest finish of every todo blocking it
+ *   slack          how far a todo can slip without delaying the end of the whole timeline
+ * Completed todos keep their real dates and never delay others
+ * Durations are calendar time; there are no working hours or days off
+ */
+
+const toTime = (date) => (date ? new Date(date).getTime() : null);
+
+/**
+ * Planned duration of a todo in minutes
+ */
+const getDuration = (todo) => {
+  if (todo.estimatedTime > 0) return todo.estimatedTime;
+
+  if (todo.startDate && todo.dueDate) {
+    return Math.max(Math.round((toTime(todo.dueDate) - toTime(todo.startDate)) / MINUTE), 0);
+  }
+
+  return 0;
+};
+
+/**
+ * Percentage done: checklist progress when the todo has subtasks, otherwise logged time
+ */
+const getProgress = (todo) => {
+  if (todo.completed || todo.status === 'completed') return 100;
+
+  const { total = 0, completed = 0 } = todo.checklistProgress || {};
+  if (total > 0) return Math.round((completed / total) * 100);
+
+  if (todo.estimatedTime > 0) {
+    return Math.min(Math.round(((todo.actualTime || 0) / todo.estimatedTime) * 100), 99);
+  }
+
+  return 0;
+};
+
+/**
+ * Nested subtasks as bars inside their parent's bar
+ * Subtasks have no start date or dependencies: they start with the parent and end at
+ * their due date, or after their estimate
+ */
+const buildSubtaskBars = (subtasks = [], parentStart) => subtasks.map(subtask => {
+  const end = subtask.dueDate
+    ? toTime(subtask.dueDate)
+    : parentStart + (subtask.estimatedTime || 0) * MINUTE;
+
+  return {
+    id: subtask._id,
+    title: subtask.title,
+    status: subtask.status,
+    completed: subtask.completed,
+    start: new Date(Math.min(parentStart, end)),
+    end: new Date(end),
+    dueDate: subtask.dueDate || null,
+    progress: getProgress(subtask),
+    subtasks: buildSubtaskBars(subtask.subtasks, parentStart)
+  };
+});
+
+/**
+ * Order todos so every todo comes after the todos blocking it
+ * @throws {ApiError} 409 when the dependencies contain a cycle
+ */
+const sortByDependencies = (ids, predecessors, successors) => {
+  const remaining = new Map(ids.map(id => [id, predecessors.get(id).length]));
+  const queue = ids.filter(id => remaining.get(id) === 0);
+  const order = [];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+
+    successors.get(id).forEach(nextId => {
+      remaining.set(nextId, remaining.get(nextId) - 1);
+      if (remaining.get(nextId) === 0) queue.push(nextId);
+    });
+  }
+
+  if (order.length < ids.length) {
+    throw new ApiError(409, 'The dependencies between these todos form a cycle');
+  }
+
+  return order;
+};
+
+/**
+ * Build timeline bars, dependency edges and the critical path for a set of todos
+ * Only "blocks" links between todos in the set become edges
+ * @param {Array} todos - Todo documents or plain objects (subtasks and links included)
+ * @param {Object} options - now: scheduling start (default: current time)
+ * @returns {Object} { start, end, tasks, edges, criticalPath }
+ */
+const buildTimeline = (todos, { now = new Date() } = {}) => {
+  const nowTime = toTime(now);
+  const byId = new Map(todos.map(todo => [todo._id.toString(), todo]));
+  const ids = [...byId.keys()];
+
+  const predecessors = new Map(ids.map(id => [id, []]));
+  const successors = new Map(ids.map(id => [id, []]));
+
+  todos.forEach(todo => {
+    (todo.links || [])
+      .filter(link => link.type === 'blocks' && byId.has(link.todoId.toString()))
+      .forEach(link => {
+        const from = todo._id.toString();
+        const to = link.todoId.toString();
+        successors.get(from).push(to);
+        predecessors.get(to).push(from);
+      });
+  });
+
+  const order = sortByDependencies(ids, predecessors, successors);
+
+  // Forward pass: earliest start and finish
+  const schedule = new Map();
+  order.forEach(id => {
+    const todo = byId.get(id);
+    const duration = getDuration(todo);
+    const isDone = todo.completed || todo.status === 'completed';
+
+    if (isDone) {
+      const finish = toTime(todo.completedAt) || toTime(todo.updatedAt) || nowTime;
+      const start = Math.min(toTime(todo.startDate) || finish - duration * MINUTE, finish);
+      schedule.set(id, { start, finish, duration: Math.round((finish - start) / MINUTE), isDone, drivenBy: null });
+      return;
+    }
+
+    const remaining = todo.status === 'in-progress'
+      ? Math.max(duration - (todo.actualTime || 0), 0)
+      : duration;
+
+    let start = Math.max(nowTime, toTime(todo.startDate) || nowTime);
+    let drivenBy = null;
+
+    predecessors.get(id).forEach(predecessorId => {
+      const { finish } = schedule.get(predecessorId);
+      if (finish > start) {
+        start = finish;
+        drivenBy = predecessorId;
+      }
+    });
+
+    schedule.set(id, { start, finish: start + remaining * MINUTE, duration: remaining, isDone, drivenBy });
+  });
+
+  const timelineEnd = Math.max(nowTime, ...[...schedule.values()].map(entry => entry.finish));
+
+  // Backward pass: latest finish without delaying the end of the timeline
+  [...order].reverse().forEach(id => {
+    const entry = schedule.get(id);
+    const latestFinish = Math.min(
+      timelineEnd,
+      ...successors.get(id)
+        .map(successorId => schedule.get(successorId))
+        .filter(successor => !successor.isDone)
+        .map(successor => successor.latestStart)
+    );
+
+    entry.latestFinish = latestFinish;
+    entry.latestStart = latestFinish - entry.duration * MINUTE;
+    entry.slack = entry.isDone ? null : Math.round((entry.latestStart - entry.start) / MINUTE);
+  });
+
+  const isCritical = (id) => schedule.get(id).slack === 0;
+
+  const tasks = order.map(id => {
+    const todo = byId.get(id);
+    const entry = schedule.get(id);
+    const dueTime = toTime(todo.dueDate);
+    const late = !entry.isDone && dueTime !== null && entry.finish > dueTime;
+
+    // Late only because of its blockers: it would have finished in time starting on its own
+    const ownStart = Math.max(nowTime, toTime(todo.startDate) || nowTime);
+    const pushedByDependencies = late && entry.drivenBy !== null && ownStart + entry.duration * MINUTE <= dueTime;
+
+    return {
+      id: todo._id,
+      title: todo.title,
+      status: todo.status,
+      priority: todo.priority,
+      completed: Boolean(todo.completed),
+      assignee: todo.assignee || null,
+      startDate: todo.startDate || null,
+      dueDate: todo.dueDate || null,
+      start: new Date(entry.start),
+      end: new Date(entry.finish),
+      duration: entry.duration,
+      progress: getProgress(todo),
+      slack: entry.slack,
+      critical: !entry.isDone && isCritical(id),
+      late,
+      pushedByDependencies,
+      delayedBy: entry.drivenBy,
+      dependencies: predecessors.get(id),
+      subtasks: buildSubtaskBars(todo.subtasks, entry.start)
+    };
+  });
+
+  const edges = [];
+  successors.forEach((targets, from) => {
+    targets.forEach(to => {
+      edges.push({
+        from,
+        to,
+        type: 'blocks',
+        // On the critical path when the blocker is what sets the successor's start
+        critical: isCritical(from) && isCritical(to) && schedule.get(to).drivenBy === from
+      });
+    });
+  });
+
+  // Walk back from the todo that finishes last through the blockers that set each start
+  const criticalPath = [];
+  const last = order
+    .filter(id => !schedule.get(id).isDone && isCritical(id))
+    .sort((a, b) => schedule.get(b).finish - schedule.get(a).finish)[0];
+
+  for (let id = last; id; id = schedule.get(id).drivenBy) {
+    criticalPath.unshift(id);
+  }
+
+  const starts = [...schedule.values()].map(entry => entry.start);
+
+  return {
+    start: new Date(starts.length ? Math.min(...starts) : nowTime),
+    end: new Date(timelineEnd),
+    tasks,
+    edges,
+    criticalPath
+  };
+};
+
+module.exports = {
+  buildTimeline
+};
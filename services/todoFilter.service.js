@@ -0,0 +1,514 @@
+const mongoose = require('mongoose');
+const Todo = require('../models/todo.model');
+const { ApiError } = require('../middlewares/api.error');
+
+/**
+ * Todo filter query language (?q= on todo listings)
+ *
+ *   priority:high,urgent due:<7d tag:backend -status:completed
+ *   (assignee:me OR is:overdue) has:attachments cf.sprint:>=12 cf.margin:-5..3
+ *
+ * - Terms separated by spaces must all match; OR between terms or groups matches either side
+ *   (AND binds tighter than OR); parentheses group; a leading "-" negates a term or group
+ * - field:a,b matches any of the values; quote values containing spaces: category:"home office"
+ * - A term without a field matches title or description text
+ * - Dates (due, created, completed, updated): 2026-01-31, today, tomorrow, yesterday, or relative
+ *   offsets from now such as 7d, -2w, 12h; compare with <, <=, >, >=, give a range with a..b,
+ *   or use "none" for no date. A plain date matches that whole day
+ * - Durations (estimate, spent) are in minutes unless suffixed with h: estimate:>=2h spent:30..90
+ *
+ * Fields:
+ *   status, priority, label, category   any of the values
+ *   tag                                 any of the tags, or "none" for untagged
+ *   alltags                             all of the tags
+ *   assignee                            me, none or user IDs
+ *   due, created, completed, updated    date expression
+ *   estimate, spent                     duration expression
+ *   has                                 attachments, comments, subtasks, watchers, assignee, due, tags
+ *   is                                  overdue, completed, open, archived, recurring, shared, over-estimate
+ *   cf.<name>                           custom field value (numbers support comparisons and ranges)
+ */
+
+const MAX_FILTER_LENGTH = 500;
+const MAX_TERMS = 50;
+const MAX_DEPTH = 10;
+
+const enumValues = (path) => Todo.schema.path(path).enumValues.filter(value => value !== null);
+
+const DATE_FIELDS = {
+  due: 'dueDate',
+  created: 'createdAt',
+  completed: 'completedAt',
+  updated: 'updatedAt'
+};
+
+const DURATION_FIELDS = {
+  estimate: 'estimatedTime',
+  spent: 'actualTime'
+};
+
+const ENUM_FIELDS = {
+  status: enumValues('status'),
+  priority: enumValues('priority'),
+  label: enumValues('label')
+};
+
+const HAS_FILTERS = {
+  attachments: () => ({ 'attachments.0': { $exists: true } }),
+  comments: () => ({ 'comments.0': { $exists: true } }),
+  subtasks: () => ({ 'subtasks.0': { $exists: true } }),
+  watchers: () => ({ 'watchers.0': { $exists: true } }),
+  tags: () => ({ 'tags.0': { $exists: true } }),
+  assignee: () => ({ assignee: { $ne: null } }),
+  due: () => ({ dueDate: { $ne: null } })
+};
+
+const IS_FILTERS = {
+  overdue: () => ({ dueDate: { $lt: new Date() }, completed: false }),
+  completed: () => ({ completed: true }),
+  open: () => ({ completed: false }),
+  archived: () => ({ isArchived: true }),
+  recurring: () => ({ 'recurring.isRecurring': true }),
+  shared: () => ({ 'sharedWith.0': { $exists: true } }),
+  'over-estimate': () => ({ estimatedTime: { $gt: 0 }, $expr: { $gt: ['$actualTime', '$estimatedTime'] } })
+};
+
+const COMPARISON_OPERATORS = { '<': '$lt', '<=': '$lte', '>': '$gt', '>=': '$gte' };
+
+/**
+ * Error for an invalid filter, pointing at the offending part of the expression
+ * @param {Number} position - 0-based index in the expression
+ * @param {String} message - What is wrong
+ */
+const filterError = (position, message) => {
+  const error = new ApiError(400, `Invalid filter at position ${position + 1}: ${message}`);
+  error.errors = [{ field: 'q', position: position + 1, message }];
+  return error;
+};
+
+// ============ TOKENIZER ============
+
+/**
+ * Split an expression into (, ), OR, NOT and term tokens
+ * Terms keep their start position and may contain quoted values with spaces
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '-' && expression[i + 1] === '(') {
+      tokens.push({ type: 'NOT', position: i });
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let inQuotes = false;
+
+    while (i < expression.length && (inQuotes || !/[\s()]/.test(expression[i]))) {
+      if (expression[i] === '"') inQuotes = !inQuotes;
+      i++;
+    }
+
+    if (inQuotes) {
+      throw filterError(start, 'unterminated quote');
+    }
+
+    const text = expression.slice(start, i);
+    tokens.push(text === 'OR' ? { type: 'OR', position: start } : { type: 'TERM', text, position: start });
+  }
+
+  return tokens;
+};
+
+// ============ VALUES ============
+
+/**
+ * Split a comma-separated value list, honoring quotes
+ * @returns {Array} [{ value, position }]
+ */
+const splitValues = (raw, position) => {
+  const values = [];
+  let current = '';
+  let start = position;
+  let inQuotes = false;
+
+  const push = (end) => {
+    if (!current) {
+      throw filterError(start, 'empty value');
+    }
+    values.push({ value: current, position: start });
+    current = '';
+    start = end + 1;
+  };
+
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ',' && !inQuotes) {
+      push(position + i);
+    } else {
+      current += char;
+    }
+  }
+
+  push(position + raw.length);
+  return values;
+};
+
+/**
+ * Parse a date value into the time span it stands for
+ * @returns {Object} { start, end }
+ */
+const parseDateValue = (value, position) => {
+  const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+  };
+  const wholeDay = (date) => {
+    const start = startOfDay(date);
+    return { start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000 - 1) };
+  };
+
+  const named = { today: 0, tomorrow: 1, yesterday: -1 };
+  if (Object.hasOwn(named, value)) {
+    return wholeDay(Date.now() + named[value] * 24 * 60 * 60 * 1000);
+  }
+
+  const relative = value.match(/^(-?\d{1,4})([hdw])$/);
+  if (relative) {
+    const unitMs = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 }[relative[2]];
+    const instant = new Date(Date.now() + parseInt(relative[1]) * unitMs);
+    return relative[2] === 'h' ? { start: instant, end: instant } : wholeDay(instant);
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+
+    if (date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day) {
+      return wholeDay(date);
+    }
+  }
+
+  throw filterError(position, `invalid date "${value}" (use YYYY-MM-DD, today, tomorrow, yesterday or an offset like 7d, -2w, 12h)`);
+};
+
+/**
+ * Parse a duration value into minutes
+ */
+const parseDurationValue = (value, position) => {
+  const match = value.match(/^(\d+(?:\.\d+)?)(m|h)?$/);
+
+  if (!match) {
+    throw filterError(position, `invalid duration "${value}" (use minutes like 90 or 90m, or hours like 1.5h)`);
+  }
+
+  return parseFloat(match[1]) * (match[2] === 'h' ? 60 : 1);
+};
+
+/**
+ * Build a comparison filter for a field from <, <=, >, >=, a..b or a plain value
+ * @param {Function} parse - Parses a single value into { start, end }
+ */
+const buildComparison = (field, raw, position, parse) => {
+  const operator = raw.match(/^(<=|>=|<|>)/);
+
+  if (operator) {
+    const span = parse(raw.slice(operator[1].length), position + operator[1].length);
+    const op = COMPARISON_OPERATORS[operator[1]];
+    // Strictly before/after a span means outside it; inclusive bounds include it
+    const bound = op === '$lt' || op === '$gte' ? span.start : span.end;
+
+    return { [field]: { [op]: bound } };
+  }
+
+  const rangeIndex = raw.indexOf('..');
+  if (rangeIndex !== -1) {
+    const from = parse(raw.slice(0, rangeIndex), position);
+    const to = parse(raw.slice(rangeIndex + 2), position + rangeIndex + 2);
+
+    if (from.start > to.end) {
+      throw filterError(position, `range "${raw}" ends before it starts`);
+    }
+
+    return { [field]: { $gte: from.start, $lte: to.end } };
+  }
+
+  const span = parse(raw, position);
+  return span.start === span.end
+    ? { [field]: span.start }
+    : { [field]: { $gte: span.start, $lte: span.end } };
+};
+
+/**
+ * Combine filters for a list of values (any of them matches)
+ */
+const anyOf = (filters) => (filters.length === 1 ? filters[0] : { $or: filters });
+
+/**
+ * Convert a custom field value to the type it most likely has
+ */
+const coerceCustomValue = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null') return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+};
+
+// ============ TERMS ============
+
+/**
+ * Compile a single field:value term into a Mongo filter
+ */
+const compileTerm = ({ text, position }, context) => {
+  const colon = text.indexOf(':');
+
+  // Free text searches title and description
+  if (colon === -1 || text.startsWith('"')) {
+    const value = text.replace(/^"|"$/g, '');
+    if (!value) {
+      throw filterError(position, 'empty search text');
+    }
+
+    const pattern = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return { $or: [{ title: { $regex: pattern, $options: 'i' } }, { description: { $regex: pattern, $options: 'i' } }] };
+  }
+
+  const key = text.slice(0, colon).toLowerCase();
+  const raw = text.slice(colon + 1);
+  const valuePosition = position + colon + 1;
+
+  if (!raw) {
+    throw filterError(valuePosition, `missing value for "${key}"`);
+  }
+
+  const single = () => {
+    const values = splitValues(raw, valuePosition);
+    if (values.length > 1) {
+      throw filterError(values[1].position, `"${key}" takes a single value`);
+    }
+    return values[0].value;
+  };
+
+  if (Object.hasOwn(ENUM_FIELDS, key)) {
+    const values = splitValues(raw, valuePosition).map(({ value, position: at }) => {
+      const normalized = value.toLowerCase();
+      if (!ENUM_FIELDS[key].includes(normalized)) {
+        throw filterError(at, `invalid ${key} "${value}" (expected one of: ${ENUM_FIELDS[key].join(', ')})`);
+      }
+      return normalized;
+    });
+
+    return { [key]: { $in: values } };
+  }
+
+  if (key === 'category') {
+    return { category: { $in: splitValues(raw, valuePosition).map(v => v.value) } };
+  }
+
+  if (key === 'tag') {
+    const values = splitValues(raw, valuePosition).map(v => v.value);
+    if (values.length === 1 && values[0] === 'none') {
+      return { 'tags.0': { $exists: false } };
+    }
+    return { tags: { $in: values } };
+  }
+
+  if (key === 'alltags') {
+    return { tags: { $all: splitValues(raw, valuePosition).map(v => v.value) } };
+  }
+
+  if (key === 'assignee') {
+    const values = splitValues(raw, valuePosition).map(({ value, position: at }) => {
+      if (value === 'me') return new mongoose.Types.ObjectId(context.userId);
+      if (value === 'none') return null;
+      if (!mongoose.isValidObjectId(value)) {
+        throw filterError(at, `invalid assignee "${value}" (use me, none or a user ID)`);
+      }
+      return new mongoose.Types.ObjectId(value);
+    });
+
+    return { assignee: { $in: values } };
+  }
+
+  if (Object.hasOwn(DATE_FIELDS, key)) {
+    const value = single();
+    return value === 'none'
+      ? { [DATE_FIELDS[key]]: null }
+      : buildComparison(DATE_FIELDS[key], value, valuePosition, parseDateValue);
+  }
+
+  if (Object.hasOwn(DURATION_FIELDS, key)) {
+    const parseDuration = (value, at) => {
+      const minutes = parseDurationValue(value, at);
+      return { start: minutes, end: minutes };
+    };
+    return buildComparison(DURATION_FIELDS[key], single(), valuePosition, parseDuration);
+  }
+
+  if (key === 'has' || key === 'is') {
+    const filters = key === 'has' ? HAS_FILTERS : IS_FILTERS;
+
+    return anyOf(splitValues(raw, valuePosition).map(({ value, position: at }) => {
+      const name = value.toLowerCase();
+      if (!Object.hasOwn(filters, name)) {
+        throw filterError(at, `invalid ${key} "${value}" (expected one of: ${Object.keys(filters).join(', ')})`);
+      }
+      return filters[name]();
+    }));
+  }
+
+  if (key.startsWith('cf.')) {
+    const name = text.slice(3, colon);
+    if (!/^[A-Za-z0-9_-]{1,50}$/.test(name)) {
+      throw filterError(position + 3, `invalid custom field name "${name}"`);
+    }
+
+    const field = `customFields.${name}`;
+
+    if (/^(<|>|[-+]?\d[\d.]*\.\.)/.test(raw)) {
+      const parseNumber = (value, at) => {
+        if (!/^[-+]?\d+(\.\d+)?$/.test(value)) {
+          throw filterError(at, `invalid number "${value}" for "cf.${name}"`);
+        }
+        return { start: Number(value), end: Number(value) };
+      };
+      return buildComparison(field, single(), valuePosition, parseNumber);
+    }
+
+    return { [field]: { $in: splitValues(raw, valuePosition).map(v => coerceCustomValue(v.value)) } };
+  }
+
+  const fields = [...Object.keys(ENUM_FIELDS), 'category', 'tag', 'alltags', 'assignee',
+    ...Object.keys(DATE_FIELDS), ...Object.keys(DURATION_FIELDS), 'has', 'is', 'cf.<name>'];
+
+  throw filterError(position, `unknown field "${key}" (expected one of: ${fields.join(', ')})`);
+};
+
+// ============ PARSER ============
+
+/**
+ * Parse a filter expression into a Mongo filter
+ * @param {String} expression - Filter expression
+ * @param {Object} context - { userId } for "me"
+ * @returns {Object} Mongo filter
+ */
+const parseTodoFilter = (expression, context) => {
+  if (typeof expression !== 'string') {
+    throw filterError(0, 'filter must be a single string');
+  }
+
+  if (expression.length > MAX_FILTER_LENGTH) {
+    throw filterError(MAX_FILTER_LENGTH, `filter cannot exceed ${MAX_FILTER_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(expression);
+  if (tokens.length === 0) {
+    return {};
+  }
+
+  if (tokens.filter(token => token.type === 'TERM').length > MAX_TERMS) {
+    throw filterError(0, `filter cannot have more than ${MAX_TERMS} terms`);
+  }
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const end = () => (tokens.length ? tokens[tokens.length - 1].position + (tokens[tokens.length - 1].text || ' ').length : 0);
+
+  // unary := NOT unary | '(' or ')' | TERM | -TERM
+  const parseUnary = (depth) => {
+    const token = peek();
+
+    if (!token) {
+      throw filterError(end(), 'expression ends unexpectedly');
+    }
+
+    if (token.type === 'NOT') {
+      index++;
+      return { $nor: [parseUnary(depth)] };
+    }
+
+    if (token.type === '(') {
+      if (depth >= MAX_DEPTH) {
+        throw filterError(token.position, `groups cannot be nested more than ${MAX_DEPTH} deep`);
+      }
+
+      index++;
+      const inner = parseOr(depth + 1);
+      const closing = peek();
+
+      if (!closing || closing.type !== ')') {
+        throw filterError(closing ? closing.position : end(), `missing ")" for "(" at position ${token.position + 1}`);
+      }
+
+      index++;
+      return inner;
+    }
+
+    if (token.type === 'TERM') {
+      index++;
+
+      if (token.text.startsWith('-') && token.text.length > 1) {
+        return { $nor: [compileTerm({ text: token.text.slice(1), position: token.position + 1 }, context)] };
+      }
+
+      return compileTerm(token, context);
+    }
+
+    throw filterError(token.position, token.type === ')' ? 'unexpected ")"' : 'OR must be between two terms');
+  };
+
+  // and := unary+
+  const parseAnd = (depth) => {
+    const filters = [parseUnary(depth)];
+
+    while (peek() && (peek().type === 'TERM' || peek().type === '(' || peek().type === 'NOT')) {
+      filters.push(parseUnary(depth));
+    }
+
+    return filters.length === 1 ? filters[0] : { $and: filters };
+  };
+
+  // or := and ('OR' and)*
+  const parseOr = (depth) => {
+    const filters = [parseAnd(depth)];
+
+    while (peek() && peek().type === 'OR') {
+      index++;
+      filters.push(parseAnd(depth));
+    }
+
+    return filters.length === 1 ? filters[0] : { $or: filters };
+  };
+
+  const filter = parseOr(0);
+
+  if (index < tokens.length) {
+    throw filterError(peek().position, peek().type === ')' ? 'unexpected ")"' : `unexpected "${peek().text || peek().type}"`);
+  }
+
+  return filter;
+};
+
+module.exports = {
+  parseTodoFilter
+};
@@ -0,0 +1,119 @@
+const Todo = require('../models/todo.model');
+const { paginate } = require('../utils/pagination.util');
+const { getTodoScope } = require('./workspace.service');
+const { parseTodoFilter } = require('./todoFilter.service');
+const { withTodoRoles } = require('./permission.service');
+
+const SORT_OPTIONS = {
+  createdAt: { field: 'createdAt', order: -1 },
+  dueDate: { field: 'dueDate', order: 1 },
+  priority: { field: 'priority', order: -1 }
+};
+
+/**
+ * Get one page of the main todo listing (GET /api/todos and saved views)
+ * Pagination comes from req.query (?cursor or ?page, ?limit)
+ * @param {Object} req - Express request
+ * @param {Object} options - scope, workspaceId, q (filter expression), status, priority, category, sortBy
+ * @returns {Object} { items, pagination } with the caller's role on each todo
+ */
+const getTodoListPage = async (req, options) => {
+  const { scope, workspaceId, q, status, priority, category, sortBy } = options;
+
+  let query = {
+    ...(await getTodoScope(req, { scope, workspaceId })),
+    isDeleted: false,
+    parentId: null // Only get main todos, not subtasks
+  };
+
+  // Apply filters
+  if (status) query.status = status;
+  if (priority) query.priority = priority;
+  if (category) query.category = category;
+
+  // Filter expression, e.g. ?q=priority:high,urgent due:<7d -status:completed
+  if (q) {
+    query = { $and: [query, parseTodoFilter(q, { userId: req.userId })] };
+  }
+
+  const todos = Todo.find(query)
+    .populate('assignee', 'name email profilePicture')
+    .populate('watchers', 'name email')
+    .populate('comments.userId', 'name email profilePicture');
+
+  const { items, pagination } = await paginate(todos, req.query, SORT_OPTIONS[sortBy] || SORT_OPTIONS.createdAt);
+
+  return { items: await withTodoRoles(items, req.userId), pagination };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Due date bucket of a todo relative to now
+ */
+const getDueBucket = (dueDate, now) => {
+  if (!dueDate) return 'none';
+
+  const startOfToday = new Date(now);
+  startOfToday.setHours(0, 0, 0, 0);
+  const due = new Date(dueDate).getTime();
+
+  if (due < startOfToday.getTime()) return 'overdue';
+  if (due < startOfToday.getTime() + DAY_MS) return 'today';
+  if (due < startOfToday.getTime() + 7 * DAY_MS) return 'this-week';
+  return 'later';
+};
+
+/**
+ * Group key and label of a todo for a saved view's groupBy
+ */
+const getGroup = (todo, groupBy, now) => {
+  if (groupBy === 'assignee') {
+    const assignee = todo.assignee;
+    return assignee
+      ? { key: (assignee._id || assignee).toString(), label: assignee.name || null }
+      : { key: null, label: 'Unassigned' };
+  }
+
+  if (groupBy === 'dueDate') {
+    const bucket = getDueBucket(todo.dueDate, now);
+    return { key: bucket, label: bucket };
+  }
+
+  const value = todo[groupBy];
+  return { key: value || null, label: value || null };
+};
+
+/**
+ * Group one page of a listing by a field (status, priority, category, label, assignee or dueDate)
+ * Groups appear in the order of their first todo in the page, so the listing's sort is kept
+ * @param {Array} todos - Todos of the page
+ * @param {String} groupBy - Grouping field, or 'none'
+ * @returns {Array} [{ key, label, count, todoIds }], empty for 'none'
+ */
+const groupTodoPage = (todos, groupBy, now = new Date()) => {
+  if (!groupBy || groupBy === 'none') return [];
+
+  const groups = new Map();
+
+  todos.forEach(todo => {
+    const { key, label } = getGroup(todo, groupBy, now);
+    const mapKey = String(key);
+
+    if (!groups.has(mapKey)) {
+      groups.set(mapKey, { key, label, count: 0, todoIds: [] });
+    }
+
+    const group = groups.get(mapKey);
+    group.count += 1;
+    group.todoIds.push(todo._id);
+  });
+
+  return [...groups.values()];
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  getTodoListPage,
+  groupTodoPage
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Webhook = require('../models/webhook.model');
+const WebhookDelivery = require('../models/webhookDelivery.model');
+const { createQueue } = require('../configs/queue.config');
+const { todoEvents } = require('./event.service');
+const { getTodoRecipients } = require('./realtime.service');
+const { ApiError } = require('../middlewares/api.error');
+const { publicOnlyLookup, findPrivateHost } = require('../utils/network.util');
+
+const webhookQueue = createQueue('webhooks');
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+
+// Receivers on localhost or private networks are refused unless explicitly allowed (local development)
+const ALLOW_PRIVATE_WEBHOOK_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+const JOB_OPTIONS = {
+  attempts: WEBHOOK_MAX_ATTEMPTS,
+  backoff: { type: 'exponential', delay: 10 * 1000 }, // 10s, 30s, 70s, 150s...
+  removeOnComplete: true
+};
+
+/**
+ * Generate a webhook signing secret
+ * @returns {String} Secret
+ */
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+/**
+ * Sign a payload
+ * Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and compare it to X-Webhook-Signature
+ * @param {String} secret - Webhook secret
+ * @param {String} timestamp - Unix timestamp in seconds (X-Webhook-Timestamp)
+ * @param {String} body - Raw JSON body
+ * @returns {String} Signature in the form "sha256=<hex>"
+ */
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Check a webhook URL points at a public host
+ * Checked when the webhook is saved and before each delivery, which also checks the address it connects to
+ * @param {String} url - Webhook URL
+ * @throws {ApiError} 400 when the host is loopback, private or link-local
+ */
+const assertPublicWebhookUrl = async (url) => {
+  if (ALLOW_PRIVATE_WEBHOOK_HOSTS) return;
+
+  const reason = await findPrivateHost(new URL(url).hostname);
+  if (reason) {
+    throw new ApiError(400, `Webhook URL must point at a public host: ${reason}`);
+  }
+};
+
+/**
+ * POST a body to a URL without following redirects
+ * The response body is discarded so receivers cannot be used to read other services
+ * @returns {Object} { status }
+ */
+const postToReceiver = (url, headers, body) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  const request = client.request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    timeout: WEBHOOK_TIMEOUT_MS,
+    ...(!ALLOW_PRIVATE_WEBHOOK_HOSTS && { lookup: publicOnlyLookup })
+  }, (response) => {
+    response.resume();
+    resolve({ status: response.statusCode });
+  });
+
+  request.on('timeout', () => request.destroy(new Error(`Receiver did not respond within ${WEBHOOK_TIMEOUT_MS}ms`)));
+  request.on('error', reject);
+  request.end(body);
+});
+
+// ============ ENQUEUE ============
+
+/**
+ * Add a delivery's job to the queue
+ */
+const enqueueDelivery = async (delivery) => {
+  await webhookQueue.add({ deliveryId: delivery._id.toString() }, {
+    ...JOB_OPTIONS,
+    jobId: delivery.getJobId()
+  });
+};
+
+/**
+ * Create and queue a delivery of an event to a webhook
+ * @param {Object} webhook - Webhook document
+ * @param {String} event - Event type
+ * @param {Object} data - Event data
+ * @returns {Object} WebhookDelivery document
+ */
+const queueDelivery = async (webhook, event, data) => {
+  const delivery = new WebhookDelivery({
+    webhookId: webhook._id,
+    userId: webhook.userId,
+    event
+  });
+
+  delivery.payload = {
+    id: delivery._id.toString(),
+    event,
+    createdAt: new Date().toISOString(),
+    data
+  };
+
+  await delivery.save();
+  await enqueueDelivery(delivery);
+
+  return delivery;
+};
+
+/**
+ * Queue deliveries of a todo event to the webhooks of everyone involved in the todo
+ */
+const handleTodoEvent = async ({ type, todo, actorId, data, timestamp }) => {
+  const webhooks = await Webhook.findSubscribed(await getTodoRecipients(todo), type);
+
+  for (const webhook of webhooks) {
+    await queueDelivery(webhook, type, {
+      todo: typeof todo.toJSON === 'function' ? todo.toJSON() : todo,
+      actorId,
+      ...data,
+      timestamp
+    });
+  }
+};
+
+todoEvents.on('event', (event) => {
+  handleTodoEvent(event).catch(error => {
+    console.error(`Failed to queue ${event.type} webhooks:`, error);
+  });
+});
+
+/**
+ * Queue a test event for a webhook
+ * @param {Object} webhook - Webhook document
+ * @returns {Object} WebhookDelivery document
+ */
+const sendTestEvent = (webhook) => {
+  return queueDelivery(webhook, 'webhook.test', {
+    message: 'This is a test event',
+    webhookId: webhook._id.toString()
+  });
+};
+
+// ============ DELIVERY ============
+
+/**
+ * POST a delivery to its webhook URL
+ * Throws on network errors and non-2xx responses so the queue retries with backoff
+ * @param {Object} job - Queue job with data.deliveryId
+ */
+const processDelivery = async (job) => {
+  const delivery = await WebhookDelivery.findById(job.data.deliveryId);
+  if (!delivery || delivery.status !== 'pending') {
+    return { skipped: true };
+  }
+
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+  if (!webhook || (!webhook.isActive && delivery.event !== 'webhook.test')) {
+    delivery.status = 'failed';
+    delivery.error = 'Webhook was deleted or disabled';
+    await delivery.save();
+    return { skipped: true };
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+
+  delivery.attempts += 1;
+
+  try {
+    // The host may have been re-pointed since the webhook was saved
+    await assertPublicWebhookUrl(webhook.url);
+
+    const response = await postToReceiver(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'TodoApp-Webhooks/1.0',
+      'X-Webhook-Id': webhook._id.toString(),
+      'X-Webhook-Delivery': delivery._id.toString(),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+    }, body);
+
+    delivery.responseStatus = response.status;
+    delivery.durationMs = Date.now() - startedAt;
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Receiver responded with status ${response.status}`);
+    }
+
+    delivery.status = 'success';
+    delivery.error = null;
+    delivery.deliveredAt = new Date();
+    await delivery.save();
+
+    await Webhook.updateOne({ _id: webhook._id }, { lastDeliveryAt: new Date(), failureCount: 0 });
+
+    return { status: response.status };
+  } catch (error) {
+    delivery.error = error.message;
+    delivery.durationMs = Date.now() - startedAt;
+
+    if (delivery.attempts >= (job.opts.attempts || 1)) {
+      delivery.status = 'failed';
+      await Webhook.updateOne({ _id: webhook._id }, { $inc: { failureCount: 1 } });
+    }
+
+    await delivery.save();
+    throw error;
+  }
+};
+
+/**
+ * Start processing webhook deliveries and re-queue deliveries left pending by a restart
+ */
+const startWebhookWorker = async () => {
+  webhookQueue.process(processDelivery);
+
+  const pending = await WebhookDelivery.find({ status: 'pending' });
+
+  for (const delivery of pending) {
+    await enqueueDelivery(delivery);
+  }
+
+  console.log(`🪝 Webhook worker started (${pending.length} pending deliveries)`);
+};
+
+module.exports = {
+  webhookQueue,
+  generateWebhookSecret,
+  signPayload,
+  assertPublicWebhookUrl,
+  sendTestEvent,
+  processDelivery,
+  startWebhookWorker
+};
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/workspace.model');
+const { ApiError } = require('../middlewares/api.error');
+
+/**
+ * Find an active workspace a user belongs to, checking their role
+ * Non-members get 404 so workspace IDs cannot be probed
+ * @param {String} workspaceId - Workspace ID
+ * @param {String} userId - User ID
+ * @param {String} minRole - Minimum role (guest, member, admin, owner)
+ * @returns {Object} Workspace document
+ */
+const findWorkspaceForMember = async (workspaceId, userId, minRole = 'guest') => {
+  if (!mongoose.isValidObjectId(workspaceId)) {
+    throw new ApiError(400, 'Invalid workspace ID format');
+  }
+
+  const workspace = await Workspace.findActiveById(workspaceId);
+
+  if (!workspace || !workspace.isMember(userId)) {
+    throw new ApiError(404, 'Workspace not found');
+  }
+
+  if (!workspace.hasRole(userId, minRole)) {
+    throw new ApiError(403, `Only workspace ${minRole}s and above can do this`);
+  }
+
+  return workspace;
+};
+
+/**
+ * Listing scopes: which of a user's relations to a todo put it in a listing
+ */
+const TODO_RELATION_FILTERS = {
+  own: (userId) => ({ userId }),
+  shared: (userId) => ({ 'sharedWith.userId': userId }),
+  assigned: (userId) => ({ assignee: userId }),
+  watching: (userId) => ({ watchers: userId })
+};
+
+const TODO_LIST_SCOPES = [...Object.keys(TODO_RELATION_FILTERS), 'all'];
+
+/**
+ * Build the base todo filter for a listing
+ * ?scope picks the user's todos (own, the default), todos shared with them, assigned to them,
+ * watched by them, or all of these. With ?workspaceId the listing covers every todo in that
+ * workspace, narrowed to the relation when a scope other than "all" is given
+ * @param {Object} req - Express request
+ * @param {Object} options - { scope, workspaceId }, defaulting to ?scope and ?workspaceId
+ * @returns {Object} Mongo filter
+ */
+const getTodoScope = async (req, { scope = req.query.scope, workspaceId = req.query.workspaceId } = {}) => {
+  const userId = req.userId;
+
+  if (scope !== undefined && !TODO_LIST_SCOPES.includes(scope)) {
+    throw new ApiError(400, `Scope must be one of: ${TODO_LIST_SCOPES.join(', ')}`);
+  }
+
+  if (workspaceId) {
+    const workspace = await findWorkspaceForMember(workspaceId, userId);
+    const filter = { workspaceId: workspace._id };
+
+    return scope && scope !== 'all' ? { ...filter, ...TODO_RELATION_FILTERS[scope](userId) } : filter;
+  }
+
+  if (scope === 'all') {
+    return { $or: Object.values(TODO_RELATION_FILTERS).map(relation => relation(userId)) };
+  }
+
+  return TODO_RELATION_FILTERS[scope || 'own'](userId);
+};
+
+/**
+ * Check if a user is a workspace member with at least a role
+ * @param {String} workspaceId - Workspace ID (may be null)
+ * @param {String} userId - User ID
+ * @param {String} minRole - Minimum role
+ * @returns {Boolean}
+ */
+const hasWorkspaceRole = async (workspaceId, userId, minRole = 'guest') => {
+  if (!workspaceId) return false;
+
+  const workspace = await Workspace.findActiveById(workspaceId._id || workspaceId);
+  return Boolean(workspace && workspace.hasRole(userId, minRole));
+};
+
+module.exports = {
+  TODO_LIST_SCOPES,
+  findWorkspaceForMember,
+  getTodoScope,
+  hasWorkspaceRole
+};
@@ -35,20 +35,25 @@ const noContentResponse = (res) => {
 
 /**
  * Paginated response helper
+ * Offset pages report page/totalPages/totalItems; cursor pages report nextCursor/prevCursor
+ * @param {Object} extra - Additional top-level fields, e.g. grouping for saved views
  */
-const paginatedResponse = (res, data, pagination, message = 'Success') => {
+const paginatedResponse = (res, data, pagination, message = 'Success', extra = {}) => {
   return res.status(200).json({
     statusCode: 200,
     success: true,
     message,
     data,
+    ...extra,
     pagination: {
       page: pagination.page,
       limit: pagination.limit,
       totalPages: pagination.totalPages,
       totalItems: pagination.totalItems,
       hasNextPage: pagination.hasNextPage,
-      hasPrevPage: pagination.hasPrevPage
+      hasPrevPage: pagination.hasPrevPage,
+      nextCursor: pagination.nextCursor,
+      prevCursor: pagination.prevCursor
     },
     timestamp: new Date().toISOString()
   });
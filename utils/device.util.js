@@ -0,0 +1,59 @@
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/[\d.]+/],
+  ['Opera', /OPR\/[\d.]+/],
+  ['Firefox', /(?:Firefox|FxiOS)\/[\d.]+/],
+  ['Chrome', /(?:Chrome|CriOS)\/[\d.]+/],
+  ['Safari', /Version\/[\d.]+.*Safari/],
+  ['curl', /^curl\//],
+  ['Postman', /PostmanRuntime/]
+];
+
+const PLATFORMS = [
+  ['iPhone', /iPhone/],
+  ['iPad', /iPad/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+const match = (list, userAgent) => {
+  const found = list.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+};
+
+/**
+ * Build a human readable device label from a user agent, e.g. "Chrome on macOS"
+ * @param {String} userAgent - User-Agent header
+ * @returns {String} Device label
+ */
+const getDeviceLabel = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = match(BROWSERS, userAgent);
+  const platform = match(PLATFORMS, userAgent);
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};
+
+/**
+ * Extract client details for a session from a request
+ * @param {Object} req - Express request
+ * @returns {Object} { userAgent, ip, deviceLabel }
+ */
+const getClientInfo = (req) => {
+  const userAgent = (req.get('user-agent') || '').slice(0, 500);
+
+  return {
+    userAgent,
+    ip: req.ip,
+    deviceLabel: getDeviceLabel(userAgent)
+  };
+};
+
+module.exports = {
+  getDeviceLabel,
+  getClientInfo
+};
@@ -0,0 +1,89 @@
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local (including cloud metadata at 169.254.169.254) and other
+// non-public ranges that outbound requests made for users must not reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ * IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4
+ * @param {String} address - IPv4 or IPv6 address
+ * @returns {Boolean}
+ */
+const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * dns.lookup() replacement for http(s).request() that refuses non-public addresses
+ * Checking the address the connection actually uses also covers DNS rebinding
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Resolve a host and check every address it resolves to is public
+ * @param {String} hostname - Host name or IP address
+ * @returns {String|null} Why the host is refused, or null when it is public
+ */
+const findPrivateHost = async (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+
+  if (net.isIP(host)) {
+    return isPrivateAddress(host) ? `${host} is a private address` : null;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    return `${host} could not be resolved`;
+  }
+
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  return blocked ? `${host} resolves to a private address (${blocked.address})` : null;
+};
+
+module.exports = {
+  isPrivateAddress,
+  publicOnlyLookup,
+  findPrivateHost
+};
@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const { ApiError } = require('../middlewares/api.error');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Encode the position of a document in a sorted listing
+ * Cursors are opaque to clients: base64url JSON of the sort value, the _id tie-breaker and the direction
+ * @param {Object} doc - Document (or plain object) at the edge of the page
+ * @param {String} field - Sort field
+ * @param {String} direction - next | prev
+ * @returns {String} Cursor
+ */
+const encodeCursor = (doc, field, direction) => {
+  const value = typeof doc.get === 'function' ? doc.get(field) : doc[field];
+
+  return Buffer.from(JSON.stringify({
+    v: value === undefined ? null : value,
+    t: value instanceof Date ? 'date' : undefined,
+    id: doc._id.toString(),
+    d: direction
+  })).toString('base64url');
+};
+
+/**
+ * Decode a cursor from encodeCursor()
+ * @param {String} cursor - Cursor
+ * @returns {Object} { value, id, direction }
+ */
+const decodeCursor = (cursor) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ApiError(400, 'Invalid cursor');
+  }
+
+  if (!decoded || !mongoose.isValidObjectId(decoded.id) || !['next', 'prev'].includes(decoded.d)) {
+    throw new ApiError(400, 'Invalid cursor');
+  }
+
+  return {
+    value: decoded.t === 'date' ? new Date(decoded.v) : decoded.v,
+    id: new mongoose.Types.ObjectId(decoded.id),
+    direction: decoded.d
+  };
+};
+
+/**
+ * Build the filter for documents after a cursor in (field, _id) order
+ * MongoDB sorts null/missing values before everything else, so they get their own branches
+ * @param {String} field - Sort field
+ * @param {Number} order - 1 or -1, already flipped for backwards paging
+ * @param {Object} cursor - Decoded cursor
+ * @returns {Object} Mongo filter
+ */
+const buildCursorFilter = (field, order, { value, id }) => {
+  const op = order === 1 ? '$gt' : '$lt';
+
+  if (field === '_id') {
+    return { _id: { [op]: id } };
+  }
+
+  if (value === null) {
+    return order === 1
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+
+  const branches = [
+    { [field]: { [op]: value } },
+    { [field]: value, _id: { [op]: id } }
+  ];
+
+  if (order === -1) {
+    branches.push({ [field]: null });
+  }
+
+  return { $or: branches };
+};
+
+/**
+ * Paginate a Mongoose query
+ * With ?page the listing uses page/limit offsets and reports totals; otherwise it uses
+ * cursors (?cursor from a previous nextCursor/prevCursor), which stay stable while documents change
+ * Sorting is always by the given field with _id as tie-breaker
+ * @param {Object} query - Mongoose find query (filters and populates applied, no sort)
+ * @param {Object} params - Request query: page, limit, cursor
+ * @param {Object} sort - { field, order } where order is 1 or -1
+ * @returns {Object} { items, pagination }
+ */
+const paginate = async (query, params, { field = 'createdAt', order = -1 } = {}) => {
+  const limit = Math.min(parseInt(params.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+
+  if (params.page) {
+    const page = Math.max(parseInt(params.page) || 1, 1);
+
+    const [items, totalItems] = await Promise.all([
+      query
+        .sort({ [field]: order, _id: order })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      query.model.countDocuments(query.getFilter())
+    ]);
+
+    const totalPages = Math.ceil(totalItems / limit);
+
+    return {
+      items,
+      pagination: {
+        page,
+        limit,
+        totalPages,
+        totalItems,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  const cursor = params.cursor ? decodeCursor(params.cursor) : null;
+  const backwards = Boolean(cursor) && cursor.direction === 'prev';
+  const effectiveOrder = backwards ? -order : order;
+
+  if (cursor) {
+    query.and([buildCursorFilter(field, effectiveOrder, cursor)]);
+  }
+
+  // Fetch one extra document to learn whether there is another page in this direction
+  const docs = await query
+    .sort({ [field]: effectiveOrder, _id: effectiveOrder })
+    .limit(limit + 1);
+
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (backwards) {
+    items.reverse();
+  }
+
+  const hasNextPage = backwards ? Boolean(cursor) : hasMore;
+  const hasPrevPage = backwards ? hasMore : Boolean(cursor);
+
+  return {
+    items,
+    pagination: {
+      limit,
+      hasNextPage,
+      hasPrevPage,
+      nextCursor: hasNextPage && items.length ? encodeCursor(items[items.length - 1], field, 'next') : null,
+      prevCursor: hasPrevPage && items.length ? encodeCursor(items[0], field, 'prev') : null
+    }
+  };
+};
+
+/**
+ * Compare two items in ascending (field, _id) order, nulls first like MongoDB
+ */
+const compareKeys = (a, b) => {
+  if (a.value !== b.value) {
+    if (a.value === null) return -1;
+    if (b.value === null) return 1;
+    return a.value < b.value ? -1 : 1;
+  }
+
+  return a.id.toString().localeCompare(b.id.toString());
+};
+
+/**
+ * Paginate an array that is already sorted, with the same params and response shape as paginate()
+ * Used for listings ranked in memory, such as search results
+ * @param {Array} items - Items sorted by (field, _id) in the given order
+ * @param {Object} params - Request query: page, limit, cursor
+ * @param {Object} sort - { field, order } where order is 1 or -1
+ * @returns {Object} { items, pagination }
+ */
+const paginateArray = (items, params, { field, order = -1 }) => {
+  const limit = Math.min(parseInt(params.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+
+  if (params.page) {
+    const page = Math.max(parseInt(params.page) || 1, 1);
+    const totalItems = items.length;
+    const totalPages = Math.ceil(totalItems / limit);
+
+    return {
+      items: items.slice((page - 1) * limit, page * limit),
+      pagination: {
+        page,
+        limit,
+        totalPages,
+        totalItems,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  let start = 0;
+  let end = Math.min(limit, items.length);
+
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor);
+    const positions = items.map(item => order * compareKeys(
+      { value: item[field] === undefined ? null : item[field], id: item._id },
+      { value: cursor.value, id: cursor.id }
+    ));
+
+    if (cursor.direction === 'prev') {
+      end = positions.filter(position => position < 0).length;
+      start = Math.max(end - limit, 0);
+    } else {
+      start = positions.filter(position => position <= 0).length;
+      end = Math.min(start + limit, items.length);
+    }
+  }
+
+  const page = items.slice(start, end);
+  const hasNextPage = end < items.length;
+  const hasPrevPage = start > 0;
+
+  return {
+    items: page,
+    pagination: {
+      limit,
+      hasNextPage,
+      hasPrevPage,
+      nextCursor: hasNextPage && page.length ? encodeCursor(page[page.length - 1], field, 'next') : null,
+      prevCursor: hasPrevPage && page.length ? encodeCursor(page[0], field, 'prev') : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  paginate,
+  paginateArray
+};
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+/**
+ * Generate a random URL-safe token
+ * @param {Number} bytes - Number of random bytes
+ * @returns {String} Hex token
+ */
+const generateRandomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Hash a token for storage
+ * Only the hash is kept in the database, so a leaked database cannot be replayed
+ * @param {String} token - Raw token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = {
+  generateRandomToken,
+  hashToken
+};
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults understood by every authenticator app
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {String} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new TOTP secret
+ * @returns {String} Base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step for a moment
+ * @param {Number} timestamp - Milliseconds since epoch
+ * @returns {Number} Time step
+ */
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / PERIOD_SECONDS);
+
+/**
+ * Generate the code for a time step (RFC 4226 HOTP with a time-based counter)
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Time step
+ * @returns {String} Zero-padded code
+ */
+const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Verify a code, allowing for clock drift
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Number} window - Number of steps accepted before and after the current one
+ * @returns {Number|null} Matching time step, or null if the code is invalid
+ */
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateCode(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the provisioning URI shown as a QR code by the client
+ * @param {String} secret - Base32 secret
+ * @param {String} accountName - Usually the user's email
+ * @param {String} issuer - App name shown in the authenticator
+ * @returns {String} otpauth:// URI
+ */
+const buildOtpauthURL = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: DIGITS.toString(),
+    period: PERIOD_SECONDS.toString()
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthURL
+};